@@ -50,6 +50,25 @@ interface PDFFile {
   pageCount: number
   chunks: number
   uploadedAt: string
+  mimeType?: string
+}
+
+interface PDFSourceDocument {
+  documentId: string
+  filename: string
+  chunkId: string
+  pageStart: number | null
+  pageEnd: number | null
+  citation: string
+  score: number
+  content?: string
+}
+
+interface PDFViewerTarget {
+  documentId: string
+  filename: string
+  page?: number
+  highlight?: string
 }
 
 export default function ChatPage() {
@@ -67,8 +86,7 @@ export default function ChatPage() {
   const [showSelfTest, setShowSelfTest] = useState(false)
   const [selfTestResults, setSelfTestResults] = useState<any>(null)
   const [runningTest, setRunningTest] = useState(false)
-  const [showPDFViewer, setShowPDFViewer] = useState<string | null>(null)
-  const [selectedPDFFile, setSelectedPDFFile] = useState<PDFFile | null>(null)
+  const [pdfViewerTarget, setPdfViewerTarget] = useState<PDFViewerTarget | null>(null)
   const messagesEndRef = useRef<HTMLDivElement>(null)
   const fileInputRef = useRef<HTMLInputElement>(null)
 
@@ -311,6 +329,30 @@ export default function ChatPage() {
                 {source.metadata.documentsFound && <div>Documents: {source.metadata.documentsFound}</div>}
                 {source.metadata.apiUsed && <div>API: {source.metadata.apiUsed}</div>}
                 {source.metadata.cached !== undefined && <div>Cached: {source.metadata.cached ? "Yes" : "No"}</div>}
+                {source.source === "pdf" &&
+                  source.metadata.documents?.map((doc: PDFSourceDocument) =>
+                    // Only PDFs have pages the viewer can open
+                    !doc.pageStart ? (
+                      <div key={doc.chunkId}>{doc.citation}</div>
+                    ) : (
+                      <button
+                        key={doc.chunkId}
+                        onClick={() =>
+                          setPdfViewerTarget({
+                            documentId: doc.documentId,
+                            filename: doc.filename,
+                            page: doc.pageStart ?? undefined,
+                            highlight: doc.content,
+                          })
+                        }
+                        className="flex items-center gap-1 text-green-400 hover:text-green-300 hover:underline"
+                        title="Open the document at this passage"
+                      >
+                        <File className="w-3 h-3" />
+                        {doc.citation}
+                      </button>
+                    ),
+                  )}
               </div>
             )}
           </div>
@@ -532,7 +574,17 @@ export default function ChatPage() {
                     >
                       <div className="flex items-start justify-between gap-1">
                         <div className="flex-1 min-w-0">
-                          <p className="font-medium text-slate-100 truncate">{pdf.filename}</p>
+                          {!pdf.mimeType || pdf.mimeType === "application/pdf" ? (
+                            <button
+                              onClick={() => setPdfViewerTarget({ documentId: pdf.documentId, filename: pdf.filename })}
+                              className="block max-w-full font-medium text-slate-100 truncate hover:underline"
+                              title="View document"
+                            >
+                              {pdf.filename}
+                            </button>
+                          ) : (
+                            <p className="font-medium text-slate-100 truncate">{pdf.filename}</p>
+                          )}
                           <p className="text-slate-400">
                             {pdf.pageCount} pages • {pdf.chunks} chunks
                           </p>
@@ -636,14 +688,13 @@ export default function ChatPage() {
         </div>
       </div>
 
-      {showPDFViewer && selectedPDFFile && (
+      {pdfViewerTarget && (
         <PDFViewer
-          documentId={selectedPDFFile.documentId}
-          filename={selectedPDFFile.filename}
-          onClose={() => {
-            setShowPDFViewer(null)
-            setSelectedPDFFile(null)
-          }}
+          documentId={pdfViewerTarget.documentId}
+          filename={pdfViewerTarget.filename}
+          initialPage={pdfViewerTarget.page}
+          highlight={pdfViewerTarget.highlight}
+          onClose={() => setPdfViewerTarget(null)}
         />
       )}
     </div>
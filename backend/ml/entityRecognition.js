@@ -3,12 +3,132 @@
  * Extracts named entities like locations, organizations, dates, etc.
  */
 
+// ISO 4217 codes with the symbols and names people use for them.
+// Qualified names ("canadian dollar") and prefixed symbols ("C$") win over the bare ones they contain.
+const CURRENCIES = {
+  USD: { symbols: ["US$", "$"], names: ["us dollars?", "american dollars?", "dollars?", "bucks"] },
+  EUR: { symbols: ["€"], names: ["euros?"] },
+  GBP: { symbols: ["£"], names: ["british pounds?", "pounds? sterling", "sterling", "pounds?", "quid"] },
+  JPY: { symbols: ["¥"], names: ["japanese yen", "yen"] },
+  CNY: { symbols: ["CN¥", "元"], names: ["chinese yuan", "yuan", "renminbi", "rmb"] },
+  INR: { symbols: ["₹"], names: ["indian rupees?", "rupees?"] },
+  CAD: { symbols: ["C$", "CA$"], names: ["canadian dollars?"] },
+  AUD: { symbols: ["A$", "AU$"], names: ["australian dollars?", "aussie dollars?"] },
+  NZD: { symbols: ["NZ$"], names: ["new zealand dollars?", "kiwi dollars?"] },
+  HKD: { symbols: ["HK$"], names: ["hong kong dollars?"] },
+  SGD: { symbols: ["S$"], names: ["singapore dollars?"] },
+  CHF: { symbols: [], names: ["swiss francs?"] },
+  SEK: { symbols: [], names: ["swedish kron(?:a|or)"] },
+  NOK: { symbols: [], names: ["norwegian kron(?:e|er)"] },
+  DKK: { symbols: [], names: ["danish kron(?:e|er)"] },
+  PLN: { symbols: ["zł"], names: ["polish zloty", "zloty"] },
+  CZK: { symbols: ["Kč"], names: ["czech koruna", "koruna"] },
+  HUF: { symbols: [], names: ["hungarian forint", "forint"] },
+  RUB: { symbols: ["₽"], names: ["russian roubles?", "russian rubles?", "roubles?", "rubles?"] },
+  TRY: { symbols: ["₺"], names: ["turkish lira", "lira"] },
+  BRL: { symbols: ["R$"], names: ["brazilian reais", "brazilian real"] },
+  MXN: { symbols: ["MX$"], names: ["mexican pesos?", "pesos?"] },
+  ZAR: { symbols: [], names: ["south african rand", "rand"] },
+  KRW: { symbols: ["₩"], names: ["south korean won", "korean won"] },
+  THB: { symbols: ["฿"], names: ["thai baht", "baht"] },
+  IDR: { symbols: [], names: ["indonesian rupiah", "rupiah"] },
+  PHP: { symbols: ["₱"], names: ["philippine pesos?"] },
+  ILS: { symbols: ["₪"], names: ["israeli shekels?", "shekels?"] },
+  AED: { symbols: [], names: ["uae dirhams?", "dirhams?"] },
+  SAR: { symbols: [], names: ["saudi riyals?", "riyals?"] },
+  NGN: { symbols: ["₦"], names: ["nigerian naira", "naira"] },
+  PKR: { symbols: [], names: ["pakistani rupees?"] },
+}
+
+// Codes that are also common words (or PHP the language) only count when written in capitals
+const UPPERCASE_ONLY_CODES = new Set(["TRY", "PHP"])
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Patterns tried in order; a later match overlapping an earlier one is dropped
+const CURRENCY_PATTERNS = (() => {
+  const patterns = []
+  for (const [code, { symbols, names }] of Object.entries(CURRENCIES)) {
+    names.forEach((name) => patterns.push({ code, kind: "name", regex: new RegExp(`\\b${name}\\b`, "gi") }))
+    symbols.forEach((symbol) => patterns.push({ code, kind: "symbol", regex: new RegExp(escapeRegex(symbol), "g") }))
+    const flags = UPPERCASE_ONLY_CODES.has(code) ? "g" : "gi"
+    patterns.push({ code, kind: "code", regex: new RegExp(`\\b${code}\\b`, flags) })
+  }
+  // Longer patterns first, so "canadian dollar" beats "dollar" and "C$" beats "$"
+  return patterns.sort((a, b) => b.regex.source.length - a.regex.source.length)
+})()
+
+const AMOUNT = String.raw`(\d[\d,]*(?:\.\d+)?)\s*(k|thousand|million|billion)?`
+const AMOUNT_BEFORE = new RegExp(`${AMOUNT}\\s*$`, "i")
+const AMOUNT_AFTER = new RegExp(`^\\s*${AMOUNT}`, "i")
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, million: 1e6, billion: 1e9 }
+
+function parseAmount(match) {
+  const value = Number.parseFloat(match[1].replace(/,/g, ""))
+  return value * (MULTIPLIERS[match[2]?.toLowerCase()] || 1)
+}
+
+/**
+ * Currency mentions in order of appearance: [{ code, kind: "code" | "symbol" | "name", text, index, amount }]
+ * amount is the number written next to the mention ("$50", "100 EUR", "EUR 100"), or null
+ */
+export function findCurrencyMentions(text) {
+  const mentions = []
+  for (const { code, kind, regex } of CURRENCY_PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      const start = match.index
+      const end = start + match[0].length
+      if (mentions.some((m) => start < m.index + m.text.length && end > m.index)) continue
+      mentions.push({ code, kind, text: match[0], index: start })
+    }
+  }
+
+  return mentions
+    .sort((a, b) => a.index - b.index)
+    .map((mention) => {
+      const before = text.slice(0, mention.index).match(AMOUNT_BEFORE)
+      const after = text.slice(mention.index + mention.text.length).match(AMOUNT_AFTER)
+      // Symbols come before the amount ("$50"); codes and names usually after it ("50 dollars")
+      const amount = mention.kind === "symbol" ? after || before : before || after
+      return { ...mention, amount: amount ? parseAmount(amount) : null }
+    })
+}
+
+/**
+ * The conversion a message asks for: { amount, from, to: [codes] }, or null if no currency is mentioned
+ * "convert 100 EUR to GBP" -> { amount: 100, from: "EUR", to: ["GBP"] }
+ * "how many yen is $50" -> { amount: 50, from: "USD", to: ["JPY"] }
+ * The currency written with an amount is the source; otherwise one introduced by "to", "in" or "into"
+ * is the target, and failing both the first mentioned is the source.
+ */
+export function extractCurrencyConversion(text) {
+  const mentions = findCurrencyMentions(text)
+  const codes = Array.from(new Set(mentions.map((m) => m.code)))
+  if (codes.length === 0) return null
+
+  const withAmount = mentions.find((m) => m.amount !== null)
+  const target = mentions.find((m) => /\b(?:to|in|into)\s+$/i.test(text.slice(0, m.index)))
+  let from = codes[0]
+  if (withAmount) {
+    from = withAmount.code
+  } else if (target && codes.length > 1) {
+    from = codes.find((code) => code !== target.code)
+  }
+
+  return {
+    amount: withAmount ? withAmount.amount : 1,
+    from,
+    to: codes.filter((code) => code !== from),
+  }
+}
+
 export function extractEntities(text) {
   const entities = {
     locations: [],
     organizations: [],
     dates: [],
     currencies: [],
+    currencyCodes: [],
     numbers: [],
     topics: [],
   }
@@ -30,6 +150,13 @@ export function extractEntities(text) {
     }
   }
 
+  // ISO codes of every currency mentioned by code, symbol or name
+  for (const mention of findCurrencyMentions(text)) {
+    if (!entities.currencyCodes.includes(mention.code)) {
+      entities.currencyCodes.push(mention.code)
+    }
+  }
+
   // Numbers
   const numberRegex = /\b\d+(?:\.\d+)?\b/g
   while ((match = numberRegex.exec(text)) !== null) {
@@ -60,7 +187,7 @@ export function scoreConfidenceByEntities(entities) {
   // Specific entity types boost confidence
   if (entities.locations.length > 0) score += 0.05
   if (entities.dates.length > 0) score += 0.05
-  if (entities.currencies.length > 0) score += 0.05
+  if (entities.currencies.length > 0 || entities.currencyCodes.length > 0) score += 0.05
 
   return Math.min(score, 1.0)
 }
@@ -5,32 +5,12 @@
  */
 
 import { createLogger } from "../src/utils/logger.js"
+import { listRealtimeProviders, realtimeProvidersVersion } from "../src/services/realtimeProviders/index.js"
 
 const logger = createLogger()
 
-// Training data for the ML model
-const TRAINING_DATA = [
-  // Realtime - Weather
-  { text: "what is the weather", intent: "realtime", type: "weather" },
-  { text: "weather forecast", intent: "realtime", type: "weather" },
-  { text: "is it raining", intent: "realtime", type: "weather" },
-  { text: "temperature today", intent: "realtime", type: "weather" },
-  { text: "will it snow", intent: "realtime", type: "weather" },
-  { text: "how hot is it", intent: "realtime", type: "weather" },
-
-  // Realtime - News
-  { text: "latest news", intent: "realtime", type: "news" },
-  { text: "breaking news today", intent: "realtime", type: "news" },
-  { text: "what is trending", intent: "realtime", type: "news" },
-  { text: "current events", intent: "realtime", type: "news" },
-  { text: "headlines", intent: "realtime", type: "news" },
-
-  // Realtime - Currency
-  { text: "exchange rate", intent: "realtime", type: "currency" },
-  { text: "usd to eur", intent: "realtime", type: "currency" },
-  { text: "bitcoin price", intent: "realtime", type: "currency" },
-  { text: "convert currency", intent: "realtime", type: "currency" },
-
+// Training data for the non-realtime intents; realtime examples come from the provider registry
+const BASE_TRAINING_DATA = [
   // RAG - Knowledge base
   { text: "explain artificial intelligence", intent: "rag", type: null },
   { text: "tell me about machine learning", intent: "rag", type: null },
@@ -45,6 +25,13 @@ const TRAINING_DATA = [
   { text: "can you help me", intent: "general", type: null },
 ]
 
+function trainingData() {
+  const realtime = listRealtimeProviders().flatMap((provider) =>
+    provider.examples.map((text) => ({ text, intent: "realtime", type: provider.type })),
+  )
+  return [...realtime, ...BASE_TRAINING_DATA]
+}
+
 /**
  * Naive Bayes Classifier for Intent Detection
  */
@@ -79,6 +66,9 @@ class NaiveBayesIntentClassifier {
    * Train the classifier on training data
    */
   train(trainingData) {
+    this.vocabulary = new Set()
+    this.classPrior = {}
+    this.classWordProb = {}
     const classExamples = {}
 
     // Organize examples by class
@@ -166,7 +156,17 @@ class NaiveBayesIntentClassifier {
 
 // Initialize and train classifier
 const mlClassifier = new NaiveBayesIntentClassifier()
-mlClassifier.train(TRAINING_DATA)
+let trainedVersion = realtimeProvidersVersion()
+mlClassifier.train(trainingData())
+
+/**
+ * Retrain when realtime providers were registered since the last training
+ */
+function ensureTrained() {
+  if (trainedVersion === realtimeProvidersVersion()) return
+  trainedVersion = realtimeProvidersVersion()
+  mlClassifier.train(trainingData())
+}
 
 /**
  * Predict intent using ML model
@@ -174,6 +174,7 @@ mlClassifier.train(TRAINING_DATA)
  */
 export function predictIntentML(message, ruleBased) {
   try {
+    ensureTrained()
     const mlResult = mlClassifier.predict(message)
 
     // If ML confidence is low, use rule-based fallback
@@ -212,7 +213,7 @@ export function getModelStats() {
     isTrained: mlClassifier.isTrained,
     vocabularySize: mlClassifier.vocabulary.size,
     classPriors: mlClassifier.classPrior,
-    trainingExamples: TRAINING_DATA.length,
+    trainingExamples: trainingData().length,
   }
 }
 
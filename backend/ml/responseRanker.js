@@ -5,15 +5,22 @@
 
 import { extractEntities } from "./entityRecognition.js"
 
+/**
+ * Score each response for the query
+ * Returns the responses sorted by rankScore (0-1), each with rankReasons explaining the score
+ */
 export function rankResponses(responses, query, intent) {
   const queryEntities = extractEntities(query)
 
   return responses
     .map((response) => {
       let score = 0
+      const reasons = []
 
       // Base score from source confidence
-      score += (response.confidence || 0.5) * 0.4
+      const confidence = response.confidence || 0.5
+      score += confidence * 0.4
+      reasons.push(`source confidence ${confidence.toFixed(2)}`)
 
       // Match entities with response
       const responseEntities = extractEntities(response.content)
@@ -29,21 +36,31 @@ export function rankResponses(responses, query, intent) {
       }, 0)
 
       score += Math.min(entityMatches * 0.15, 0.3)
+      if (entityMatches > 0) {
+        reasons.push(`${entityMatches} entity match${entityMatches > 1 ? "es" : ""} with query`)
+      }
 
       // Content length factor (reasonable length is better)
       const contentLength = response.content?.length || 0
       if (contentLength > 100 && contentLength < 2000) {
         score += 0.2
+        reasons.push("content length in useful range")
       }
 
       // Intent alignment
-      if (response.source === "realtime" && intent === "realtime") score += 0.1
-      if (response.source === "pdf" && intent === "rag") score += 0.1
-      if (response.source === "rag" && intent === "rag") score += 0.05
+      let alignment = 0
+      if (response.source === "realtime" && intent === "realtime") alignment = 0.1
+      if (response.source === "pdf" && intent === "rag") alignment = 0.1
+      if (response.source === "rag" && intent === "rag") alignment = 0.05
+      if (alignment > 0) {
+        score += alignment
+        reasons.push(`${response.source} source matches ${intent} intent`)
+      }
 
       return {
         ...response,
         rankScore: Math.min(score, 1.0),
+        rankReasons: reasons,
       }
     })
     .sort((a, b) => b.rankScore - a.rankScore)
@@ -102,6 +102,7 @@ async function main() {
         size: 2048576,
         pageCount: 12,
         vectorCount: 48,
+        storageKey: "pdfs/sample-document.pdf",
       },
     })
 
@@ -8,12 +8,15 @@ import { dirname } from "path"
 import { createLogger } from "./utils/logger.js"
 import { initializeCronJobs } from "./services/cron.js"
 import { initializePDFQueue } from "./services/queueProcessor.js"
+import { reindexDocuments } from "./services/rag.js"
 import { SessionManager } from "./utils/sessionManager.js"
 import { validateApiKeys } from "./utils/rateLimiter.js"
 import chatRoutes from "./routes/chat.js"
+import conversationRoutes from "./routes/conversations.js"
 import analyticsRoutes from "./routes/analytics.js"
 import pdfRoutes from "./routes/pdf.js"
 import adminRoutes from "./routes/admin.js"
+import knowledgeBaseRoutes from "./routes/knowledgeBase.js"
 import examplesRoutes from "./routes/examples.js"
 import selftestRoutes from "./routes/selftest.js"
 import healthRoutes from "./routes/health.js"
@@ -71,9 +74,11 @@ app.use("/api/auth", authRoutes)
 
 // API Routes
 app.use("/api", chatRoutes)
+app.use("/api", conversationRoutes)
 app.use("/api", pdfRoutes)
 app.use("/api", analyticsRoutes)
 app.use("/api", adminRoutes)
+app.use("/api", knowledgeBaseRoutes)
 app.use("/api", usersRoutes) // Added user management routes
 app.use("/api", examplesRoutes)
 app.use("/api", selftestRoutes)
@@ -103,6 +108,9 @@ async function startServer() {
 
     await initializePDFQueue()
 
+    // Load or build the knowledge base vector index before serving queries
+    await reindexDocuments()
+
     // Initialize cron jobs
     await initializeCronJobs()
     logger.info("Cron jobs initialized")
@@ -121,6 +129,7 @@ async function startServer() {
       logger.info(`Health check: http://localhost:${PORT}/health`)
       logger.info(`Auth routes: http://localhost:${PORT}/api/auth`)
       logger.info(`Chat endpoint: POST http://localhost:${PORT}/api/chat`)
+      logger.info(`Conversations: http://localhost:${PORT}/api/conversations`)
       logger.info(`PDF upload: POST http://localhost:${PORT}/api/pdf/upload`)
       logger.info(`Analytics: GET http://localhost:${PORT}/api/analytics`)
       logger.info(`Admin routes: http://localhost:${PORT}/api/admin`)
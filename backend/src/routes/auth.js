@@ -17,6 +17,7 @@ import {
   getUserById,
   updateUserProfile,
 } from "../services/authService.js"
+import { getQuotaStatus } from "../services/quotas.js"
 import { authRequired, approvalRequired } from "../middleware/authMiddleware.js"
 import { createLogger } from "../utils/logger.js"
 
@@ -168,14 +169,16 @@ router.post("/refresh", async (req, res, next) => {
 
 /**
  * GET /auth/me
- * Get current authenticated user profile
+ * Get current authenticated user profile, with document quota limits and usage
  */
 router.get("/me", authRequired, approvalRequired, async (req, res, next) => {
   try {
     const user = await getUserById(req.userId)
+    const { limits, usage } = await getQuotaStatus(req.userId)
     res.json({
       success: true,
       user,
+      quota: { limits, usage },
     })
   } catch (error) {
     logger.error(`Get profile error: ${error.message}`)
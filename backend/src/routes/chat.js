@@ -1,10 +1,18 @@
 import express from "express"
-import { detectIntent, getIntentSystemPrompt } from "../services/intentDetector.js"
+import { detectIntent, getIntentSystemPrompt, resolveFollowUp } from "../services/intentDetector.js"
 import { fetchLiveData } from "../services/realtime.js"
 import { queryVectorStore } from "../services/rag.js"
-import { queryPDFDocuments } from "../services/pdfProcessor.js"
-import { generateResponse } from "../services/llm.js"
+import { queryPDFDocuments, findUnownedDocuments } from "../services/pdfProcessor.js"
+import { generateResponse, streamResponse } from "../services/llm.js"
 import { ResponseMerger } from "../services/responseMerger.js"
+import { validateRetrievalOptions } from "../services/hybridSearch.js"
+import {
+  createConversation,
+  getConversation,
+  getConversationHistory,
+  appendExchange,
+  deleteEmptyConversation,
+} from "../services/conversation.js"
 import { createLogger } from "../utils/logger.js"
 import { authRequired, approvalRequired } from "../middleware/authMiddleware.js"
 import { PrismaClient } from "@prisma/client"
@@ -14,37 +22,102 @@ const router = express.Router()
 const prisma = new PrismaClient()
 const logger = createLogger()
 
-router.post("/chat", authRequired, approvalRequired, async (req, res, next) => {
-  const startTime = Date.now()
+const TEMPERATURE_UNITS = ["celsius", "fahrenheit"]
 
-  try {
-    const { message } = req.body
-    const sessionId = req.sessionId
-    const userId = req.userId // Get userId from auth middleware
+/**
+ * Validate the chat request body
+ * Returns an error message, or null when the body is valid
+ */
+function validateChatRequest(body) {
+  const { message, conversationId, retrieval, documentIds, temperatureUnit } = body
 
-    // Validate input
-    if (!message || typeof message !== "string") {
-      return res.status(400).json({
-        error: "Message is required and must be a string",
-      })
-    }
+  if (!message || typeof message !== "string") {
+    return "Message is required and must be a string"
+  }
 
-    logger.info(`Chat request from user ${userId}: ${message.substring(0, 50)}...`)
+  if (conversationId !== undefined && typeof conversationId !== "string") {
+    return "conversationId must be a string"
+  }
 
-    const intentResult = detectIntent(message)
-    const intent = intentResult.intent
-    const intentType = intentResult.type
+  if (documentIds !== undefined && (!Array.isArray(documentIds) || documentIds.some((id) => typeof id !== "string"))) {
+    return "documentIds must be an array of strings"
+  }
 
-    const context = ""
-    const sources = {}
-    const sourceDetails = {}
+  if (temperatureUnit !== undefined && !TEMPERATURE_UNITS.includes(temperatureUnit)) {
+    return `temperatureUnit must be one of: ${TEMPERATURE_UNITS.join(", ")}`
+  }
 
-    // Fetch data from multiple sources based on intent
-    try {
-      // 1. Check for real-time data
-      if (intent === "realtime") {
-        logger.info(`Real-time query detected (${intentType})`)
-        const liveData = await fetchLiveData(message, intentType)
+  return validateRetrievalOptions(retrieval)
+}
+
+/**
+ * Check that every requested document belongs to the user
+ * Returns an error message, or null when the selection is valid
+ */
+async function validateDocumentSelection(userId, documentIds) {
+  if (!documentIds?.length) return null
+
+  const unknown = await findUnownedDocuments(documentIds, userId)
+  return unknown.length > 0 ? `Unknown documentIds: ${unknown.join(", ")}` : null
+}
+
+/**
+ * Continue an existing conversation or start a new one (flagged isNew)
+ * A new conversation keeps the request's documentIds as its document scope
+ * Returns null when the conversation does not belong to the user
+ */
+async function resolveConversation(userId, conversationId, message, documentIds) {
+  if (conversationId) {
+    return getConversation(userId, conversationId)
+  }
+  return { ...(await createConversation(userId, message, documentIds)), isNew: true }
+}
+
+/**
+ * Remove a conversation this request started when its first exchange was never stored (failed or aborted)
+ */
+async function discardNewConversation(userId, conversation) {
+  if (!conversation?.isNew) return
+
+  try {
+    await deleteEmptyConversation(userId, conversation.id)
+  } catch (error) {
+    logger.warn(`Failed to remove empty conversation ${conversation.id}: ${error.message}`)
+  }
+}
+
+/**
+ * Source entry for a realtime lookup that failed: { success: false, failure }, left out of the merge
+ */
+function realtimeFailure(type, liveData) {
+  return {
+    success: false,
+    failure: { ...liveData.failure, error: liveData.error },
+    metadata: { type, apiUsed: liveData.apiUsed || null },
+  }
+}
+
+/**
+ * Fetch data from every source that applies to the message
+ * retrieval: per-request { k, weights, minRelevance } for the PDF and knowledge base searches
+ * documentIds: uploaded documents to search (empty = all of the user's documents)
+ * preferences: passed to the realtime provider, e.g. { temperatureUnit }
+ */
+async function gatherSources(message, userId, intentResult, retrieval = {}, documentIds = [], preferences = {}) {
+  const intent = intentResult.intent
+  const intentType = intentResult.type
+  const sources = {}
+
+  try {
+    // 1. Check for real-time data (only when a provider matched the question)
+    if (intent === "realtime" && intentType) {
+      logger.info(`Real-time query detected (${intentType})`)
+      const liveData = await fetchLiveData(message, intentType, intentResult.entities, preferences)
+      if (liveData.failure) {
+        // Failed lookups are reported to the LLM as unavailable, never passed on as data
+        logger.warn(`Real-time ${intentType} data unavailable (${liveData.failure.reason}): ${liveData.error}`)
+        sources.realtime = realtimeFailure(intentType, liveData)
+      } else {
         sources.realtime = {
           success: true,
           content: JSON.stringify(liveData),
@@ -52,111 +125,433 @@ router.post("/chat", authRequired, approvalRequired, async (req, res, next) => {
           metadata: {
             type: intentType,
             cached: liveData.cached || false,
+            stale: liveData.stale || false,
+            dataAgeSeconds: liveData.dataAgeSeconds ?? 0,
             apiUsed: liveData.apiUsed,
+            ...(liveData.clarification && { clarification: liveData.clarification }),
+            ...(liveData.otherPlaces && { location: liveData.location, otherPlaces: liveData.otherPlaces }),
           },
         }
       }
-    } catch (error) {
-      logger.warn(`Real-time API error: ${error.message}`)
-      sources.realtime = { success: false }
     }
+  } catch (error) {
+    logger.warn(`Real-time API error: ${error.message}`)
+    sources.realtime = realtimeFailure(intentType, {
+      error: error.message,
+      failure: { reason: "upstream_error", retryable: true },
+    })
+  }
 
-    try {
-      // 2. Query user's uploaded PDFs (higher priority)
-      const userDocs = await queryPDFDocuments(message, userId, 5) // Use userId instead of sessionId
-      if (userDocs.length > 0) {
-        logger.info(`Found ${userDocs.length} PDF results`)
-        sources.pdf = {
-          success: true,
-          content: userDocs.map((doc) => doc.content).join("\n"),
-          confidence: 0.9,
+  try {
+    // 2. Query user's uploaded PDFs (higher priority)
+    const userDocs = await queryPDFDocuments(message, userId, { k: 5, ...retrieval, documentIds })
+    if (userDocs.length > 0) {
+      logger.info(`Found ${userDocs.length} PDF results`)
+      sources.pdf = {
+        success: true,
+        content: userDocs.map((doc) => doc.content).join("\n"),
+        // Results are ordered by fused rank, so take the best relevance rather than the first
+        confidence: Math.max(...userDocs.map((d) => d.score)),
+        metadata: {
+          documentsFound: userDocs.length,
+          // Enough for the client to open the document on the cited page and highlight the passage
+          documents: userDocs.map((d) => ({
+            documentId: d.documentId,
+            filename: d.filename,
+            chunkId: d.chunkId,
+            pageStart: d.pageStart,
+            pageEnd: d.pageEnd,
+            citation: d.citation,
+            score: d.score,
+            content: d.content,
+          })),
+        },
+        chunks: userDocs.map((d) => ({
+          content: d.content,
+          confidence: d.score,
           metadata: {
-            documentsFound: userDocs.length,
-            documents: userDocs.map((d) => ({ filename: d.filename, chunkId: d.chunkId })),
+            documentId: d.documentId,
+            filename: d.filename,
+            chunkId: d.chunkId,
+            pageStart: d.pageStart,
+            pageEnd: d.pageEnd,
+            headings: d.headings,
+            rows: d.rows,
+            citation: d.citation,
           },
-        }
+        })),
       }
-    } catch (error) {
-      logger.warn(`PDF query error: ${error.message}`)
     }
+  } catch (error) {
+    logger.warn(`PDF query error: ${error.message}`)
+  }
 
-    try {
-      // 3. Query general RAG knowledge base
-      const ragResults = await queryVectorStore(message)
-      if (ragResults.length > 0) {
-        logger.info(`Found ${ragResults.length} RAG results`)
-        sources.rag = {
-          success: true,
-          content: ragResults.map((doc) => doc.content).join("\n"),
-          confidence: 0.8,
-          metadata: {
-            documentsFound: ragResults.length,
-          },
-        }
+  try {
+    // 3. Query general RAG knowledge base
+    const ragResults = await queryVectorStore(message, retrieval)
+    if (ragResults.length > 0) {
+      logger.info(`Found ${ragResults.length} RAG results`)
+      sources.rag = {
+        success: true,
+        content: ragResults.map((doc) => doc.content).join("\n"),
+        confidence: Math.max(...ragResults.map((d) => d.score)),
+        metadata: {
+          documentsFound: ragResults.length,
+          documents: ragResults.map((d) => ({ id: d.id, title: d.title, score: d.score })),
+        },
+        chunks: ragResults.map((d) => ({
+          content: d.content,
+          confidence: d.score,
+          metadata: { id: d.id, title: d.title },
+        })),
       }
-    } catch (error) {
-      logger.warn(`RAG query error: ${error.message}`)
     }
+  } catch (error) {
+    logger.warn(`RAG query error: ${error.message}`)
+  }
+
+  return sources
+}
 
-    // 4. Get merged context and merge responses
-    const merged = await ResponseMerger.mergeResponses(sources, message, intent)
+/**
+ * Merge sources and build the LLM inputs
+ */
+async function prepareGeneration(sources, message, intent) {
+  // 4. Get merged context and merge responses
+  const merged = await ResponseMerger.mergeResponses(sources, message, intent)
 
-    // If we have context, use it for LLM generation
-    const systemPrompt = getIntentSystemPrompt(intent)
-    const contextForLLM =
-      merged.primaryResponse ||
-      Object.values(sources)
-        .filter((s) => s.success)
-        .map((s) => s.content)
-        .join("\n")
+  // The merger's top-ranked evidence is the LLM context
+  let systemPrompt = getIntentSystemPrompt(intent)
+  if (merged.citations.length > 0) {
+    systemPrompt +=
+      "\n\nWhen you use an excerpt from the user's documents, cite it in parentheses with the label shown before it, e.g. (report.pdf p. 3)."
+  }
+  if (sources.realtime?.metadata?.stale) {
+    const minutes = Math.max(Math.round(sources.realtime.metadata.dataAgeSeconds / 60), 1)
+    systemPrompt += `\n\nThe live data was fetched ${minutes} minutes ago and may be out of date; say how old it is.`
+  }
+  const { location, otherPlaces } = sources.realtime?.metadata || {}
+  if (otherPlaces) {
+    systemPrompt += `\n\nThe live data is for ${location}. Say so, and that the user can ask about ${otherPlaces.join("; ")} instead.`
+  }
+  for (const { source, type, error } of merged.failures) {
+    systemPrompt += `\n\nThe live ${type || source} lookup failed (${error}). Tell the user it is unavailable rather than guessing it.`
+  }
+  const contextForLLM =
+    merged.primaryResponse ||
+    Object.values(sources)
+      .filter((s) => s.success)
+      .map((s) => s.content)
+      .join("\n")
 
-    // 5. Generate final response using LLM
-    const reply = await generateResponse(contextForLLM, message, systemPrompt)
+  return { merged, systemPrompt, contextForLLM }
+}
+
+/**
+ * Text to append so the reply cites every PDF excerpt it was given ("" when all are already cited)
+ */
+function missingCitations(reply, citations) {
+  const missing = citations.filter((citation) => !reply.includes(citation))
+  return missing.length > 0 ? `\n\nSources: ${missing.join("; ")}` : ""
+}
+
+/**
+ * Question to ask back instead of answering, when a realtime provider needs the user to narrow the message down
+ * (e.g. several places with the same name). Returns the clarification, or null
+ */
+function realtimeClarification(sources) {
+  return sources.realtime?.metadata?.clarification || null
+}
+
+function clarificationResult(clarification) {
+  return { reply: clarification.question, provider: null, model: null }
+}
+
+/**
+ * Persist the exchange, write the QueryLog row and record analytics
+ */
+async function recordExchange({
+  userId,
+  conversation,
+  message,
+  reply,
+  llmResult,
+  intentResult,
+  sources,
+  merged,
+  responseTime,
+}) {
+  await appendExchange(conversation.id, message, reply)
+
+  const sourceType = merged.usedSources.length > 1 ? "hybrid" : merged.usedSources[0]
+
+  await prisma.queryLog.create({
+    data: {
+      userId,
+      question: message,
+      answer: reply,
+      intent: intentResult.type,
+      conversationId: conversation.id,
+      sourceType,
+      apiUsed: sources.realtime?.metadata?.apiUsed || null,
+      confidenceScore: merged.confidenceScore,
+      llmProvider: llmResult.provider,
+      llmModel: llmResult.model,
+      durationMs: responseTime,
+      documentsUsed: sources.pdf?.metadata?.documents?.map((d) => d.filename) || [],
+    },
+  })
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      totalQueries: { increment: 1 },
+      lastActiveAt: new Date(),
+    },
+  })
+
+  // Record analytics
+  analytics.recordQuery(intentResult.intent, responseTime)
+  if (merged.sourceDetails.length > 0) {
+    analytics.recordCacheEvent(sources.realtime?.metadata?.cached)
+  }
+
+  logger.info(
+    `Chat response generated (${responseTime}ms, sources: ${merged.usedSources.join(", ")}, llm: ${llmResult.provider})`,
+  )
+}
+
+/**
+ * Stream the chat pipeline as Server-Sent Events
+ * Events: intent, sources, token (one per LLM chunk), done, error
+ */
+async function handleChatStream(req, res) {
+  const startTime = Date.now()
+  const { message, conversationId, documentIds } = req.body
+  const sessionId = req.sessionId
+  const userId = req.userId
+
+  const validationError = validateChatRequest(req.body) || (await validateDocumentSelection(userId, documentIds))
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
+  }
 
+  const conversation = await resolveConversation(userId, conversationId, message, documentIds)
+  if (!conversation) {
+    return res.status(404).json({ error: "Conversation not found" })
+  }
+
+  res.status(200)
+  res.setHeader("Content-Type", "text/event-stream")
+  res.setHeader("Cache-Control", "no-cache")
+  res.setHeader("Connection", "keep-alive")
+  res.setHeader("X-Accel-Buffering", "no") // Disable proxy buffering (nginx)
+  res.flushHeaders()
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  // Stop generating tokens if the client goes away
+  const abortController = new AbortController()
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      logger.info(`Chat stream closed by client (user ${userId})`)
+      abortController.abort()
+    }
+  })
+
+  try {
+    logger.info(`Chat stream request from user ${userId}: ${message.substring(0, 50)}...`)
+
+    const history = await getConversationHistory(conversation)
+
+    // Follow-ups ("and in Paris?") are read against the earlier question for intent and source lookups
+    const query = resolveFollowUp(message, history)
+    const intentResult = detectIntent(query)
+    sendEvent("intent", {
+      intent: intentResult.intent,
+      type: intentResult.type || null,
+      confidence: intentResult.confidence,
+      method: intentResult.method,
+      conversationId: conversation.id,
+    })
+
+    const sources = await gatherSources(
+      query,
+      userId,
+      intentResult,
+      req.body.retrieval,
+      documentIds ?? conversation.documentIds,
+      { temperatureUnit: req.body.temperatureUnit },
+    )
+    sendEvent("sources", {
+      sources: Object.entries(sources)
+        .filter(([, source]) => source.success)
+        .map(([name, source]) => ({ source: name, confidence: source.confidence, metadata: source.metadata || {} })),
+    })
+
+    const { merged, systemPrompt, contextForLLM } = await prepareGeneration(sources, query, intentResult.intent)
+
+    // 5. Stream the final response from the LLM (or ask the user to clarify)
+    const clarification = realtimeClarification(sources)
+    let llmResult
+    if (clarification) {
+      llmResult = clarificationResult(clarification)
+      sendEvent("token", { content: llmResult.reply })
+    } else {
+      llmResult = await streamResponse(
+        contextForLLM,
+        message,
+        systemPrompt,
+        history,
+        (token) => sendEvent("token", { content: token }),
+        abortController.signal,
+      )
+    }
+
+    if (abortController.signal.aborted) {
+      await discardNewConversation(userId, conversation)
+      return
+    }
+
+    const citationFooter = missingCitations(llmResult.reply, merged.citations)
+    if (citationFooter) {
+      sendEvent("token", { content: citationFooter })
+    }
+
+    const reply = llmResult.reply + citationFooter
     const responseTime = Date.now() - startTime
-    const sourceType = merged.usedSources.length > 1 ? "hybrid" : merged.usedSources[0]
-
-    await prisma.queryLog.create({
-      data: {
-        userId,
-        question: message,
-        answer: reply,
-        intent: intentResult.type,
-        sourceType,
-        apiUsed: sources.realtime?.metadata?.apiUsed || null,
-        confidenceScore: merged.confidenceScore,
-        durationMs: responseTime,
-        documentsUsed: sources.pdf?.metadata?.documents?.map((d) => d.filename) || [],
-      },
+    await recordExchange({
+      userId,
+      conversation,
+      message,
+      reply,
+      llmResult,
+      intentResult,
+      sources,
+      merged,
+      responseTime,
     })
 
-    await prisma.user.update({
-      where: { id: userId },
-      data: {
-        totalQueries: { increment: 1 },
-        lastActiveAt: new Date(),
-      },
+    sendEvent("done", {
+      reply,
+      intent: intentResult.intent,
+      sourceDetails: merged.sourceDetails,
+      citations: merged.citations,
+      ...(clarification && { clarification }),
+      ...(merged.failures.length > 0 && { failures: merged.failures }),
+      confidenceScore: merged.confidenceScore,
+      llmProvider: llmResult.provider,
+      conversationId: conversation.id,
+      sessionId,
+      userId,
+      timestamp: new Date().toISOString(),
+      responseTime,
     })
+    res.end()
+  } catch (error) {
+    await discardNewConversation(userId, conversation)
+    if (abortController.signal.aborted) return
+
+    logger.error(`Chat stream error: ${error.message}`, error)
+    analytics.recordError()
+    sendEvent("error", { error: error.message || "Internal Server Error" })
+    res.end()
+  }
+}
+
+router.post("/chat/stream", authRequired, approvalRequired, async (req, res, next) => {
+  try {
+    await handleChatStream(req, res)
+  } catch (error) {
+    logger.error(`Chat stream error: ${error.message}`, error)
+    analytics.recordError()
+    next(error)
+  }
+})
 
-    // Record analytics
-    analytics.recordQuery(intent, responseTime)
-    if (merged.sourceDetails.length > 0) {
-      analytics.recordCacheEvent(sources.realtime?.metadata?.cached)
+router.post("/chat", authRequired, approvalRequired, async (req, res, next) => {
+  const startTime = Date.now()
+  let conversation = null
+
+  try {
+    // Clients asking for an event stream get the streaming variant
+    if (req.accepts(["application/json", "text/event-stream"]) === "text/event-stream") {
+      return await handleChatStream(req, res)
     }
 
-    logger.info(`Chat response generated (${responseTime}ms, sources: ${merged.usedSources.join(", ")})`)
+    const { message, conversationId, documentIds } = req.body
+    const sessionId = req.sessionId
+    const userId = req.userId // Get userId from auth middleware
+
+    // Validate input
+    const validationError = validateChatRequest(req.body) || (await validateDocumentSelection(userId, documentIds))
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    conversation = await resolveConversation(userId, conversationId, message, documentIds)
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" })
+    }
+    const history = await getConversationHistory(conversation)
+
+    logger.info(`Chat request from user ${userId}: ${message.substring(0, 50)}...`)
+
+    // Follow-ups ("and in Paris?") are read against the earlier question for intent and source lookups
+    const query = resolveFollowUp(message, history)
+    const intentResult = detectIntent(query)
+    const intent = intentResult.intent
+
+    // Fetch data from multiple sources based on intent
+    const sources = await gatherSources(
+      query,
+      userId,
+      intentResult,
+      req.body.retrieval,
+      documentIds ?? conversation.documentIds,
+      { temperatureUnit: req.body.temperatureUnit },
+    )
+    const { merged, systemPrompt, contextForLLM } = await prepareGeneration(sources, query, intent)
+
+    // 5. Generate final response using LLM (or ask the user to clarify)
+    const clarification = realtimeClarification(sources)
+    const llmResult = clarification
+      ? clarificationResult(clarification)
+      : await generateResponse(contextForLLM, message, systemPrompt, history)
+    const reply = llmResult.reply + missingCitations(llmResult.reply, merged.citations)
+
+    const responseTime = Date.now() - startTime
+    await recordExchange({
+      userId,
+      conversation,
+      message,
+      reply,
+      llmResult,
+      intentResult,
+      sources,
+      merged,
+      responseTime,
+    })
 
     res.json({
       reply,
       intent,
       sources: merged.sourceDetails,
+      citations: merged.citations,
+      ...(clarification && { clarification }),
+      ...(merged.failures.length > 0 && { failures: merged.failures }),
       confidenceScore: merged.confidenceScore,
+      llmProvider: llmResult.provider,
+      conversationId: conversation.id,
       sessionId,
       userId, // Include userId in response
       timestamp: new Date().toISOString(),
       responseTime,
     })
   } catch (error) {
+    await discardNewConversation(req.userId, conversation)
     logger.error(`Chat error: ${error.message}`, error)
     analytics.recordError()
     next(error)
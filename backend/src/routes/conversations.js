@@ -0,0 +1,156 @@
+/**
+ * Conversation Routes
+ * GET /api/conversations - List user's conversations
+ * GET /api/conversations/:id - Get conversation with messages
+ * PATCH /api/conversations/:id - Rename conversation or change its document scope
+ * DELETE /api/conversations/:id - Delete conversation
+ */
+
+import express from "express"
+import {
+  listConversations,
+  getConversationWithMessages,
+  updateConversation,
+  deleteConversation,
+} from "../services/conversation.js"
+import { findUnownedDocuments } from "../services/pdfProcessor.js"
+import { authRequired, approvalRequired } from "../middleware/authMiddleware.js"
+import { createLogger } from "../utils/logger.js"
+
+const router = express.Router()
+const logger = createLogger()
+
+router.use("/conversations", authRequired, approvalRequired)
+
+/**
+ * GET /api/conversations
+ * List conversations with pagination
+ */
+router.get("/conversations", async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Math.min(Number.parseInt(req.query.limit) || 20, 100)
+
+    const { conversations, total } = await listConversations(req.userId, { page, limit })
+
+    res.json({
+      success: true,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      conversations,
+    })
+  } catch (error) {
+    logger.error(`List conversations error: ${error.message}`)
+    res.status(500).json({ error: "Failed to list conversations" })
+  }
+})
+
+/**
+ * GET /api/conversations/:id
+ * Get a conversation and all of its messages
+ */
+router.get("/conversations/:id", async (req, res) => {
+  try {
+    const conversation = await getConversationWithMessages(req.userId, req.params.id)
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" })
+    }
+
+    res.json({
+      success: true,
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        documentIds: conversation.documentIds,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        messages: conversation.messages,
+      },
+    })
+  } catch (error) {
+    logger.error(`Get conversation error: ${error.message}`)
+    res.status(500).json({ error: "Failed to get conversation" })
+  }
+})
+
+/**
+ * PATCH /api/conversations/:id
+ * Body: { title?, documentIds? } - rename, and/or choose which uploaded documents chat searches ([] = all)
+ */
+router.patch("/conversations/:id", async (req, res) => {
+  try {
+    const { title, documentIds } = req.body
+
+    if (title === undefined && documentIds === undefined) {
+      return res.status(400).json({ error: "title or documentIds is required" })
+    }
+
+    if (title !== undefined && (!title || typeof title !== "string" || !title.trim())) {
+      return res.status(400).json({ error: "Title is required and must be a string" })
+    }
+
+    if (documentIds !== undefined) {
+      if (!Array.isArray(documentIds) || documentIds.some((id) => typeof id !== "string")) {
+        return res.status(400).json({ error: "documentIds must be an array of strings" })
+      }
+
+      const unknown = await findUnownedDocuments(documentIds, req.userId)
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown documentIds: ${unknown.join(", ")}` })
+      }
+    }
+
+    const conversation = await updateConversation(req.userId, req.params.id, {
+      title: title?.trim().substring(0, 200),
+      documentIds,
+    })
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" })
+    }
+
+    res.json({
+      success: true,
+      message: "Conversation updated successfully",
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        documentIds: conversation.documentIds,
+        updatedAt: conversation.updatedAt,
+      },
+    })
+  } catch (error) {
+    logger.error(`Update conversation error: ${error.message}`)
+    res.status(500).json({ error: "Failed to update conversation" })
+  }
+})
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a conversation and its messages
+ */
+router.delete("/conversations/:id", async (req, res) => {
+  try {
+    const deleted = await deleteConversation(req.userId, req.params.id)
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Conversation not found" })
+    }
+
+    res.json({
+      success: true,
+      message: "Conversation deleted successfully",
+      conversationId: req.params.id,
+    })
+  } catch (error) {
+    logger.error(`Delete conversation error: ${error.message}`)
+    res.status(500).json({ error: "Failed to delete conversation" })
+  }
+})
+
+export default router
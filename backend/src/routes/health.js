@@ -7,6 +7,8 @@ import express from "express"
 import { createLogger } from "../utils/logger.js"
 import { SessionManager } from "../utils/sessionManager.js"
 import { getAnalytics } from "../utils/analytics.js"
+import { checkProvidersHealth } from "../services/llm.js"
+import { getRealtimeHealth } from "../services/realtime.js"
 
 const router = express.Router()
 const logger = createLogger()
@@ -15,15 +17,24 @@ router.get("/health/detailed", (req, res) => {
   try {
     const sessions = SessionManager.getAllSessions()
     const stats = getAnalytics()
+    // Open circuits mean some realtime answers are unavailable, not that the server is down
+    const realtime = getRealtimeHealth()
 
     const healthStatus = {
-      status: "healthy",
+      status: realtime.degraded ? "degraded" : "healthy",
       timestamp: new Date().toISOString(),
       checks: {
         backend: { status: "ok", message: "Backend server is running" },
         database: { status: "ok", message: "Session storage operational" },
         cache: { status: "ok", message: "Cache system operational" },
         rateLimiter: { status: "ok", message: "Rate limiter active" },
+        realtimeApis: {
+          status: realtime.degraded ? "degraded" : "ok",
+          message: realtime.degraded
+            ? `Circuit open for: ${realtime.openCircuits.join(", ")}`
+            : "All realtime API circuits closed",
+          providers: realtime.providers,
+        },
       },
       metrics: {
         activeSessions: sessions.length,
@@ -45,6 +56,26 @@ router.get("/health/detailed", (req, res) => {
   }
 })
 
+router.get("/health/llm", async (req, res) => {
+  try {
+    const providers = await checkProvidersHealth()
+    const healthy = providers.some((p) => p.chainPosition !== -1 && p.healthy)
+
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? "healthy" : "unhealthy",
+      providers,
+      timestamp: new Date().toISOString(),
+    })
+  } catch (err) {
+    logger.error("LLM health check error:", err)
+    res.status(500).json({
+      status: "unhealthy",
+      error: err.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
 router.get("/health/live", (req, res) => {
   res.json({ alive: true, timestamp: new Date().toISOString() })
 })
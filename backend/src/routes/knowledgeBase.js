@@ -0,0 +1,295 @@
+/**
+ * Knowledge Base Routes (Admin)
+ * GET /admin/kb - List documents (filter by category, tag, q)
+ * GET /admin/kb/search - Search the knowledge base as the chat pipeline does
+ * GET /admin/kb/categories - List categories with document counts
+ * POST /admin/kb/import - Bulk import documents
+ * GET /admin/kb/:id - Get a document
+ * POST /admin/kb - Create a document
+ * PUT /admin/kb/:id - Update a document (new version)
+ * DELETE /admin/kb/:id - Delete a document
+ * GET /admin/kb/:id/revisions - List a document's revisions
+ * POST /admin/kb/:id/rollback - Restore an earlier version
+ */
+
+import express from "express"
+import { authRequired, adminRequired } from "../middleware/authMiddleware.js"
+import {
+  validateDocument,
+  listDocuments,
+  getDocument,
+  listCategories,
+  createDocument,
+  updateDocument,
+  deleteDocument,
+  listRevisions,
+  rollbackDocument,
+  bulkImport,
+} from "../services/knowledgeBase.js"
+import { queryVectorStore } from "../services/rag.js"
+import { createLogger } from "../utils/logger.js"
+
+const router = express.Router()
+const logger = createLogger()
+
+const MAX_IMPORT_DOCUMENTS = 1000
+
+router.use("/admin/kb", authRequired, adminRequired)
+
+/**
+ * GET /admin/kb
+ * List documents with pagination
+ */
+router.get("/admin/kb", async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Math.min(Number.parseInt(req.query.limit) || 20, 100)
+    const { category, tag, q } = req.query
+
+    const { documents, total } = await listDocuments({ category, tag, q, page, limit })
+
+    res.json({
+      success: true,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      documents,
+    })
+  } catch (error) {
+    logger.error(`List KB documents error: ${error.message}`)
+    res.status(500).json({ error: "Failed to list knowledge base documents" })
+  }
+})
+
+/**
+ * GET /admin/kb/search?q=...&k=5&category=...&tags=a,b
+ * Hybrid search over the indexed knowledge base
+ */
+router.get("/admin/kb/search", async (req, res) => {
+  try {
+    const { q, category } = req.query
+
+    if (!q || typeof q !== "string") {
+      return res.status(400).json({ error: "Query parameter q is required" })
+    }
+
+    const k = Math.min(Number.parseInt(req.query.k) || 5, 20)
+    const tags = req.query.tags ? String(req.query.tags).split(",").map((tag) => tag.trim().toLowerCase()) : undefined
+
+    const results = await queryVectorStore(q, { k, category, tags })
+
+    res.json({
+      success: true,
+      query: q,
+      results: results.map((doc) => ({
+        id: doc.id,
+        title: doc.title,
+        category: doc.category,
+        tags: doc.tags || [],
+        version: doc.version,
+        score: doc.score,
+        content: doc.content,
+      })),
+    })
+  } catch (error) {
+    logger.error(`KB search error: ${error.message}`)
+    res.status(500).json({ error: "Failed to search knowledge base" })
+  }
+})
+
+/**
+ * GET /admin/kb/categories
+ */
+router.get("/admin/kb/categories", async (req, res) => {
+  try {
+    const categories = await listCategories()
+    res.json({ success: true, categories })
+  } catch (error) {
+    logger.error(`List KB categories error: ${error.message}`)
+    res.status(500).json({ error: "Failed to list categories" })
+  }
+})
+
+/**
+ * POST /admin/kb/import
+ * Body: { documents: [{ id?, title, content, category?, tags? }], mode?: "append" | "replace" }
+ */
+router.post("/admin/kb/import", async (req, res) => {
+  try {
+    const { documents, mode = "append" } = req.body
+
+    if (!Array.isArray(documents) || documents.length === 0) {
+      return res.status(400).json({ error: "documents must be a non-empty array" })
+    }
+    if (documents.length > MAX_IMPORT_DOCUMENTS) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_DOCUMENTS} documents can be imported at once` })
+    }
+    if (!["append", "replace"].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "append" or "replace"' })
+    }
+
+    for (const [index, doc] of documents.entries()) {
+      const validationError = validateDocument(doc)
+      if (validationError) {
+        return res.status(400).json({ error: `documents[${index}]: ${validationError}` })
+      }
+    }
+
+    const summary = await bulkImport(documents, req.userId, mode)
+
+    res.json({
+      success: true,
+      message: "Knowledge base import completed",
+      mode,
+      ...summary,
+    })
+  } catch (error) {
+    logger.error(`KB import error: ${error.message}`)
+    res.status(500).json({ error: "Failed to import documents" })
+  }
+})
+
+/**
+ * GET /admin/kb/:id
+ */
+router.get("/admin/kb/:id", async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id)
+
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" })
+    }
+
+    res.json({ success: true, document })
+  } catch (error) {
+    logger.error(`Get KB document error: ${error.message}`)
+    res.status(500).json({ error: "Failed to get document" })
+  }
+})
+
+/**
+ * POST /admin/kb
+ * Body: { title, content, category?, tags? }
+ */
+router.post("/admin/kb", async (req, res) => {
+  try {
+    const validationError = validateDocument(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const document = await createDocument(req.body, req.userId)
+
+    res.status(201).json({
+      success: true,
+      message: "Document created successfully",
+      document,
+    })
+  } catch (error) {
+    logger.error(`Create KB document error: ${error.message}`)
+    res.status(500).json({ error: "Failed to create document" })
+  }
+})
+
+/**
+ * PUT /admin/kb/:id
+ * Body: any of { title, content, category, tags }
+ */
+router.put("/admin/kb/:id", async (req, res) => {
+  try {
+    const validationError = validateDocument(req.body, { partial: true })
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const document = await updateDocument(req.params.id, req.body, req.userId)
+
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" })
+    }
+
+    res.json({
+      success: true,
+      message: "Document updated successfully",
+      document,
+    })
+  } catch (error) {
+    logger.error(`Update KB document error: ${error.message}`)
+    res.status(500).json({ error: "Failed to update document" })
+  }
+})
+
+/**
+ * DELETE /admin/kb/:id
+ */
+router.delete("/admin/kb/:id", async (req, res) => {
+  try {
+    const deleted = await deleteDocument(req.params.id, req.userId)
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Document not found" })
+    }
+
+    res.json({
+      success: true,
+      message: "Document deleted successfully",
+      documentId: req.params.id,
+    })
+  } catch (error) {
+    logger.error(`Delete KB document error: ${error.message}`)
+    res.status(500).json({ error: "Failed to delete document" })
+  }
+})
+
+/**
+ * GET /admin/kb/:id/revisions
+ */
+router.get("/admin/kb/:id/revisions", async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id)
+
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" })
+    }
+
+    const revisions = await listRevisions(req.params.id)
+    res.json({ success: true, documentId: document.id, currentVersion: document.version, revisions })
+  } catch (error) {
+    logger.error(`List KB revisions error: ${error.message}`)
+    res.status(500).json({ error: "Failed to list revisions" })
+  }
+})
+
+/**
+ * POST /admin/kb/:id/rollback
+ * Body: { version }
+ */
+router.post("/admin/kb/:id/rollback", async (req, res) => {
+  try {
+    const version = Number.parseInt(req.body.version)
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: "version must be a positive integer" })
+    }
+
+    const { document, error } = await rollbackDocument(req.params.id, version, req.userId)
+
+    if (error) {
+      return res.status(404).json({ error })
+    }
+
+    res.json({
+      success: true,
+      message: `Document rolled back to version ${version}`,
+      document,
+    })
+  } catch (error) {
+    logger.error(`Rollback KB document error: ${error.message}`)
+    res.status(500).json({ error: "Failed to roll back document" })
+  }
+})
+
+export default router
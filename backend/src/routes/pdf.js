@@ -1,13 +1,31 @@
 /**
  * PDF Routes
- * Handles PDF upload, retrieval, and management
+ * Handles document upload (PDF, DOCX, Markdown, HTML, TXT, CSV), retrieval, and management
  */
 
 import express from "express"
 import multer from "multer"
-import { queuePDFForProcessing } from "../services/queueProcessor.js"
-import { listSessionPDFs, deletePDFDocument, getPDFInfo } from "../services/pdfProcessor.js"
-import { validatePDF, uploadLimiter } from "../utils/rateLimiter.js"
+import {
+  queuePDFForProcessing,
+  findPendingJob,
+  getPendingUploads,
+  getJobStatus,
+  listUserJobs,
+  retryJob,
+} from "../services/queueProcessor.js"
+import {
+  listUserPDFs,
+  deletePDFDocument,
+  getPDFInfo,
+  openDocumentFile,
+  hashContent,
+  findDocumentByHash,
+} from "../services/pdfProcessor.js"
+import { detectFormat, supportedFormats } from "../services/extractors/index.js"
+import { summarizeDocument, askDocument, SUMMARY_LENGTHS } from "../services/documentQA.js"
+import { checkUploadQuota } from "../services/quotas.js"
+import { authRequired, approvalRequired } from "../middleware/authMiddleware.js"
+import { validateUpload, uploadLimiter, chatLimiter } from "../utils/rateLimiter.js"
 import { createLogger } from "../utils/logger.js"
 import analytics from "../utils/analytics.js"
 
@@ -22,38 +40,93 @@ const upload = multer({
   },
 })
 
-// POST /api/pdf/upload - Upload and process PDF
+// Documents belong to the authenticated user
+router.use("/pdf", authRequired, approvalRequired)
+
+// POST /api/pdf/upload - Upload and process a document
+// An exact re-upload returns the existing document unless the form field (or query) replace=true is sent
 router.post("/pdf/upload", uploadLimiter, upload.single("file"), async (req, res, next) => {
   try {
-    const sessionId = req.sessionId
+    const userId = req.userId
 
     if (!req.file) {
       return res.status(400).json({ error: "No file uploaded" })
     }
 
-    // Validate PDF
-    const validation = validatePDF(req.file)
+    const validation = validateUpload(req.file)
     if (!validation.valid) {
       return res.status(400).json({ error: validation.error })
     }
 
-    logger.info(`PDF upload initiated: ${req.file.originalname} (Session: ${sessionId})`)
+    // Detect the format from the file's content
+    const extractor = detectFormat(req.file.buffer, req.file.originalname)
+    if (!extractor) {
+      return res.status(400).json({
+        error: `Unsupported file type. Supported formats: ${supportedFormats().join(", ")}`,
+      })
+    }
 
-    // Queue PDF for processing
-    const result = await queuePDFForProcessing(req.file.buffer, req.file.originalname, sessionId)
+    const contentHash = hashContent(req.file.buffer)
+    const replace = [req.body.replace, req.query.replace].includes("true")
+    const existing = await findDocumentByHash(userId, contentHash)
 
-    analytics.recordPDFUpload()
-    if (!result.queued) {
-      analytics.recordPDFProcessed()
+    if (existing && !replace) {
+      logger.info(`Duplicate upload of ${existing.documentId}: ${req.file.originalname} (User: ${userId})`)
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: "Document already uploaded",
+        documentId: existing.documentId,
+        filename: existing.filename,
+        document: existing,
+      })
     }
 
+    const pendingJob = await findPendingJob(userId, contentHash)
+    if (pendingJob) {
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: "Document is already being processed",
+        jobId: pendingJob.jobId,
+        filename: pendingJob.filename,
+      })
+    }
+
+    // Document count, storage and (for PDFs) page quotas; chunks are checked once the job extracts the file
+    const quotaExceeded = await checkUploadQuota(userId, {
+      size: req.file.size,
+      pages: extractor.countPages ? await extractor.countPages(req.file.buffer) : null,
+      pending: await getPendingUploads(userId),
+      replaces: existing?.documentId,
+    })
+    if (quotaExceeded) {
+      logger.warn(`Upload rejected (${quotaExceeded.code}): ${req.file.originalname} (User: ${userId})`)
+      return res.status(quotaExceeded.status).json({
+        error: quotaExceeded.message,
+        code: quotaExceeded.code,
+        quota: quotaExceeded.quota,
+      })
+    }
+
+    logger.info(`${extractor.label} upload initiated: ${req.file.originalname} (User: ${userId})`)
+
+    // Queue document for processing
+    const result = await queuePDFForProcessing(req.file.buffer, req.file.originalname, userId, extractor, {
+      contentHash,
+      replaces: existing?.documentId,
+    })
+
+    analytics.recordPDFUpload()
+
     res.json({
       success: true,
-      message: result.queued ? "PDF queued for processing" : "PDF processed immediately",
+      message: `${extractor.label} queued for processing`,
       jobId: result.jobId,
-      documentId: result.result?.documentId,
+      documentId: result.documentId,
       filename: req.file.originalname,
-      chunksCreated: result.result?.chunksCreated,
+      format: extractor.format,
+      replaces: existing?.documentId || null,
     })
   } catch (error) {
     logger.error(`PDF upload error: ${error.message}`, error)
@@ -62,10 +135,9 @@ router.post("/pdf/upload", uploadLimiter, upload.single("file"), async (req, res
 })
 
 // GET /api/pdf/list - List user's PDFs
-router.get("/pdf/list", (req, res) => {
+router.get("/pdf/list", async (req, res) => {
   try {
-    const sessionId = req.sessionId
-    const pdfs = listSessionPDFs(sessionId)
+    const pdfs = await listUserPDFs(req.userId)
 
     res.json({
       success: true,
@@ -78,13 +150,169 @@ router.get("/pdf/list", (req, res) => {
   }
 })
 
+// GET /api/pdf/jobs - List the user's processing jobs (optional ?state=failed)
+router.get("/pdf/jobs", async (req, res) => {
+  try {
+    const states = req.query.state ? String(req.query.state).split(",") : undefined
+    const jobs = await listUserJobs(req.userId, { states })
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs,
+    })
+  } catch (error) {
+    logger.error(`PDF job list error: ${error.message}`, error)
+    res.status(500).json({ error: "Failed to list jobs" })
+  }
+})
+
+// GET /api/pdf/jobs/:jobId - Job state, stage progress and failure reason
+router.get("/pdf/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await getJobStatus(req.params.jobId, req.userId)
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" })
+    }
+
+    res.json({ success: true, job })
+  } catch (error) {
+    logger.error(`PDF job status error: ${error.message}`, error)
+    res.status(500).json({ error: "Failed to get job status" })
+  }
+})
+
+// POST /api/pdf/jobs/:jobId/retry - Re-run a failed job
+router.post("/pdf/jobs/:jobId/retry", async (req, res) => {
+  try {
+    const { job, error, status } = await retryJob(req.params.jobId, req.userId)
+
+    if (error) {
+      return res.status(status).json({ error })
+    }
+
+    res.json({
+      success: true,
+      message: "Job queued for retry",
+      job,
+    })
+  } catch (error) {
+    logger.error(`PDF job retry error: ${error.message}`, error)
+    res.status(500).json({ error: "Failed to retry job" })
+  }
+})
+
+// POST /api/pdf/:documentId/summarize - Map-reduce summary ({ length?: "short" | "medium" | "long", refresh?: boolean })
+router.post("/pdf/:documentId/summarize", chatLimiter, async (req, res) => {
+  try {
+    const { length = "medium", refresh = false } = req.body || {}
+
+    if (!Object.hasOwn(SUMMARY_LENGTHS, length)) {
+      return res.status(400).json({ error: `length must be one of: ${Object.keys(SUMMARY_LENGTHS).join(", ")}` })
+    }
+
+    const result = await summarizeDocument(req.params.documentId, req.userId, { length, refresh: refresh === true })
+
+    if (!result) {
+      return res.status(404).json({ error: "PDF not found" })
+    }
+
+    res.json({
+      success: true,
+      documentId: result.document.documentId,
+      filename: result.document.filename,
+      length: result.length,
+      summary: result.summary,
+      cached: result.cached,
+      createdAt: result.createdAt,
+    })
+  } catch (error) {
+    logger.error(`PDF summarize error: ${error.message}`, error)
+    res.status(500).json({ error: "Failed to summarize document" })
+  }
+})
+
+// POST /api/pdf/:documentId/ask - Answer a question from this document only ({ question, k? })
+router.post("/pdf/:documentId/ask", chatLimiter, async (req, res) => {
+  try {
+    const { question, k } = req.body || {}
+
+    if (!question || typeof question !== "string" || !question.trim()) {
+      return res.status(400).json({ error: "Question is required and must be a string" })
+    }
+    if (k !== undefined && (!Number.isInteger(k) || k < 1 || k > 20)) {
+      return res.status(400).json({ error: "k must be an integer between 1 and 20" })
+    }
+
+    const result = await askDocument(req.params.documentId, req.userId, question.trim(), { k })
+
+    if (!result) {
+      return res.status(404).json({ error: "PDF not found" })
+    }
+
+    res.json({
+      success: true,
+      documentId: result.document.documentId,
+      question: result.question,
+      answer: result.answer,
+      citations: result.citations,
+      sources: result.sources,
+      cached: result.cached,
+    })
+  } catch (error) {
+    logger.error(`PDF ask error: ${error.message}`, error)
+    res.status(500).json({ error: "Failed to answer question" })
+  }
+})
+
+// GET /api/pdf/:documentId/file - Stream the original uploaded file (PDFs inline, for the document viewer)
+router.get("/pdf/:documentId/file", async (req, res) => {
+  try {
+    const file = await openDocumentFile(req.params.documentId, req.userId)
+
+    if (!file) {
+      return res.status(404).json({ error: "PDF not found" })
+    }
+
+    const { document, stream } = file
+    // Stored files never change, so the content hash is a strong validator
+    const etag = document.contentHash ? `"${document.contentHash}"` : null
+    if (etag && req.get("If-None-Match") === etag) {
+      stream.destroy()
+      return res.status(304).end()
+    }
+
+    const asciiName = document.filename.replace(/[^\x20-\x7e]|["\\]/g, "_")
+    // Only PDFs are shown inline; other uploads (HTML among them) are user content that must not render
+    // from the API's origin, so they are downloads, and nothing served here may run scripts
+    const disposition = document.mimeType === "application/pdf" ? "inline" : "attachment"
+    res.set({
+      "Content-Type": document.mimeType,
+      "Content-Length": String(document.size),
+      "Content-Disposition": `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(document.filename)}`,
+      "Content-Security-Policy": "sandbox",
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, no-cache",
+    })
+    if (etag) res.set("ETag", etag)
+
+    stream.on("error", (error) => {
+      logger.error(`PDF file stream error: ${error.message}`, error)
+      res.destroy(error)
+    })
+    stream.pipe(res)
+  } catch (error) {
+    logger.error(`PDF file error: ${error.message}`, error)
+    res.status(500).json({ error: "Failed to get PDF file" })
+  }
+})
+
 // DELETE /api/pdf/:documentId - Delete a PDF
-router.delete("/pdf/:documentId", (req, res) => {
+router.delete("/pdf/:documentId", async (req, res) => {
   try {
     const { documentId } = req.params
-    const sessionId = req.sessionId
-
-    const deleted = deletePDFDocument(documentId, sessionId)
+    const deleted = await deletePDFDocument(documentId, req.userId)
 
     if (!deleted) {
       return res.status(404).json({ error: "PDF not found" })
@@ -102,10 +330,10 @@ router.delete("/pdf/:documentId", (req, res) => {
 })
 
 // GET /api/pdf/:documentId - Get PDF info
-router.get("/pdf/:documentId", (req, res) => {
+router.get("/pdf/:documentId", async (req, res) => {
   try {
     const { documentId } = req.params
-    const pdfInfo = getPDFInfo(documentId)
+    const pdfInfo = await getPDFInfo(documentId, req.userId)
 
     if (!pdfInfo) {
       return res.status(404).json({ error: "PDF not found" })
@@ -113,13 +341,7 @@ router.get("/pdf/:documentId", (req, res) => {
 
     res.json({
       success: true,
-      document: {
-        documentId: pdfInfo.documentId,
-        filename: pdfInfo.filename,
-        uploadedAt: pdfInfo.uploadedAt,
-        pageCount: pdfInfo.pageCount,
-        chunks: pdfInfo.chunks.length,
-      },
+      document: pdfInfo,
     })
   } catch (error) {
     logger.error(`PDF info error: ${error.message}`, error)
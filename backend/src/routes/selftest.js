@@ -8,6 +8,9 @@ import express from "express"
 import { createLogger } from "../utils/logger.js"
 import { SessionManager } from "../utils/sessionManager.js"
 import { getAnalytics } from "../utils/analytics.js"
+import { detectIntent, getIntentSystemPrompt } from "../services/intentDetector.js"
+import { generateResponse } from "../services/llm.js"
+import { getFallbackChain } from "../services/llmProviders/index.js"
 
 const router = express.Router()
 const logger = createLogger()
@@ -56,11 +59,19 @@ router.get("/selftest", async (req, res) => {
     }
 
     // Test 3: Environment Variables
+    const usingMockLLM = getFallbackChain()[0] === "mock"
     try {
       const requiredVars = ["OPENAI_API_KEY", "GROQ_API_KEY"]
       const availableVars = requiredVars.filter((v) => process.env[v])
 
-      if (availableVars.length > 0) {
+      if (usingMockLLM) {
+        results.tests.push({
+          name: "API Keys Configuration",
+          status: "passed",
+          note: "Mock LLM provider in use, no keys required",
+        })
+        results.passed++
+      } else if (availableVars.length > 0) {
         results.tests.push({
           name: "API Keys Configuration",
           status: "passed",
@@ -75,7 +86,32 @@ router.get("/selftest", async (req, res) => {
       results.failed++
     }
 
-    // Test 4: Memory Usage
+    // Test 4: Chat Pipeline (only against the mock provider, so it never spends real tokens)
+    if (usingMockLLM) {
+      try {
+        const message = "What is the weather in Paris?"
+        const intentResult = detectIntent(message)
+        const { reply, provider } = await generateResponse(
+          "selftest context",
+          message,
+          getIntentSystemPrompt(intentResult.intent),
+        )
+
+        if (reply && provider === "mock") {
+          results.tests.push({ name: "Chat Pipeline", status: "passed", note: `intent: ${intentResult.intent}` })
+          results.passed++
+        } else {
+          throw new Error("Mock LLM returned an empty reply")
+        }
+      } catch (err) {
+        results.tests.push({ name: "Chat Pipeline", status: "failed", error: err.message })
+        results.failed++
+      }
+    } else {
+      results.tests.push({ name: "Chat Pipeline", status: "skipped", note: "Set LLM_PROVIDER=mock to run" })
+    }
+
+    // Test 5: Memory Usage
     try {
       const memUsage = process.memoryUsage()
 
@@ -5,12 +5,16 @@
  * POST /admin/users/:id/reject - Reject user
  * POST /admin/users/:id/promote - Promote user to admin
  * GET /admin/users/:id/logs - Get user's query logs
+ * GET /admin/users/:id/quota - Get user's document quota limits and usage
+ * PUT /admin/users/:id/quota - Override user's quota limits
+ * DELETE /admin/users/:id/quota - Reset user's quota limits to the role defaults
  * GET /admin/users/:id - Get user details
  */
 
 import express from "express"
 import { authRequired, adminRequired } from "../middleware/authMiddleware.js"
 import { PrismaClient } from "@prisma/client"
+import { getQuotaStatus, setQuotaOverrides, validateQuotaOverrides, QUOTA_LIMITS } from "../services/quotas.js"
 import { createLogger } from "../utils/logger.js"
 
 const router = express.Router()
@@ -263,4 +267,80 @@ router.get("/admin/users/:id/logs", async (req, res, next) => {
   }
 })
 
+/**
+ * GET /admin/users/:id/quota
+ * Get user's effective quota limits, overrides and current usage
+ */
+router.get("/admin/users/:id/quota", async (req, res, next) => {
+  try {
+    const quota = await getQuotaStatus(req.params.id)
+
+    if (!quota) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    res.json({
+      success: true,
+      quota,
+    })
+  } catch (error) {
+    logger.error(`Get user quota error: ${error.message}`)
+    res.status(500).json({ error: "Failed to fetch user quota" })
+  }
+})
+
+/**
+ * PUT /admin/users/:id/quota
+ * Override quota limits: each a non-negative integer, null (unlimited) or "default" (use the role default)
+ */
+router.put("/admin/users/:id/quota", async (req, res, next) => {
+  try {
+    const validationError = validateQuotaOverrides(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const quota = await setQuotaOverrides(req.params.id, req.body)
+
+    if (!quota) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    logger.info(`User quota updated by admin ${req.userId}: ${req.params.id}`)
+
+    res.json({
+      success: true,
+      quota,
+    })
+  } catch (error) {
+    logger.error(`Update user quota error: ${error.message}`)
+    res.status(500).json({ error: "Failed to update user quota" })
+  }
+})
+
+/**
+ * DELETE /admin/users/:id/quota
+ * Remove all of the user's quota overrides
+ */
+router.delete("/admin/users/:id/quota", async (req, res, next) => {
+  try {
+    const reset = Object.fromEntries(QUOTA_LIMITS.map((key) => [key, "default"]))
+    const quota = await setQuotaOverrides(req.params.id, reset)
+
+    if (!quota) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    logger.info(`User quota reset by admin ${req.userId}: ${req.params.id}`)
+
+    res.json({
+      success: true,
+      quota,
+    })
+  } catch (error) {
+    logger.error(`Reset user quota error: ${error.message}`)
+    res.status(500).json({ error: "Failed to reset user quota" })
+  }
+})
+
 export default router
@@ -0,0 +1,95 @@
+/**
+ * BM25 Inverted Index
+ * Okapi BM25 keyword scoring with IDF, used by the knowledge base and PDF stores
+ */
+
+import { tokenize } from "../utils/tokenizer.js"
+
+const K1 = 1.2
+const B = 0.75
+
+export class BM25Index {
+  constructor() {
+    this.postings = new Map() // term -> Map(docId -> term frequency)
+    this.docLengths = new Map() // docId -> token count
+    this.totalLength = 0
+  }
+
+  get size() {
+    return this.docLengths.size
+  }
+
+  /**
+   * Index a document (replaces an existing document with the same id)
+   */
+  add(id, text) {
+    if (this.docLengths.has(id)) {
+      this.remove(id)
+    }
+
+    const tokens = tokenize(text)
+    const frequencies = new Map()
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1)
+    }
+
+    for (const [term, tf] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map())
+      }
+      this.postings.get(term).set(id, tf)
+    }
+
+    this.docLengths.set(id, tokens.length)
+    this.totalLength += tokens.length
+  }
+
+  remove(id) {
+    const length = this.docLengths.get(id)
+    if (length === undefined) return
+
+    for (const [term, docs] of this.postings) {
+      if (docs.delete(id) && docs.size === 0) {
+        this.postings.delete(term)
+      }
+    }
+
+    this.docLengths.delete(id)
+    this.totalLength -= length
+  }
+
+  clear() {
+    this.postings.clear()
+    this.docLengths.clear()
+    this.totalLength = 0
+  }
+
+  /**
+   * Score documents containing at least one query term
+   * Returns [{ id, score }] sorted by score, at most k results
+   */
+  search(query, k = 10) {
+    const terms = [...new Set(tokenize(query))]
+    if (terms.length === 0 || this.size === 0) return []
+
+    const avgLength = this.totalLength / this.size || 1
+    const scores = new Map()
+
+    for (const term of terms) {
+      const docs = this.postings.get(term)
+      if (!docs) continue
+
+      // Lucene-style IDF, never negative for very common terms
+      const idf = Math.log(1 + (this.size - docs.size + 0.5) / (docs.size + 0.5))
+
+      for (const [id, tf] of docs) {
+        const norm = tf + K1 * (1 - B + (B * this.docLengths.get(id)) / avgLength)
+        scores.set(id, (scores.get(id) || 0) + (idf * (tf * (K1 + 1))) / norm)
+      }
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+  }
+}
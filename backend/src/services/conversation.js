@@ -0,0 +1,211 @@
+/**
+ * Conversation Service
+ * Persists multi-turn chat history and builds the history window sent to the LLM
+ */
+
+import { PrismaClient } from "@prisma/client"
+import { summarizeConversation } from "./llm.js"
+import { createLogger } from "../utils/logger.js"
+
+const prisma = new PrismaClient()
+const logger = createLogger()
+
+// Number of recent turns (user + assistant pairs) passed verbatim to the LLM
+const HISTORY_TURNS = Number.parseInt(process.env.CONVERSATION_HISTORY_TURNS || "6")
+// Total characters of verbatim history before older turns get summarized
+const HISTORY_MAX_CHARS = Number.parseInt(process.env.CONVERSATION_HISTORY_MAX_CHARS || "6000")
+// Messages in the order they were sent; id breaks ties between rows stored in the same millisecond
+const MESSAGE_ORDER = [{ createdAt: "asc" }, { id: "asc" }]
+
+/**
+ * Build a conversation title from the first message
+ */
+function titleFromMessage(message) {
+  const title = message.trim().replace(/\s+/g, " ")
+  return title.length > 60 ? `${title.substring(0, 57)}...` : title
+}
+
+/**
+ * Create a new conversation for a user
+ * documentIds: uploaded documents the conversation searches (empty = all)
+ */
+export async function createConversation(userId, firstMessage = "", documentIds = []) {
+  const conversation = await prisma.conversation.create({
+    data: {
+      userId,
+      title: firstMessage ? titleFromMessage(firstMessage) : null,
+      documentIds,
+    },
+  })
+
+  logger.info(`Conversation created: ${conversation.id} for user: ${userId}`)
+  return conversation
+}
+
+/**
+ * Get a conversation owned by the user (null if missing or not owned)
+ */
+export async function getConversation(userId, conversationId) {
+  return prisma.conversation.findFirst({
+    where: { id: conversationId, userId },
+  })
+}
+
+/**
+ * Get a conversation with its messages
+ */
+export async function getConversationWithMessages(userId, conversationId) {
+  return prisma.conversation.findFirst({
+    where: { id: conversationId, userId },
+    include: {
+      messages: {
+        orderBy: MESSAGE_ORDER,
+        select: { id: true, role: true, content: true, createdAt: true },
+      },
+    },
+  })
+}
+
+/**
+ * List a user's conversations, most recently active first
+ */
+export async function listConversations(userId, { page = 1, limit = 20 } = {}) {
+  const where = { userId }
+
+  const [conversations, total] = await Promise.all([
+    prisma.conversation.findMany({
+      where,
+      select: {
+        id: true,
+        title: true,
+        documentIds: true,
+        createdAt: true,
+        updatedAt: true,
+        _count: { select: { messages: true } },
+      },
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { updatedAt: "desc" },
+    }),
+    prisma.conversation.count({ where }),
+  ])
+
+  return {
+    total,
+    conversations: conversations.map(({ _count, ...conversation }) => ({
+      ...conversation,
+      messageCount: _count.messages,
+    })),
+  }
+}
+
+/**
+ * Update a conversation's title and/or document scope (returns null if not owned by the user)
+ */
+export async function updateConversation(userId, conversationId, { title, documentIds }) {
+  const conversation = await getConversation(userId, conversationId)
+  if (!conversation) return null
+
+  return prisma.conversation.update({
+    where: { id: conversationId },
+    data: { title, documentIds },
+  })
+}
+
+/**
+ * Delete a conversation and its messages (returns false if not owned by the user)
+ */
+export async function deleteConversation(userId, conversationId) {
+  const { count } = await prisma.conversation.deleteMany({
+    where: { id: conversationId, userId },
+  })
+
+  if (count > 0) {
+    logger.info(`Conversation deleted: ${conversationId}`)
+  }
+  return count > 0
+}
+
+/**
+ * Delete a conversation if it has no messages (returns false if it has some or is not owned by the user)
+ * Used when the first exchange of a new conversation fails, so no empty conversation is left behind
+ */
+export async function deleteEmptyConversation(userId, conversationId) {
+  const { count } = await prisma.conversation.deleteMany({
+    where: { id: conversationId, userId, messages: { none: {} } },
+  })
+
+  if (count > 0) {
+    logger.info(`Empty conversation deleted: ${conversationId}`)
+  }
+  return count > 0
+}
+
+/**
+ * Store one user/assistant exchange
+ * The reply is stamped a millisecond after the question so the two never tie on createdAt
+ */
+export async function appendExchange(conversationId, userMessage, assistantReply) {
+  const askedAt = new Date()
+  const repliedAt = new Date(askedAt.getTime() + 1)
+
+  await prisma.$transaction([
+    prisma.message.create({
+      data: { conversationId, role: "user", content: userMessage, createdAt: askedAt },
+    }),
+    prisma.message.create({
+      data: { conversationId, role: "assistant", content: assistantReply, createdAt: repliedAt },
+    }),
+    // Touch updatedAt so the conversation sorts to the top of the list
+    prisma.conversation.update({
+      where: { id: conversationId },
+      data: { updatedAt: new Date() },
+    }),
+  ])
+}
+
+/**
+ * Get the history window for the LLM: the last N turns verbatim plus a summary of everything older.
+ * Turns that fall out of the window are folded into the stored summary so they are only summarized once.
+ */
+export async function getConversationHistory(conversation) {
+  const pending = await prisma.message.findMany({
+    where: { conversationId: conversation.id },
+    orderBy: MESSAGE_ORDER,
+    skip: conversation.summarizedCount,
+    select: { role: true, content: true },
+  })
+
+  // Keep whole turns, newest first, within both the turn and character budgets
+  let keep = Math.min(pending.length, HISTORY_TURNS * 2)
+  let chars = pending.slice(pending.length - keep).reduce((sum, m) => sum + m.content.length, 0)
+  while (keep > 2 && chars > HISTORY_MAX_CHARS) {
+    chars -= pending[pending.length - keep].content.length + pending[pending.length - keep + 1].content.length
+    keep -= 2
+  }
+
+  const overflow = pending.slice(0, pending.length - keep)
+  let summary = conversation.summary
+
+  if (overflow.length > 0) {
+    try {
+      summary = await summarizeConversation(summary, overflow)
+      await prisma.conversation.update({
+        where: { id: conversation.id },
+        data: {
+          summary,
+          summarizedCount: conversation.summarizedCount + overflow.length,
+        },
+      })
+      logger.info(`Summarized ${overflow.length} messages in conversation ${conversation.id}`)
+    } catch (error) {
+      // Summaries are an optimisation; fall back to the recent window only
+      logger.warn(`Conversation summary skipped: ${error.message}`)
+    }
+  }
+
+  return {
+    summary,
+    messages: pending.slice(pending.length - keep),
+  }
+}
@@ -1,6 +1,8 @@
 import cron from "node-cron"
-import { fetchNews } from "./realtime.js"
+import { fetchLiveData } from "./realtime.js"
 import { reindexDocuments } from "./rag.js"
+import { expireFailedUploads } from "./queueProcessor.js"
+import { evictIdleOwnerIndexes } from "./pdfProcessor.js"
 import { createLogger } from "../utils/logger.js"
 
 const logger = createLogger()
@@ -14,7 +16,7 @@ export async function initializeCronJobs() {
 
       try {
         // Fetch latest news
-        const newsData = await fetchNews()
+        const newsData = await fetchLiveData("latest news", "news")
         if (newsData.error) {
           logger.warn(`News fetch in cron failed: ${newsData.error}`)
         } else {
@@ -24,6 +26,12 @@ export async function initializeCronJobs() {
         // Reindex documents
         await reindexDocuments()
 
+        // Files of failed uploads are only kept for a while for manual retries
+        await expireFailedUploads()
+
+        // Search indexes of users who stopped asking are loaded again on their next question
+        evictIdleOwnerIndexes()
+
         logger.info("Cron job completed successfully")
       } catch (error) {
         logger.error(`Cron job error: ${error.message}`)
@@ -0,0 +1,193 @@
+/**
+ * Document Summaries and Q&A
+ * Map-reduce summaries over an uploaded document's chunks, and questions answered from one document only.
+ * Documents never change once processed (a replacement is a new document), so results are cached per document:
+ * summaries in the DocumentSummary table, answers in the TTL cache.
+ */
+
+import { createHash } from "crypto"
+import { PrismaClient } from "@prisma/client"
+import { generateResponse, summarizeText } from "./llm.js"
+import { getDocumentChunks, getPDFInfo, queryPDFDocuments } from "./pdfProcessor.js"
+import { cacheManager } from "../utils/cache.js"
+import { createLogger } from "../utils/logger.js"
+
+const prisma = new PrismaClient()
+const logger = createLogger()
+
+// Target summary length in words
+export const SUMMARY_LENGTHS = { short: 100, medium: 250, long: 500 }
+// Characters of document text sent to the LLM per map step
+const SUMMARY_BATCH_CHARS = Number.parseInt(process.env.PDF_SUMMARY_BATCH_CHARS || "12000")
+// Map steps run at the same time
+const SUMMARY_CONCURRENCY = 3
+const ANSWER_CACHE_TTL = Number.parseInt(process.env.PDF_ANSWER_CACHE_TTL || "3600")
+
+// Summaries being generated, so concurrent requests for the same one share the work
+const pendingSummaries = new Map()
+
+/**
+ * Group texts into batches of at most SUMMARY_BATCH_CHARS (a longer single text is its own batch)
+ */
+function batchTexts(texts) {
+  const batches = []
+  let current = []
+  let length = 0
+
+  for (const text of texts) {
+    if (current.length > 0 && length + text.length > SUMMARY_BATCH_CHARS) {
+      batches.push(current.join("\n\n"))
+      current = []
+      length = 0
+    }
+    current.push(text)
+    length += text.length + 2
+  }
+
+  if (current.length > 0) batches.push(current.join("\n\n"))
+  return batches
+}
+
+/**
+ * Summarize batches a few at a time, keeping their order
+ */
+async function mapBatches(batches, maxWords) {
+  const results = []
+  for (let i = 0; i < batches.length; i += SUMMARY_CONCURRENCY) {
+    const group = batches.slice(i, i + SUMMARY_CONCURRENCY)
+    results.push(...(await Promise.all(group.map((batch) => summarizeText(batch, { maxWords, partial: true })))))
+  }
+  return results
+}
+
+/**
+ * Map-reduce: summarize batches of chunks, then summarize the summaries until they fit one final call
+ */
+async function mapReduceSummary(texts, maxWords) {
+  let batches = batchTexts(texts)
+  let mapCalls = 0
+
+  while (batches.length > 1) {
+    const partials = await mapBatches(batches, Math.max(maxWords, 150))
+    mapCalls += partials.length
+
+    const next = batchTexts(partials.map((partial) => partial.summary))
+    // Summaries that do not shrink the text would never converge; merge what there is
+    if (next.length >= batches.length) {
+      batches = [next.join("\n\n")]
+      break
+    }
+    batches = next
+  }
+
+  const final = await summarizeText(batches[0] || "", { maxWords })
+  return { ...final, llmCalls: mapCalls + 1 }
+}
+
+async function generateSummary(documentId, length, texts) {
+  const { summary, provider, model, llmCalls } = await mapReduceSummary(texts, SUMMARY_LENGTHS[length])
+
+  const saved = await prisma.documentSummary.upsert({
+    where: { documentId_length: { documentId, length } },
+    create: { documentId, length, summary, provider, model },
+    update: { summary, provider, model, createdAt: new Date() },
+  })
+
+  logger.info(`Document ${documentId} summarized (${length}, ${texts.length} chunks, ${llmCalls} LLM calls)`)
+  return saved
+}
+
+/**
+ * Summarize a user's document
+ * length: "short" | "medium" | "long"; refresh regenerates a cached summary
+ * Returns null if the document is missing or not owned by the user
+ */
+export async function summarizeDocument(documentId, userId, { length = "medium", refresh = false } = {}) {
+  const source = await getDocumentChunks(documentId, userId)
+  if (!source) return null
+
+  const { document, chunks } = source
+  if (chunks.length === 0) {
+    return { document, length, summary: "", cached: false, createdAt: null }
+  }
+
+  if (!refresh) {
+    const cached = await prisma.documentSummary.findUnique({
+      where: { documentId_length: { documentId, length } },
+    })
+    if (cached) {
+      return { document, length, summary: cached.summary, cached: true, createdAt: cached.createdAt }
+    }
+  }
+
+  const key = `${documentId}:${length}`
+  if (!pendingSummaries.has(key)) {
+    const texts = chunks.map((chunk) => chunk.content)
+    pendingSummaries.set(key, generateSummary(documentId, length, texts).finally(() => pendingSummaries.delete(key)))
+  }
+  const saved = await pendingSummaries.get(key)
+
+  return {
+    document,
+    length,
+    summary: saved.summary,
+    provider: saved.provider,
+    model: saved.model,
+    cached: false,
+    createdAt: saved.createdAt,
+  }
+}
+
+function answerCacheKey(document, question, k) {
+  const digest = createHash("sha256").update(`${k}:${question.trim().toLowerCase()}`).digest("hex")
+  return `pdf-answer:${document.documentId}:${digest}`
+}
+
+/**
+ * Answer a question from one of the user's documents only
+ * Returns null if the document is missing or not owned by the user
+ */
+export async function askDocument(documentId, userId, question, { k = 5 } = {}) {
+  const document = await getPDFInfo(documentId, userId)
+  if (!document) return null
+
+  const cacheKey = answerCacheKey(document, question, k)
+  const cached = cacheManager.get(cacheKey)
+  if (cached) return { ...cached, cached: true }
+
+  const results = await queryPDFDocuments(question, userId, { k, documentIds: [documentId] })
+  const sources = results.map((result) => ({
+    chunkId: result.chunkId,
+    citation: result.citation,
+    score: result.score,
+    content: result.content,
+  }))
+
+  let answer
+  let llmResult = { provider: null, model: null }
+  if (results.length === 0) {
+    answer = `I couldn't find anything about that in ${document.filename}.`
+  } else {
+    const context = results.map((result) => `[${result.citation}] ${result.content}`).join("\n\n")
+    const systemPrompt = `You answer questions about the document "${document.filename}" using only the excerpts provided.
+Cite the excerpts you use in parentheses with the label shown before them, e.g. (${results[0].citation}).
+If the excerpts do not contain the answer, say so.`
+
+    llmResult = await generateResponse(context, question, systemPrompt)
+    answer = llmResult.reply
+  }
+
+  const response = {
+    document,
+    question,
+    answer,
+    citations: Array.from(new Set(sources.map((s) => s.citation))),
+    sources,
+    provider: llmResult.provider,
+    model: llmResult.model,
+  }
+
+  // Only answers grounded in the document are worth reusing
+  if (results.length > 0) cacheManager.set(cacheKey, response, ANSWER_CACHE_TTL)
+  return { ...response, cached: false }
+}
@@ -0,0 +1,46 @@
+/**
+ * Embedder Registry
+ * Embedders are modules exporting { name, model, dimension, similarityFloor, isConfigured, embedDocuments, embedQuery }
+ * similarityFloor is the typical cosine similarity of unrelated texts for that model
+ */
+
+import { createLogger } from "../../utils/logger.js"
+import local from "./local.js"
+import openai from "./openai.js"
+
+const logger = createLogger()
+
+const embedders = new Map()
+
+export function registerEmbedder(embedder) {
+  for (const key of ["name", "dimension", "isConfigured", "embedDocuments", "embedQuery"]) {
+    if (!embedder?.[key]) {
+      throw new Error(`Embedder is missing required field: ${key}`)
+    }
+  }
+  embedders.set(embedder.name, embedder)
+}
+
+/**
+ * Active embedder: EMBEDDING_PROVIDER if set, otherwise OpenAI when a key is present, else local.
+ * The offline mock LLM implies local embeddings so nothing reaches the network.
+ */
+export function getEmbedder() {
+  const requested = process.env.EMBEDDING_PROVIDER
+  if (requested) {
+    const embedder = embedders.get(requested)
+    if (embedder && embedder.isConfigured()) return embedder
+    logger.warn(`Embedder '${requested}' unavailable, falling back to local embeddings`)
+    return embedders.get("local")
+  }
+
+  if (process.env.LLM_PROVIDER === "mock") {
+    return embedders.get("local")
+  }
+
+  const openaiEmbedder = embedders.get("openai")
+  return openaiEmbedder?.isConfigured() ? openaiEmbedder : embedders.get("local")
+}
+
+registerEmbedder(local)
+registerEmbedder(openai)
@@ -0,0 +1,63 @@
+/**
+ * Local Embedder
+ * Offline, deterministic feature-hashing embedder (stemmed word unigrams + character trigrams).
+ * Not as good as a learned model, but needs no network and gives stable vectors for tests.
+ */
+
+import { tokenize } from "../../utils/tokenizer.js"
+
+const DIMENSION = Number.parseInt(process.env.LOCAL_EMBEDDING_DIMENSION || "512")
+
+/**
+ * FNV-1a 32-bit hash
+ */
+function hash(text) {
+  let h = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+function addFeature(vector, feature, weight) {
+  const h = hash(feature)
+  // The sign bit keeps colliding features from always adding up
+  vector[h % DIMENSION] += h & 0x80000000 ? -weight : weight
+}
+
+function embed(text) {
+  const vector = new Array(DIMENSION).fill(0)
+
+  for (const token of tokenize(text)) {
+    addFeature(vector, `w:${token}`, 1)
+
+    // Trigrams let "learning" partially match "learn" and "learned"
+    const padded = `^${token}$`
+    for (let i = 0; i < padded.length - 2; i++) {
+      addFeature(vector, `c:${padded.slice(i, i + 3)}`, 0.3)
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0))
+  return norm > 0 ? vector.map((v) => v / norm) : vector
+}
+
+export default {
+  name: "local",
+  model: "hashing-v2",
+  dimension: DIMENSION,
+  similarityFloor: 0.15,
+
+  isConfigured() {
+    return true
+  },
+
+  async embedDocuments(texts) {
+    return texts.map(embed)
+  },
+
+  async embedQuery(text) {
+    return embed(text)
+  },
+}
@@ -0,0 +1,39 @@
+/**
+ * OpenAI Embedder
+ */
+
+import { OpenAIEmbeddings } from "@langchain/openai"
+
+const MODEL = process.env.EMBEDDING_MODEL || "text-embedding-ada-002"
+
+let client = null
+
+function getClient() {
+  if (!client) {
+    client = new OpenAIEmbeddings({
+      apiKey: process.env.OPENAI_API_KEY,
+      modelName: MODEL,
+      batchSize: 256,
+    })
+  }
+  return client
+}
+
+export default {
+  name: "openai",
+  model: MODEL,
+  dimension: 1536,
+  similarityFloor: 0.7,
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY
+  },
+
+  async embedDocuments(texts) {
+    return getClient().embedDocuments(texts)
+  },
+
+  async embedQuery(text) {
+    return getClient().embedQuery(text)
+  },
+}
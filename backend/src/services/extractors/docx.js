@@ -0,0 +1,39 @@
+/**
+ * DOCX Extractor
+ * Converts the Word document to HTML with mammoth, which maps heading styles to h1-h6
+ * and keeps tables, then reuses the HTML extractor's structure handling
+ */
+
+import mammoth from "mammoth"
+import { htmlToBlocks } from "./html.js"
+import { createLogger } from "../../utils/logger.js"
+
+const logger = createLogger()
+
+export default {
+  format: "docx",
+  label: "DOCX",
+  mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  extension: "docx",
+
+  detect(buffer) {
+    // A ZIP archive whose entry names (stored uncompressed) include the Word document part
+    return buffer.subarray(0, 4).equals(Buffer.from("PK\x03\x04")) && buffer.includes("word/document.xml")
+  },
+
+  async extract(buffer) {
+    try {
+      const { value: html, messages } = await mammoth.convertToHtml({ buffer })
+      for (const message of messages.filter((m) => m.type === "error")) {
+        logger.warn(`DOCX conversion: ${message.message}`)
+      }
+
+      const { blocks } = htmlToBlocks(html)
+      logger.info(`Extracted ${blocks.length} blocks from DOCX`)
+      return { blocks, pages: null, metadata: {} }
+    } catch (error) {
+      logger.error("DOCX extraction error:", error)
+      throw new Error("Failed to extract text from DOCX")
+    }
+  },
+}
@@ -0,0 +1,114 @@
+/**
+ * HTML Extractor
+ * Walks the DOM into paragraph, heading and table row blocks; h1-h6 build the section path.
+ * Also used for DOCX, which is converted to HTML first.
+ */
+
+import { parse, NodeType } from "node-html-parser"
+import { createHeadingTrail, readText, rowText } from "./structure.js"
+
+const SKIPPED_TAGS = new Set(["HEAD", "SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "SVG", "CANVAS", "IFRAME"])
+// Elements whose content starts a new paragraph
+const BLOCK_TAGS = new Set(
+  (
+    "ADDRESS ARTICLE ASIDE BLOCKQUOTE BODY DD DETAILS DIV DL DT FIELDSET FIGCAPTION FIGURE FOOTER " +
+    "FORM HEADER HR HTML LI MAIN NAV OL P PRE SECTION SUMMARY UL"
+  ).split(" "),
+)
+const HEADING_TAG = /^H([1-6])$/
+
+function cleanText(text) {
+  return text.replace(/\s+/g, " ").trim()
+}
+
+/**
+ * Rows of a table as blocks; a first row made only of <th> cells labels the values of the others.
+ * Rows are numbered from 1 within the table, header included.
+ */
+function tableBlocks(table, section) {
+  const rows = table
+    .querySelectorAll("tr")
+    .map((tr) => tr.childNodes.filter((cell) => cell.tagName === "TD" || cell.tagName === "TH"))
+    .filter((cells) => cells.length > 0)
+  if (rows.length === 0) return []
+
+  const header = rows[0].every((cell) => cell.tagName === "TH") ? rows[0].map((cell) => cleanText(cell.text)) : null
+  const blocks = []
+
+  rows.forEach((cells, index) => {
+    if (header && index === 0) return
+    const text = rowText(cells.map((cell) => cleanText(cell.text)), header)
+    if (text.replace(/[\s|]/g, "")) blocks.push({ text, section, row: index + 1 })
+  })
+
+  return blocks
+}
+
+/**
+ * Blocks of an HTML document in reading order
+ */
+export function htmlToBlocks(html) {
+  const root = parse(html.replace(/<!doctype[^>]*>/gi, ""), { comment: false })
+  const headings = createHeadingTrail()
+  const blocks = []
+  let buffer = ""
+
+  const flush = () => {
+    const text = cleanText(buffer)
+    if (text) blocks.push({ text, section: headings.path() })
+    buffer = ""
+  }
+
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === NodeType.TEXT_NODE) {
+        buffer += child.text
+        continue
+      }
+      if (child.nodeType !== NodeType.ELEMENT_NODE || SKIPPED_TAGS.has(child.tagName)) continue
+
+      const heading = HEADING_TAG.exec(child.tagName)
+      if (heading) {
+        flush()
+        const text = cleanText(child.text)
+        if (text) {
+          headings.set(Number(heading[1]), text)
+          blocks.push({ text, section: headings.path() })
+        }
+      } else if (child.tagName === "TABLE") {
+        flush()
+        blocks.push(...tableBlocks(child, headings.path()))
+      } else if (child.tagName === "BR") {
+        buffer += "\n"
+      } else if (BLOCK_TAGS.has(child.tagName)) {
+        flush()
+        walk(child)
+        flush()
+      } else {
+        walk(child)
+      }
+    }
+  }
+
+  walk(root)
+  flush()
+  return { blocks, title: cleanText(root.querySelector("title")?.text || "") || null }
+}
+
+export default {
+  format: "html",
+  label: "HTML",
+  mimeType: "text/html",
+  extension: "html",
+
+  detect(buffer, { extension, text }) {
+    if (text === null) return false
+    if (/^\s*(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(text)) return true
+    return ["html", "htm"].includes(extension) && /<[a-z][a-z0-9]*[\s>/]/i.test(text)
+  },
+
+  async extract(buffer) {
+    const { blocks, title } = htmlToBlocks(readText(buffer))
+    return { blocks, pages: null, metadata: title ? { title } : {} }
+  },
+}
@@ -0,0 +1,83 @@
+/**
+ * Document Extractor Registry
+ * Extractors are modules exporting { format, label, mimeType, extension, detect, extract }.
+ * detect(buffer, { extension, text }) recognizes a file by its content: binary formats by magic bytes,
+ * text formats by sniffing the decoded text (text is null for binary data), with the file extension
+ * only as a hint between text formats. The client's mimetype is never trusted.
+ * extract(buffer) resolves to { blocks: [{ text, page?, section?, row? }], pages, metadata }
+ * for chunkBlocks (see textChunker.js).
+ * Paged formats may also have countPages(buffer), a cheap page count used to check quotas at upload.
+ * Detection runs in registration order, so binary formats come before the text fallbacks.
+ */
+
+import { extname } from "path"
+import pdf from "./pdf.js"
+import docx from "./docx.js"
+import html from "./html.js"
+import markdown from "./markdown.js"
+import csv from "./csv.js"
+import text from "./text.js"
+
+const extractors = new Map()
+
+// Bytes sniffed when deciding whether a file is text
+const SNIFF_BYTES = 8192
+
+export function registerExtractor(extractor) {
+  for (const key of ["format", "label", "mimeType", "extension", "detect", "extract"]) {
+    if (!extractor?.[key]) {
+      throw new Error(`Extractor is missing required field: ${key}`)
+    }
+  }
+  extractors.set(extractor.format, extractor)
+}
+
+/**
+ * Decode the buffer as UTF-8 text, or null when it looks binary
+ */
+function decodeText(buffer) {
+  if (buffer.subarray(0, SNIFF_BYTES).includes(0)) return null
+
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer).replace(/^\uFEFF/, "")
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Extractor for an uploaded file, or null when the format is not supported
+ */
+export function detectFormat(buffer, filename = "") {
+  const context = {
+    extension: extname(filename).slice(1).toLowerCase(),
+    text: decodeText(buffer),
+  }
+
+  for (const extractor of extractors.values()) {
+    if (extractor.detect(buffer, context)) return extractor
+  }
+  return null
+}
+
+/**
+ * Extractor for a stored format name (jobs queued before formats were recorded are PDFs)
+ */
+export function getExtractor(format = "pdf") {
+  const extractor = extractors.get(format)
+  if (!extractor) {
+    throw new Error(`Unknown document format: ${format}`)
+  }
+  return extractor
+}
+
+export function supportedFormats() {
+  return Array.from(extractors.values(), (extractor) => extractor.label)
+}
+
+registerExtractor(pdf)
+registerExtractor(docx)
+registerExtractor(html)
+registerExtractor(markdown)
+registerExtractor(csv)
+registerExtractor(text)
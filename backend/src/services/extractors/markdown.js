@@ -0,0 +1,138 @@
+/**
+ * Markdown Extractor
+ * Line-based: ATX and setext headings build the section path, pipe tables become row blocks,
+ * list items and fenced code blocks are kept as their own paragraphs. Inline markup is stripped.
+ */
+
+import { createHeadingTrail, readText, rowText } from "./structure.js"
+
+const ATX_HEADING = /^ {0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/
+const FENCE = /^ {0,3}(`{3,}|~{3,})/
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+/
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+const THEMATIC_BREAK = /^ {0,3}([-*_])(\s*\1){2,}\s*$/
+
+function stripInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(^|\W)[*_](\S.*?)[*_](?=\W|$)/g, "$1$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/<[^>]+>/g, "")
+}
+
+function tableCells(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => stripInline(cell.replace(/\\\|/g, "|").trim()))
+}
+
+// A row with pipes followed by a |---|---| separator (a bare --- under text is a setext heading)
+function isTableStart(lines, i) {
+  const separator = lines[i + 1]
+  return lines[i].includes("|") && separator !== undefined && separator.includes("|") && TABLE_SEPARATOR.test(separator)
+}
+
+/**
+ * Blocks of a Markdown document in reading order
+ */
+export function markdownToBlocks(markdown) {
+  const lines = markdown.split(/\r?\n/)
+  const headings = createHeadingTrail()
+  const blocks = []
+  let paragraph = []
+
+  const flush = () => {
+    const text = stripInline(paragraph.join("\n")).trim()
+    if (text) blocks.push({ text, section: headings.path() })
+    paragraph = []
+  }
+
+  const heading = (level, raw) => {
+    const text = stripInline(raw).trim()
+    headings.set(level, text)
+    blocks.push({ text, section: headings.path() })
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    const fence = FENCE.exec(line)
+    if (fence) {
+      flush()
+      const code = []
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i])
+      // Code keeps its text verbatim
+      if (code.join("").trim()) blocks.push({ text: code.join("\n"), section: headings.path() })
+      continue
+    }
+
+    const atx = ATX_HEADING.exec(line)
+    if (atx) {
+      flush()
+      if (atx[2]) heading(atx[1].length, atx[2])
+      continue
+    }
+
+    const underline = SETEXT_UNDERLINE.exec(line)
+    if (underline && paragraph.length === 1) {
+      const text = paragraph[0]
+      paragraph = []
+      heading(underline[1].startsWith("=") ? 1 : 2, text)
+      continue
+    }
+
+    if (isTableStart(lines, i)) {
+      flush()
+      const header = tableCells(line)
+      const section = headings.path()
+      // Row 1 is the header; the separator line is not counted
+      let row = 1
+      for (i += 2; i < lines.length && lines[i].includes("|") && lines[i].trim(); i++) {
+        row++
+        blocks.push({ text: rowText(tableCells(lines[i]), header), section, row })
+      }
+      i--
+      continue
+    }
+
+    if (!line.trim() || THEMATIC_BREAK.test(line)) {
+      flush()
+      continue
+    }
+
+    if (LIST_ITEM.test(line)) {
+      flush()
+      paragraph.push(line.replace(LIST_ITEM, ""))
+      continue
+    }
+
+    paragraph.push(line.replace(/^\s*>\s?/, ""))
+  }
+
+  flush()
+  return blocks
+}
+
+export default {
+  format: "markdown",
+  label: "Markdown",
+  mimeType: "text/markdown",
+  extension: "md",
+
+  detect(buffer, { extension, text }) {
+    if (text === null) return false
+    if (["md", "markdown"].includes(extension)) return true
+    // Headings, fences or tables mark a Markdown file saved as .txt or without an extension
+    return !["csv", "tsv"].includes(extension) && /^ {0,3}(#{1,6}\s+\S|```|\|?\s*:?-{3,}:?\s*\|)/m.test(text)
+  },
+
+  async extract(buffer) {
+    return { blocks: markdownToBlocks(readText(buffer)), pages: null, metadata: {} }
+  },
+}
@@ -0,0 +1,43 @@
+/**
+ * Shared helpers for the text-based extractors:
+ * UTF-8 decoding, heading trails for section paths and labelled table rows
+ */
+
+/**
+ * File contents as text, without a byte order mark
+ */
+export function readText(buffer) {
+  return buffer.toString("utf8").replace(/^\uFEFF/, "")
+}
+
+/**
+ * Tracks the headings above the current position
+ * set(level, text) replaces the heading at that level and drops deeper ones;
+ * path() is the trail joined as "Setup > Linux" (null before the first heading)
+ */
+export function createHeadingTrail() {
+  const trail = []
+
+  return {
+    set(level, text) {
+      trail.length = Math.max(level - 1, 0)
+      trail[level - 1] = text
+    },
+    path() {
+      const headings = trail.filter(Boolean)
+      return headings.length > 0 ? headings.join(" > ") : null
+    },
+  }
+}
+
+/**
+ * Text of a table row; with a header each value is labelled with its column ("Region: EU; Revenue: 12")
+ */
+export function rowText(cells, header = null) {
+  if (!header) return cells.join(" | ")
+
+  return cells
+    .map((cell, i) => (cell ? `${header[i] || `Column ${i + 1}`}: ${cell}` : ""))
+    .filter(Boolean)
+    .join("; ")
+}
@@ -0,0 +1,21 @@
+/**
+ * Plain Text Extractor
+ * Fallback for any UTF-8 text; paragraphs are split on blank lines by the chunker
+ */
+
+import { readText } from "./structure.js"
+
+export default {
+  format: "text",
+  label: "TXT",
+  mimeType: "text/plain",
+  extension: "txt",
+
+  detect(buffer, { text }) {
+    return text !== null && text.trim().length > 0
+  },
+
+  async extract(buffer) {
+    return { blocks: [{ text: readText(buffer) }], pages: null, metadata: {} }
+  },
+}
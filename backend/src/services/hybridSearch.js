@@ -0,0 +1,163 @@
+/**
+ * Hybrid Retrieval
+ * Fuses BM25 keyword results and vector results with weighted reciprocal rank fusion (RRF).
+ * Results are ordered by fused rank; `relevance` (0-1) combines the normalized raw scores and is what
+ * minRelevance filters on and what source confidence is derived from.
+ */
+
+import { shingles } from "../utils/tokenizer.js"
+
+const RRF_K = 60
+// Share of the shorter text's word trigrams another result must repeat to count as the same passage
+const NEAR_DUPLICATE_THRESHOLD = Number.parseFloat(process.env.RETRIEVAL_DEDUP_THRESHOLD || "0.8")
+// BM25 score at which keyword relevance reaches 0.5
+const BM25_SATURATION = Number.parseFloat(process.env.BM25_SATURATION || "4")
+
+export const DEFAULT_RETRIEVAL_OPTIONS = {
+  k: 3,
+  weights: { bm25: 1, vector: 1 },
+  minRelevance: Number.parseFloat(process.env.RETRIEVAL_MIN_RELEVANCE || "0.15"),
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+/**
+ * Merge per-request overrides into the defaults, clamping out-of-range values
+ */
+export function resolveRetrievalOptions(overrides = {}, defaults = DEFAULT_RETRIEVAL_OPTIONS) {
+  const k = Number.isFinite(overrides.k) ? clamp(Math.round(overrides.k), 1, 20) : defaults.k
+  const bm25 = Number.isFinite(overrides.weights?.bm25) ? Math.max(overrides.weights.bm25, 0) : defaults.weights.bm25
+  const vector = Number.isFinite(overrides.weights?.vector)
+    ? Math.max(overrides.weights.vector, 0)
+    : defaults.weights.vector
+  const minRelevance = Number.isFinite(overrides.minRelevance)
+    ? clamp(overrides.minRelevance, 0, 1)
+    : defaults.minRelevance
+
+  // Both weights at zero would discard everything; fall back to an even split
+  const weights = bm25 + vector > 0 ? { bm25, vector } : { bm25: 1, vector: 1 }
+
+  return { k, weights, minRelevance }
+}
+
+/**
+ * Validate the shape of client-supplied retrieval options
+ * Returns an error message, or null when valid
+ */
+export function validateRetrievalOptions(options) {
+  if (options === undefined) return null
+  if (options === null || typeof options !== "object" || Array.isArray(options)) {
+    return "retrieval must be an object"
+  }
+  for (const key of ["k", "minRelevance"]) {
+    if (options[key] !== undefined && typeof options[key] !== "number") {
+      return `retrieval.${key} must be a number`
+    }
+  }
+  if (options.weights !== undefined) {
+    if (typeof options.weights !== "object" || options.weights === null) {
+      return "retrieval.weights must be an object"
+    }
+    for (const key of ["bm25", "vector"]) {
+      if (options.weights[key] !== undefined && typeof options.weights[key] !== "number") {
+        return `retrieval.weights.${key} must be a number`
+      }
+    }
+  }
+  return null
+}
+
+function overlap(a, b) {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a]
+  if (smaller.size === 0) return 0
+
+  let shared = 0
+  for (const shingle of smaller) {
+    if (larger.has(shingle)) shared++
+  }
+  return shared / smaller.size
+}
+
+/**
+ * Keep the first k results, skipping any whose text nearly repeats a higher-ranked one
+ * (the same passage in two copies of a document, or a chunk contained in another)
+ */
+function collapseNearDuplicates(ranked, textOf, k) {
+  const kept = []
+
+  for (const item of ranked) {
+    if (kept.length === k) break
+
+    const itemShingles = shingles(textOf(item.id))
+    if (kept.some((other) => overlap(itemShingles, other.shingles) >= NEAR_DUPLICATE_THRESHOLD)) continue
+    kept.push({ item, shingles: itemShingles })
+  }
+
+  return kept.map(({ item }) => item)
+}
+
+/**
+ * Search both indexes and fuse the results
+ * vectorIndex/embedder are optional: without them this is plain BM25
+ * filter is an optional (id) => boolean predicate applied before fusion
+ * textOf is an optional (id) => text lookup; when given, near-duplicate results are collapsed
+ * into the best-ranked one so a repeated passage takes a single slot of the top k
+ * Returns [{ id, relevance, rrfScore, bm25Score, vectorScore }]
+ */
+export async function hybridSearch({
+  query,
+  bm25Index,
+  vectorIndex,
+  embedder,
+  options = {},
+  filter = null,
+  textOf = null,
+}) {
+  const { k, weights, minRelevance } = resolveRetrievalOptions(options)
+  const useVector = vectorIndex && embedder && weights.vector > 0 && vectorIndex.size > 0
+  // A filter can reject any number of top hits, so rank every candidate
+  const candidateK = filter ? Math.max(bm25Index.size, useVector ? vectorIndex.size : 0, 1) : Math.max(k * 4, 20)
+  const keep = (hit) => !filter || filter(hit.id)
+
+  const keywordHits = weights.bm25 > 0 ? bm25Index.search(query, candidateK).filter(keep) : []
+  const vectorHits = useVector
+    ? (await vectorIndex.search(await embedder.embedQuery(query), candidateK, 0)).filter(keep)
+    : []
+
+  const fused = new Map()
+  const entry = (id) => {
+    if (!fused.has(id)) {
+      fused.set(id, { id, rrfScore: 0, bm25Score: 0, vectorScore: 0 })
+    }
+    return fused.get(id)
+  }
+
+  keywordHits.forEach((hit, rank) => {
+    const item = entry(hit.id)
+    item.rrfScore += weights.bm25 / (RRF_K + rank + 1)
+    item.bm25Score = hit.score
+  })
+  vectorHits.forEach((hit, rank) => {
+    const item = entry(hit.id)
+    item.rrfScore += weights.vector / (RRF_K + rank + 1)
+    item.vectorScore = hit.score
+  })
+
+  // Vector similarity is rescaled so the embedder's "unrelated" floor maps to 0
+  const vectorFloor = embedder?.similarityFloor || 0
+  const activeWeights = weights.bm25 + (useVector ? weights.vector : 0)
+
+  const ranked = Array.from(fused.values())
+    .map((item) => {
+      const keywordRelevance = item.bm25Score / (item.bm25Score + BM25_SATURATION)
+      const vectorRelevance = clamp((item.vectorScore - vectorFloor) / (1 - vectorFloor), 0, 1)
+      const relevance =
+        (weights.bm25 * keywordRelevance + (useVector ? weights.vector * vectorRelevance : 0)) / activeWeights
+
+      return { ...item, relevance: Number(relevance.toFixed(4)) }
+    })
+    .filter((item) => item.relevance >= minRelevance)
+    .sort((a, b) => b.rrfScore - a.rrfScore)
+
+  return textOf ? collapseNearDuplicates(ranked, textOf, k) : ranked.slice(0, k)
+}
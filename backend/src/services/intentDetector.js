@@ -6,29 +6,10 @@
 import { createLogger } from "../utils/logger.js"
 import { predictIntentML } from "../../ml/intentModel.js"
 import { extractEntities, scoreConfidenceByEntities } from "../../ml/entityRecognition.js"
+import { countKeywordMatches, listRealtimeProviders, matchRealtimeProvider } from "./realtimeProviders/index.js"
 
 const logger = createLogger()
 
-// Keywords for different intent types
-const INTENT_PATTERNS = {
-  weather: {
-    keywords: ["weather", "temperature", "rain", "snow", "sunny", "cloudy", "forecast", "celsius", "fahrenheit"],
-    type: "weather",
-  },
-  news: {
-    keywords: ["news", "headlines", "latest", "breaking", "today", "current events", "happening"],
-    type: "news",
-  },
-  currency: {
-    keywords: ["exchange", "rate", "currency", "convert", "dollar", "euro", "pound", "price", "forex"],
-    type: "currency",
-  },
-  time: {
-    keywords: ["time", "what time", "current time", "now", "o'clock"],
-    type: "time",
-  },
-}
-
 /**
  * Detect query intent (now with ML support and entity recognition)
  * Returns: { intent: 'realtime' | 'rag' | 'general', type?: string, confidence: 0-1, method: 'ml' | 'rule-based', entities: {...} }
@@ -41,12 +22,53 @@ export function detectIntent(message) {
 
   const result = predictIntentML(message, ruleBased)
 
+  // The ML model only predicts the intent; the realtime provider comes from its keywords
+  if (result.intent === "realtime" && !result.type) {
+    result.type = matchRealtimeProvider(message)?.provider.type || null
+  }
+
   result.entities = entities
   result.confidence = result.confidence * 0.7 + entityScore * 0.3
 
   return result
 }
 
+// Follow-ups that lean on the previous question: "and in Paris?", "what about for GBP", "how about tomorrow"
+const FOLLOW_UP_PATTERN = /^\s*(?:and|but|also|(?:and\s+)?(?:what|how)\s+about|same\s+for)\b[\s,]*(.+?)[\s?.!]*$/i
+// Follow-ups longer than this are taken as questions of their own
+const FOLLOW_UP_MAX_WORDS = 6
+// "in Paris", "for New York", "to GBP": a preposition and the capitalized name after it
+const PLACE_PHRASE = /\b(in|for|at|to|from)\s+(\p{Lu}[\p{L}.'-]*(?:\s+\p{Lu}[\p{L}.'-]*)*)/u
+
+/**
+ * Standalone version of a follow-up to a realtime question, built from the last such question in the history
+ * ("weather in London?" then "and in Paris?" -> "weather in Paris?"), so intent detection and the provider's
+ * parameters see what is being asked. Messages that stand on their own are returned as they are.
+ * history: { messages: [{ role, content }] } from getConversationHistory()
+ */
+export function resolveFollowUp(message, history) {
+  if (matchRealtimeProvider(message)) return message
+
+  const fragment = message.match(FOLLOW_UP_PATTERN)?.[1]
+  if (!fragment || fragment.split(/\s+/).length > FOLLOW_UP_MAX_WORDS) return message
+
+  const previous = (history?.messages || [])
+    .filter((turn) => turn.role === "user")
+    .reverse()
+    .find((turn) => matchRealtimeProvider(turn.content))?.content
+  if (!previous) return message
+
+  // Swap the place (or currency) of the earlier question for the new one, or add the new detail to it
+  const replacement = fragment.match(PLACE_PHRASE)
+  const standalone =
+    replacement && previous.match(PLACE_PHRASE)?.[1].toLowerCase() === replacement[1].toLowerCase()
+      ? previous.replace(PLACE_PHRASE, replacement[0])
+      : `${previous.replace(/[\s?.!]+$/, "")} ${fragment}`
+
+  logger.info(`Follow-up "${message}" read as "${standalone}"`)
+  return standalone
+}
+
 function detectIntentRuleBased(message) {
   const messageLower = message.toLowerCase()
   const scores = {
@@ -55,16 +77,9 @@ function detectIntentRuleBased(message) {
     general: 0,
   }
 
-  // Check for realtime API keywords
-  for (const [key, pattern] of Object.entries(INTENT_PATTERNS)) {
-    const matchCount = pattern.keywords.filter((keyword) => messageLower.includes(keyword)).length
-
-    if (matchCount > 0) {
-      scores.realtime += matchCount
-      if (!message._detectedType) {
-        message._detectedType = pattern.type
-      }
-    }
+  // Check for realtime provider keywords
+  for (const provider of listRealtimeProviders()) {
+    scores.realtime += countKeywordMatches(provider, message)
   }
 
   const ragKeywords = [
@@ -104,12 +119,7 @@ function detectIntentRuleBased(message) {
   }
 
   if (dominantIntent === "realtime") {
-    for (const pattern of Object.values(INTENT_PATTERNS)) {
-      if (pattern.keywords.some((kw) => messageLower.includes(kw))) {
-        result.type = pattern.type
-        break
-      }
-    }
+    result.type = matchRealtimeProvider(message)?.provider.type || null
   }
 
   return result
@@ -119,8 +129,11 @@ function detectIntentRuleBased(message) {
  * Get intent-specific system prompt
  */
 export function getIntentSystemPrompt(intent, type = null) {
+  const topics = listRealtimeProviders()
+    .map((provider) => provider.label.toLowerCase())
+    .join(", ")
   const prompts = {
-    realtime: `You are an assistant with access to real-time data APIs. You have current information about weather, news, and exchange rates. 
+    realtime: `You are an assistant with access to real-time data APIs. You have current information about: ${topics}. 
 Always use the provided real-time context to answer questions accurately. Be specific and cite the data source when relevant.`,
     rag: `You are a knowledge-based assistant. You have access to a document database and knowledge base. 
 Use the provided documents to answer questions thoroughly and accurately. If information is not in the knowledge base, say so.`,
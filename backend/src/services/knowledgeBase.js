@@ -0,0 +1,305 @@
+/**
+ * Knowledge Base Service
+ * CRUD for the general knowledge base with a revision kept for every version.
+ * Every change triggers an incremental reindex of the RAG indexes.
+ */
+
+import { PrismaClient } from "@prisma/client"
+import { reindexDocuments } from "./rag.js"
+import { createLogger } from "../utils/logger.js"
+
+const prisma = new PrismaClient()
+const logger = createLogger()
+
+// An import runs as one transaction (a "replace" must not leave the knowledge base half-written), so its
+// timeout grows with the batch: Prisma's 5s default would roll back large imports
+const IMPORT_TRANSACTION_BASE_MS = 10000
+const IMPORT_TRANSACTION_PER_DOCUMENT_MS = 100
+const IMPORT_TRANSACTION_MAX_WAIT_MS = 10000
+
+const documentSelect = {
+  id: true,
+  title: true,
+  content: true,
+  category: true,
+  tags: true,
+  version: true,
+  createdById: true,
+  updatedById: true,
+  createdAt: true,
+  updatedAt: true,
+}
+
+function normalizeTags(tags) {
+  return Array.from(new Set((tags || []).map((tag) => tag.trim().toLowerCase()).filter(Boolean)))
+}
+
+function revisionData(doc, changeType, userId) {
+  return {
+    version: doc.version,
+    title: doc.title,
+    content: doc.content,
+    category: doc.category,
+    tags: doc.tags,
+    changeType,
+    editedById: userId || null,
+  }
+}
+
+/**
+ * Validate a document payload
+ * partial: only validate the fields that are present (updates)
+ * Returns an error message, or null when the payload is valid
+ */
+export function validateDocument(data, { partial = false } = {}) {
+  if (!data || typeof data !== "object") {
+    return "Document must be an object"
+  }
+
+  for (const field of ["title", "content"]) {
+    if (partial && data[field] === undefined) continue
+    if (typeof data[field] !== "string" || !data[field].trim()) {
+      return `${field} is required and must be a non-empty string`
+    }
+  }
+
+  if (data.category !== undefined && data.category !== null && typeof data.category !== "string") {
+    return "category must be a string"
+  }
+
+  if (data.id !== undefined && (typeof data.id !== "string" || !data.id.trim())) {
+    return "id must be a non-empty string"
+  }
+
+  if (data.tags !== undefined && (!Array.isArray(data.tags) || data.tags.some((tag) => typeof tag !== "string"))) {
+    return "tags must be an array of strings"
+  }
+
+  return null
+}
+
+/**
+ * List documents with optional category/tag/text filters
+ */
+export async function listDocuments({ category, tag, q, page = 1, limit = 20 } = {}) {
+  const where = {}
+  if (category) where.category = category
+  if (tag) where.tags = { has: tag.toLowerCase() }
+  if (q) {
+    where.OR = [
+      { title: { contains: q, mode: "insensitive" } },
+      { content: { contains: q, mode: "insensitive" } },
+    ]
+  }
+
+  const [documents, total] = await Promise.all([
+    prisma.knowledgeDocument.findMany({
+      where,
+      select: documentSelect,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { updatedAt: "desc" },
+    }),
+    prisma.knowledgeDocument.count({ where }),
+  ])
+
+  return { documents, total }
+}
+
+export async function getDocument(id) {
+  return prisma.knowledgeDocument.findUnique({ where: { id }, select: documentSelect })
+}
+
+/**
+ * Categories in use, with document counts
+ */
+export async function listCategories() {
+  const groups = await prisma.knowledgeDocument.groupBy({
+    by: ["category"],
+    _count: { _all: true },
+    orderBy: { category: "asc" },
+  })
+
+  return groups.map((group) => ({ category: group.category, documentCount: group._count._all }))
+}
+
+/**
+ * Create a document (version 1)
+ */
+export async function createDocument(data, userId) {
+  const fields = {
+    title: data.title.trim(),
+    content: data.content.trim(),
+    category: data.category?.trim() || null,
+    tags: normalizeTags(data.tags),
+  }
+
+  const document = await prisma.knowledgeDocument.create({
+    data: {
+      ...fields,
+      createdById: userId,
+      updatedById: userId,
+      revisions: { create: revisionData({ ...fields, version: 1 }, "create", userId) },
+    },
+    select: documentSelect,
+  })
+
+  logger.info(`Knowledge document created: ${document.id} by ${userId}`)
+  await reindexDocuments()
+  return document
+}
+
+/**
+ * Apply changes as a new version; returns null when the document does not exist
+ */
+async function writeVersion(id, changes, userId, changeType) {
+  const document = await prisma.$transaction(async (tx) => {
+    const current = await tx.knowledgeDocument.findUnique({ where: { id } })
+    if (!current) return null
+
+    const next = {
+      title: changes.title !== undefined ? changes.title.trim() : current.title,
+      content: changes.content !== undefined ? changes.content.trim() : current.content,
+      category: changes.category !== undefined ? changes.category?.trim() || null : current.category,
+      tags: changes.tags !== undefined ? normalizeTags(changes.tags) : current.tags,
+      version: current.version + 1,
+    }
+
+    await tx.knowledgeRevision.create({
+      data: { documentId: id, ...revisionData(next, changeType, userId) },
+    })
+
+    return tx.knowledgeDocument.update({
+      where: { id },
+      data: { ...next, updatedById: userId },
+      select: documentSelect,
+    })
+  })
+
+  if (document) {
+    logger.info(`Knowledge document ${id} now at v${document.version} (${changeType}) by ${userId}`)
+    await reindexDocuments()
+  }
+  return document
+}
+
+/**
+ * Update a document, keeping the previous version as a revision
+ */
+export async function updateDocument(id, changes, userId) {
+  return writeVersion(id, changes, userId, "update")
+}
+
+/**
+ * Restore the content of an earlier version as a new version
+ * Returns { document } or { error } when the document or version does not exist
+ */
+export async function rollbackDocument(id, version, userId) {
+  const revision = await prisma.knowledgeRevision.findUnique({
+    where: { documentId_version: { documentId: id, version } },
+  })
+  if (!revision) {
+    return { error: "Revision not found" }
+  }
+
+  const document = await writeVersion(
+    id,
+    { title: revision.title, content: revision.content, category: revision.category, tags: revision.tags },
+    userId,
+    "rollback",
+  )
+  return document ? { document } : { error: "Document not found" }
+}
+
+/**
+ * Delete a document and its revisions (returns false if missing)
+ */
+export async function deleteDocument(id, userId) {
+  const { count } = await prisma.knowledgeDocument.deleteMany({ where: { id } })
+
+  if (count > 0) {
+    logger.info(`Knowledge document deleted: ${id} by ${userId}`)
+    await reindexDocuments()
+  }
+  return count > 0
+}
+
+/**
+ * List a document's revisions, newest first
+ */
+export async function listRevisions(id) {
+  return prisma.knowledgeRevision.findMany({
+    where: { documentId: id },
+    orderBy: { version: "desc" },
+    select: {
+      id: true,
+      version: true,
+      title: true,
+      content: true,
+      category: true,
+      tags: true,
+      changeType: true,
+      editedById: true,
+      createdAt: true,
+    },
+  })
+}
+
+/**
+ * Import many documents at once
+ * mode "append" adds them; "replace" deletes the existing knowledge base first.
+ * Documents with an id that already exists are updated as a new version.
+ * Reindexes once at the end.
+ */
+export async function bulkImport(documents, userId, mode = "append") {
+  const summary = { created: 0, updated: 0, deleted: 0 }
+  const transactionOptions = {
+    maxWait: IMPORT_TRANSACTION_MAX_WAIT_MS,
+    timeout: IMPORT_TRANSACTION_BASE_MS + documents.length * IMPORT_TRANSACTION_PER_DOCUMENT_MS,
+  }
+
+  await prisma.$transaction(async (tx) => {
+    if (mode === "replace") {
+      summary.deleted = (await tx.knowledgeDocument.deleteMany({})).count
+    }
+
+    for (const doc of documents) {
+      const fields = {
+        title: doc.title.trim(),
+        content: doc.content.trim(),
+        category: doc.category?.trim() || null,
+        tags: normalizeTags(doc.tags),
+      }
+      const existing = doc.id ? await tx.knowledgeDocument.findUnique({ where: { id: doc.id } }) : null
+
+      if (existing) {
+        const version = existing.version + 1
+        await tx.knowledgeRevision.create({
+          data: { documentId: existing.id, ...revisionData({ ...fields, version }, "import", userId) },
+        })
+        await tx.knowledgeDocument.update({
+          where: { id: existing.id },
+          data: { ...fields, version, updatedById: userId },
+        })
+        summary.updated++
+      } else {
+        await tx.knowledgeDocument.create({
+          data: {
+            ...(doc.id ? { id: doc.id } : {}),
+            ...fields,
+            createdById: userId,
+            updatedById: userId,
+            revisions: { create: revisionData({ ...fields, version: 1 }, "import", userId) },
+          },
+        })
+        summary.created++
+      }
+    }
+  }, transactionOptions)
+
+  logger.info(
+    `Knowledge base import by ${userId}: ${summary.created} created, ${summary.updated} updated, ${summary.deleted} deleted`,
+  )
+  await reindexDocuments()
+  return summary
+}
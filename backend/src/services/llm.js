@@ -1,68 +1,280 @@
-import { ChatOpenAI } from "@langchain/openai"
 import { createLogger } from "../utils/logger.js"
+import { getProvider, listProviders, getFallbackChain } from "./llmProviders/index.js"
 
 const logger = createLogger()
 
-// Initialize LLM
-let llm = null
+// Per-attempt timeout (for streams: maximum wait between chunks)
+const LLM_TIMEOUT_MS = Number.parseInt(process.env.LLM_TIMEOUT_MS || "30000")
+// Retries per provider for transient failures before moving down the chain
+const LLM_MAX_RETRIES = Number.parseInt(process.env.LLM_MAX_RETRIES || "2")
+const LLM_RETRY_BASE_DELAY_MS = Number.parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || "500")
 
-function initializeLLM() {
-  const provider = process.env.LLM_PROVIDER || "openai"
-  const apiKey = provider === "openai" ? process.env.OPENAI_API_KEY : process.env.GROQ_API_KEY
+const TRANSIENT_STATUS_CODES = [408, 409, 429, 500, 502, 503, 504]
+const TRANSIENT_ERROR_CODES = ["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EPIPE"]
 
-  if (!apiKey) {
-    throw new Error(`${provider.toUpperCase()}_API_KEY is not set in environment variables`)
-  }
+// Model instances, created lazily per provider
+const models = new Map()
 
-  if (provider === "openai") {
-    llm = new ChatOpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      modelName: "gpt-3.5-turbo",
-      temperature: 0.7,
-    })
-  } else if (provider === "groq") {
-    // For Groq, we'll use the OpenAI SDK with Groq endpoint
-    llm = new ChatOpenAI({
-      apiKey: process.env.GROQ_API_KEY,
-      modelName: "mixtral-8x7b-32768",
-      baseURL: "https://api.groq.com/openai/v1",
-      temperature: 0.7,
-    })
+function getModel(provider) {
+  if (!models.has(provider.name)) {
+    models.set(provider.name, provider.createModel())
+    logger.info(`LLM initialized with provider: ${provider.name} (${provider.getModelName()})`)
   }
+  return models.get(provider.name)
+}
 
-  logger.info(`LLM initialized with provider: ${provider}`)
-  return llm
+/**
+ * Timeouts, rate limits, 5xx and network errors are worth retrying; auth and validation errors are not
+ */
+function isTransientError(error) {
+  const status = error.status || error.response?.status
+  if (status) return TRANSIENT_STATUS_CODES.includes(status)
+  if (TRANSIENT_ERROR_CODES.includes(error.code || error.cause?.code)) return true
+  return /timeout|timed out|network|socket hang up/i.test(error.message || "")
 }
 
-export async function generateResponse(context, userMessage, customSystemPrompt = null) {
-  try {
-    if (!llm) {
-      initializeLLM()
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Reject if the promise does not settle within ms, aborting the attempt
+ */
+function withTimeout(promise, ms, controller) {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`LLM request timed out after ${ms}ms`)
+      error.code = "ETIMEDOUT"
+      controller?.abort()
+      reject(error)
+    }, ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Run an LLM operation against the fallback chain
+ * Each provider is retried with exponential backoff on transient errors before the next one is tried.
+ * operation(model, attemptSignal) resolves with an object that is returned along with the provider used.
+ */
+async function runWithFallback(operation, signal) {
+  const chain = getFallbackChain()
+  const failures = []
+
+  for (const name of chain) {
+    const provider = getProvider(name)
+    if (!provider) {
+      failures.push(`${name}: unknown provider`)
+      continue
     }
+    if (!provider.isConfigured()) {
+      failures.push(`${name}: not configured`)
+      continue
+    }
+
+    const model = getModel(provider)
+
+    for (let attempt = 0; attempt <= LLM_MAX_RETRIES; attempt++) {
+      // Abort the attempt on timeout or when the caller aborts
+      const controller = new AbortController()
+      const onAbort = () => controller.abort()
+      signal?.addEventListener("abort", onAbort)
+
+      try {
+        const result = await operation(model, controller)
+        if (attempt > 0 || name !== chain[0]) {
+          logger.info(`LLM request served by ${name} after ${failures.length} failure(s)`)
+        }
+        return { ...result, provider: name, model: provider.getModelName() }
+      } catch (error) {
+        if (signal?.aborted) throw error
+
+        // Output already reached the client, so another provider cannot take over
+        if (error.partialOutput) throw error
+
+        const transient = isTransientError(error)
+        failures.push(`${name}: ${error.message}`)
+        logger.warn(`LLM provider ${name} failed (attempt ${attempt + 1}, transient: ${transient}): ${error.message}`)
+
+        if (!transient || attempt === LLM_MAX_RETRIES) break
+        await sleep(LLM_RETRY_BASE_DELAY_MS * 2 ** attempt)
+      } finally {
+        signal?.removeEventListener("abort", onAbort)
+      }
+    }
+  }
 
-    // Use custom system prompt or default
-    const systemPrompt =
-      customSystemPrompt ||
-      `You are an intelligent assistant that helps users with real-time information and knowledge-based queries. 
+  throw new Error(`All LLM providers failed (${failures.join("; ") || "no providers in chain"})`)
+}
+
+const DEFAULT_SYSTEM_PROMPT = `You are an intelligent assistant that helps users with real-time information and knowledge-based queries. 
 You have access to current data including weather, news, exchange rates, and a knowledge base.
 When answering questions, be concise, accurate, and helpful. Use the provided context to give informed responses.
 If you don't have enough information, say so honestly.`
 
+/**
+ * Build the message list for a chat completion
+ * history: { summary?: string, messages: [{ role: "user" | "assistant", content }] } from earlier turns
+ */
+function buildMessages(context, userMessage, customSystemPrompt, history) {
+  const messages = [
+    {
+      role: "system",
+      content: customSystemPrompt || DEFAULT_SYSTEM_PROMPT,
+    },
+  ]
+
+  // Earlier turns let follow-up questions resolve against the conversation so far
+  if (history?.summary) {
+    messages.push({
+      role: "system",
+      content: `Summary of the earlier conversation: ${history.summary}`,
+    })
+  }
+  for (const turn of history?.messages || []) {
+    messages.push({ role: turn.role, content: turn.content })
+  }
+
+  messages.push({
+    role: "user",
+    content: `Context: ${context}\n\nUser Question: ${userMessage}`,
+  })
+
+  return messages
+}
+
+/**
+ * Generate a reply for the user message
+ * Resolves with { reply, provider, model }
+ */
+export async function generateResponse(context, userMessage, customSystemPrompt = null, history = null) {
+  try {
+    const messages = buildMessages(context, userMessage, customSystemPrompt, history)
+
+    return await runWithFallback(async (model, controller) => {
+      const response = await withTimeout(model.invoke(messages, { signal: controller.signal }), LLM_TIMEOUT_MS, controller)
+      return { reply: response.content }
+    })
+  } catch (error) {
+    logger.error("LLM generation error:", error)
+    throw new Error(`Failed to generate response: ${error.message}`)
+  }
+}
+
+/**
+ * Stream a reply token by token
+ * Calls onToken for every chunk and resolves with { reply, provider, model }
+ */
+export async function streamResponse(context, userMessage, customSystemPrompt = null, history = null, onToken, signal) {
+  try {
+    const messages = buildMessages(context, userMessage, customSystemPrompt, history)
+
+    return await runWithFallback(async (model, controller) => {
+      let reply = ""
+      const stream = await withTimeout(model.stream(messages, { signal: controller.signal }), LLM_TIMEOUT_MS, controller)
+      const iterator = stream[Symbol.asyncIterator]()
+
+      try {
+        while (true) {
+          const { value: chunk, done } = await withTimeout(iterator.next(), LLM_TIMEOUT_MS, controller)
+          if (done || signal?.aborted) break
+          if (!chunk.content) continue
+
+          reply += chunk.content
+          onToken(chunk.content)
+        }
+      } catch (error) {
+        error.partialOutput = reply.length > 0
+        throw error
+      }
+
+      return { reply }
+    }, signal)
+  } catch (error) {
+    if (signal?.aborted) {
+      logger.info("LLM stream aborted by client")
+      return { reply: "", provider: null, model: null }
+    }
+    logger.error("LLM streaming error:", error)
+    throw new Error(`Failed to generate response: ${error.message}`)
+  }
+}
+
+/**
+ * Fold older conversation turns into a running summary
+ */
+export async function summarizeConversation(previousSummary, turns) {
+  try {
+    const transcript = turns.map((turn) => `${turn.role}: ${turn.content}`).join("\n")
+
     const messages = [
       {
         role: "system",
-        content: systemPrompt,
+        content: `You maintain a running summary of a conversation between a user and an assistant.
+Keep names, places, dates, numbers and open questions the user may refer back to. Reply with the summary only, in under 150 words.`,
       },
       {
         role: "user",
-        content: `Context: ${context}\n\nUser Question: ${userMessage}`,
+        content: `Current summary: ${previousSummary || "(none)"}\n\nNew turns:\n${transcript}`,
       },
     ]
 
-    const response = await llm.invoke(messages)
-    return response.content
+    const { reply } = await runWithFallback(async (model, controller) => {
+      const response = await withTimeout(model.invoke(messages, { signal: controller.signal }), LLM_TIMEOUT_MS, controller)
+      return { reply: response.content }
+    })
+    return reply
   } catch (error) {
-    logger.error("LLM generation error:", error)
-    throw new Error(`Failed to generate response: ${error.message}`)
+    logger.error("Conversation summary error:", error)
+    throw new Error(`Failed to summarize conversation: ${error.message}`)
   }
 }
+
+/**
+ * Summarize a passage of a document in at most maxWords words
+ * partial: the passage is one part of a longer document (map step), so keep the details a later merge needs
+ * Resolves with { summary, provider, model }
+ */
+export async function summarizeText(text, { maxWords = 250, partial = false } = {}) {
+  try {
+    const messages = [
+      {
+        role: "system",
+        content: partial
+          ? `You summarize one part of a longer document. Keep the key facts, names, numbers and conclusions so the part summaries can be merged later. Reply with the summary only, in under ${maxWords} words.`
+          : `You summarize documents for a reader who has not seen them. Cover the main points in the order they appear. Reply with the summary only, in under ${maxWords} words.`,
+      },
+      {
+        role: "user",
+        content: text,
+      },
+    ]
+
+    const { reply, provider, model } = await runWithFallback(async (model, controller) => {
+      const response = await withTimeout(model.invoke(messages, { signal: controller.signal }), LLM_TIMEOUT_MS, controller)
+      return { reply: response.content }
+    })
+    return { summary: reply, provider, model }
+  } catch (error) {
+    logger.error("Summarization error:", error)
+    throw new Error(`Failed to summarize text: ${error.message}`)
+  }
+}
+
+/**
+ * Run every registered provider's health check
+ */
+export async function checkProvidersHealth() {
+  const chain = getFallbackChain()
+
+  return Promise.all(
+    listProviders().map(async (provider) => ({
+      name: provider.name,
+      configured: provider.isConfigured(),
+      chainPosition: chain.indexOf(provider.name),
+      model: provider.getModelName(),
+      models: provider.models,
+      limits: provider.limits,
+      ...(await provider.healthCheck()),
+    })),
+  )
+}
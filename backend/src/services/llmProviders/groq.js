@@ -0,0 +1,22 @@
+/**
+ * Groq LLM Provider
+ * Uses Groq's OpenAI-compatible endpoint
+ */
+
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js"
+
+export default createOpenAICompatibleProvider({
+  name: "groq",
+  apiKeyEnv: "GROQ_API_KEY",
+  modelEnv: "GROQ_MODEL",
+  baseURL: "https://api.groq.com/openai/v1",
+  models: {
+    default: "mixtral-8x7b-32768",
+    available: ["mixtral-8x7b-32768", "llama3-70b-8192", "llama3-8b-8192"],
+  },
+  limits: {
+    contextWindow: 32768,
+    maxOutputTokens: 1024,
+    requestsPerMinute: 30,
+  },
+})
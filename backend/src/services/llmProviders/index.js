@@ -0,0 +1,54 @@
+/**
+ * LLM Provider Registry
+ * Providers are modules exporting { name, models, limits, isConfigured, createModel, getModelName, healthCheck }
+ * and optionally autoFallback: false to stay out of the default fallback chain
+ */
+
+import openai from "./openai.js"
+import groq from "./groq.js"
+import mock from "./mock.js"
+
+const providers = new Map()
+
+/**
+ * Register a provider (later registrations replace earlier ones with the same name)
+ */
+export function registerProvider(provider) {
+  for (const key of ["name", "isConfigured", "createModel", "getModelName", "healthCheck"]) {
+    if (!provider?.[key]) {
+      throw new Error(`LLM provider is missing required field: ${key}`)
+    }
+  }
+  providers.set(provider.name, provider)
+}
+
+export function getProvider(name) {
+  return providers.get(name) || null
+}
+
+export function listProviders() {
+  return Array.from(providers.values())
+}
+
+/**
+ * Ordered provider names to try for each request
+ * LLM_FALLBACK_CHAIN (comma-separated) wins; otherwise LLM_PROVIDER first, then every other configured provider
+ */
+export function getFallbackChain() {
+  if (process.env.LLM_FALLBACK_CHAIN) {
+    return process.env.LLM_FALLBACK_CHAIN.split(",")
+      .map((name) => name.trim())
+      .filter(Boolean)
+  }
+
+  const primary = process.env.LLM_PROVIDER || "openai"
+  const others = listProviders()
+    .filter((provider) => provider.name !== primary && provider.autoFallback !== false && provider.isConfigured())
+    .map((provider) => provider.name)
+
+  return [primary, ...others]
+}
+
+registerProvider(openai)
+registerProvider(groq)
+registerProvider(mock)
@@ -0,0 +1,194 @@
+/**
+ * Mock LLM Provider
+ * Deterministic, offline provider for development, CI and /api/selftest.
+ * Replies come from a fixtures file: the first entry whose `match` regex matches the question wins,
+ * otherwise the question and context are echoed back.
+ *
+ * Fixture entry: { match, reply?, error?: { status, message, code }, latencyMs?, chunkSize?, times? }
+ * Reply templates may use {{question}}, {{context}}, {{history}} and {{system}}.
+ */
+
+import { readFileSync } from "fs"
+import { fileURLToPath } from "url"
+import { dirname, join, isAbsolute } from "path"
+import { createLogger } from "../../utils/logger.js"
+
+const logger = createLogger()
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const DEFAULT_FIXTURES_PATH = join(__dirname, "../../../data/mock-llm-fixtures.json")
+
+let fixtures = null
+// How many times each fixture has fired, for entries limited by `times`
+const fixtureHits = new Map()
+
+function loadFixtures() {
+  const configured = process.env.MOCK_LLM_FIXTURES
+  const path = configured ? (isAbsolute(configured) ? configured : join(process.cwd(), configured)) : DEFAULT_FIXTURES_PATH
+
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"))
+    logger.info(`Mock LLM loaded ${data.responses?.length || 0} fixtures from ${path}`)
+    return { defaults: data.defaults || {}, responses: data.responses || [] }
+  } catch (error) {
+    logger.warn(`Mock LLM fixtures not loaded (${error.message}), echoing all questions`)
+    return { defaults: {}, responses: [] }
+  }
+}
+
+function getFixtures() {
+  if (!fixtures) {
+    fixtures = loadFixtures()
+  }
+  return fixtures
+}
+
+/**
+ * Replace the fixtures at runtime (tests and scripts)
+ */
+export function setMockFixtures(responses, defaults = {}) {
+  fixtures = { defaults, responses }
+  fixtureHits.clear()
+}
+
+/**
+ * Reload fixtures from disk on next use
+ */
+export function resetMockFixtures() {
+  fixtures = null
+  fixtureHits.clear()
+}
+
+/**
+ * Split the LLM message list into the parts fixtures can match on
+ */
+function parseMessages(messages) {
+  const last = messages[messages.length - 1]?.content || ""
+  const match = last.match(/^Context: ([\s\S]*?)\n\nUser Question: ([\s\S]*)$/)
+
+  return {
+    system: messages[0]?.role === "system" ? messages[0].content : "",
+    context: match ? match[1] : "",
+    question: match ? match[2] : last,
+    history: messages.slice(1, -1).filter((m) => m.role !== "system").length,
+  }
+}
+
+function findFixture(parsed) {
+  const { responses } = getFixtures()
+
+  return responses.find((fixture, index) => {
+    if (fixture.times !== undefined && (fixtureHits.get(index) || 0) >= fixture.times) return false
+    const target = fixture.on === "context" ? parsed.context : fixture.on === "system" ? parsed.system : parsed.question
+    if (!new RegExp(fixture.match, "i").test(target)) return false
+
+    fixtureHits.set(index, (fixtureHits.get(index) || 0) + 1)
+    return true
+  })
+}
+
+/**
+ * Fill the template in one pass, so placeholders and $ patterns inside the values are kept as written
+ */
+function render(template, parsed) {
+  return template.replace(/\{\{(question|context|history|system)\}\}/g, (placeholder, name) => String(parsed[name]))
+}
+
+function delay(ms, signal) {
+  if (!ms) return Promise.resolve()
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Mock LLM request aborted"))
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new Error("Mock LLM request aborted"))
+    }
+    // Remove the listener once the delay is over, so long-lived signals do not collect one per call
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener("abort", onAbort, { once: true })
+  })
+}
+
+/**
+ * Resolve the scripted reply for a message list, throwing scripted errors
+ */
+async function respond(messages, signal) {
+  const parsed = parseMessages(messages)
+  const fixture = findFixture(parsed) || {}
+  const { defaults } = getFixtures()
+
+  const latencyMs = fixture.latencyMs ?? defaults.latencyMs ?? Number.parseInt(process.env.MOCK_LLM_LATENCY_MS || "0")
+  await delay(latencyMs, signal)
+
+  if (fixture.error) {
+    const error = new Error(fixture.error.message || "Mock LLM error")
+    error.status = fixture.error.status
+    error.code = fixture.error.code
+    throw error
+  }
+
+  const template = fixture.reply ?? defaults.reply ?? '[mock] Answer to "{{question}}" using context: {{context}}'
+  return {
+    content: render(template, parsed),
+    chunkSize: fixture.chunkSize ?? defaults.chunkSize ?? 3,
+    chunkDelayMs: fixture.chunkDelayMs ?? defaults.chunkDelayMs ?? 0,
+  }
+}
+
+class MockChatModel {
+  async invoke(messages, options = {}) {
+    const { content } = await respond(messages, options.signal)
+    return { content }
+  }
+
+  /**
+   * Streams the reply a few words at a time
+   */
+  async stream(messages, options = {}) {
+    const { content, chunkSize, chunkDelayMs } = await respond(messages, options.signal)
+    const words = content.split(/(?<=\s)/)
+
+    return (async function* () {
+      for (let i = 0; i < words.length; i += chunkSize) {
+        await delay(chunkDelayMs, options.signal)
+        yield { content: words.slice(i, i + chunkSize).join("") }
+      }
+    })()
+  }
+}
+
+export default {
+  name: "mock",
+  models: {
+    default: "mock-echo",
+    available: ["mock-echo"],
+  },
+  limits: {
+    contextWindow: Number.POSITIVE_INFINITY,
+    maxOutputTokens: Number.POSITIVE_INFINITY,
+    requestsPerMinute: Number.POSITIVE_INFINITY,
+  },
+  // Never join the chain implicitly; use LLM_PROVIDER=mock or list it in LLM_FALLBACK_CHAIN
+  autoFallback: false,
+
+  isConfigured() {
+    return true
+  },
+
+  createModel() {
+    return new MockChatModel()
+  },
+
+  getModelName() {
+    return "mock-echo"
+  },
+
+  async healthCheck() {
+    return { healthy: true, latencyMs: 0 }
+  },
+}
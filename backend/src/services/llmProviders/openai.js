@@ -0,0 +1,20 @@
+/**
+ * OpenAI LLM Provider
+ */
+
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js"
+
+export default createOpenAICompatibleProvider({
+  name: "openai",
+  apiKeyEnv: "OPENAI_API_KEY",
+  modelEnv: "OPENAI_MODEL",
+  models: {
+    default: "gpt-3.5-turbo",
+    available: ["gpt-3.5-turbo", "gpt-4o-mini", "gpt-4o"],
+  },
+  limits: {
+    contextWindow: 16385,
+    maxOutputTokens: 1024,
+    requestsPerMinute: 3500,
+  },
+})
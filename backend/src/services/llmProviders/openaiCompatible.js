@@ -0,0 +1,64 @@
+/**
+ * OpenAI-compatible provider factory
+ * Shared by every provider that speaks the OpenAI chat completions API
+ */
+
+import axios from "axios"
+import { ChatOpenAI } from "@langchain/openai"
+
+/**
+ * Create a provider definition for an OpenAI-compatible endpoint
+ */
+export function createOpenAICompatibleProvider({ name, apiKeyEnv, modelEnv, baseURL, models, limits }) {
+  const getApiKey = () => process.env[apiKeyEnv]
+  const getModelName = () => process.env[modelEnv] || models.default
+
+  return {
+    name,
+    apiKeyEnv,
+    models,
+    limits,
+
+    isConfigured() {
+      return !!getApiKey()
+    },
+
+    createModel({ temperature = 0.7 } = {}) {
+      return new ChatOpenAI({
+        apiKey: getApiKey(),
+        modelName: getModelName(),
+        temperature,
+        maxTokens: limits.maxOutputTokens,
+        // Retries and timeouts are handled by the fallback chain in llm.js
+        maxRetries: 0,
+        ...(baseURL ? { configuration: { baseURL } } : {}),
+      })
+    },
+
+    getModelName,
+
+    /**
+     * Cheap authenticated request that does not consume tokens
+     */
+    async healthCheck() {
+      if (!getApiKey()) {
+        return { healthy: false, error: `${apiKeyEnv} not set` }
+      }
+
+      const start = Date.now()
+      try {
+        await axios.get(`${baseURL || "https://api.openai.com/v1"}/models`, {
+          headers: { Authorization: `Bearer ${getApiKey()}` },
+          timeout: 5000,
+        })
+        return { healthy: true, latencyMs: Date.now() - start }
+      } catch (error) {
+        return {
+          healthy: false,
+          latencyMs: Date.now() - start,
+          error: error.response ? `HTTP ${error.response.status}` : error.message,
+        }
+      }
+    },
+  }
+}
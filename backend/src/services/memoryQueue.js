@@ -0,0 +1,193 @@
+/**
+ * In-Memory Job Queue
+ * Drop-in stand-in for the parts of Bull's Queue/Job API the app uses, for single-node deployments
+ * and tests without Redis: job ids, attempts with fixed or exponential backoff, concurrency,
+ * progress, data updates, retry, discard, and the completed/failed/progress events.
+ * Jobs do not survive a restart.
+ */
+
+import { EventEmitter } from "events"
+
+class MemoryJob {
+  constructor(queue, id, data, opts) {
+    this.queue = queue
+    this.id = id
+    this.data = data
+    this.opts = opts
+    this.timestamp = Date.now()
+    this.attemptsMade = 0
+    this._progress = 0
+    this.returnvalue = null
+    this.failedReason = undefined
+    this.stacktrace = []
+    this.processedOn = undefined
+    this.finishedOn = undefined
+    this.state = "waiting"
+    this.discarded = false
+  }
+
+  async progress(value) {
+    if (value === undefined) return this._progress
+    this._progress = value
+    this.queue.emit("progress", this, value)
+  }
+
+  async update(data) {
+    this.data = data
+  }
+
+  async getState() {
+    return this.state
+  }
+
+  /**
+   * Fail the job on its current attempt instead of retrying it
+   */
+  discard() {
+    this.discarded = true
+  }
+
+  /**
+   * Move a failed job back to waiting
+   */
+  async retry() {
+    if (this.state !== "failed") {
+      throw new Error(`Job ${this.id} is not failed`)
+    }
+    this.discarded = false
+    this.failedReason = undefined
+    this.finishedOn = undefined
+    this.queue.enqueue(this)
+  }
+
+  async remove() {
+    this.queue.jobs.delete(this.id)
+  }
+}
+
+export class MemoryQueue extends EventEmitter {
+  constructor(name, { defaultJobOptions = {} } = {}) {
+    super()
+    this.name = name
+    this.defaultJobOptions = defaultJobOptions
+    this.jobs = new Map()
+    this.waiting = []
+    this.nextId = 1
+    this.handler = null
+    this.concurrency = 1
+    this.active = 0
+    this.timers = new Set()
+    this.closed = false
+  }
+
+  async isReady() {
+    return this
+  }
+
+  /**
+   * process(handler) or process(concurrency, handler), as in Bull
+   */
+  process(concurrency, handler) {
+    if (typeof concurrency === "function") {
+      handler = concurrency
+      concurrency = 1
+    }
+    this.handler = handler
+    this.concurrency = Math.max(1, concurrency)
+    this.drain()
+  }
+
+  async add(data, opts = {}) {
+    const job = new MemoryJob(this, String(this.nextId++), data, { attempts: 1, ...this.defaultJobOptions, ...opts })
+    this.jobs.set(job.id, job)
+    this.enqueue(job)
+    return job
+  }
+
+  async getJob(jobId) {
+    return this.jobs.get(String(jobId)) || null
+  }
+
+  async getJobs(states) {
+    const wanted = [].concat(states)
+    return Array.from(this.jobs.values()).filter((job) => wanted.includes(job.state))
+  }
+
+  async close() {
+    this.closed = true
+    for (const timer of this.timers) clearTimeout(timer)
+    this.timers.clear()
+  }
+
+  enqueue(job) {
+    job.state = "waiting"
+    this.waiting.push(job)
+    this.drain()
+  }
+
+  drain() {
+    while (this.handler && !this.closed && this.active < this.concurrency && this.waiting.length > 0) {
+      this.run(this.waiting.shift())
+    }
+  }
+
+  async run(job) {
+    this.active++
+    job.state = "active"
+    job.processedOn = Date.now()
+
+    try {
+      const result = await this.handler(job)
+      job.attemptsMade++
+      job.returnvalue = result ?? null
+      job.state = "completed"
+      job.finishedOn = Date.now()
+      this.emit("completed", job, result)
+      this.pruneCompleted(job.opts.removeOnComplete)
+    } catch (error) {
+      job.attemptsMade++
+      job.failedReason = error.message
+      job.stacktrace.push(error.stack)
+
+      if (job.attemptsMade < job.opts.attempts && !job.discarded) {
+        this.schedule(job, this.backoffDelay(job))
+      } else {
+        job.state = "failed"
+        job.finishedOn = Date.now()
+      }
+      this.emit("failed", job, error)
+    } finally {
+      this.active--
+      this.drain()
+    }
+  }
+
+  schedule(job, delay) {
+    job.state = "delayed"
+    const timer = setTimeout(() => {
+      this.timers.delete(timer)
+      this.enqueue(job)
+    }, delay)
+    this.timers.add(timer)
+  }
+
+  backoffDelay(job) {
+    const backoff = job.opts.backoff
+    if (!backoff) return 0
+    if (typeof backoff === "number") return backoff
+    return backoff.type === "exponential" ? backoff.delay * 2 ** (job.attemptsMade - 1) : backoff.delay
+  }
+
+  /**
+   * removeOnComplete: true drops completed jobs, a number keeps only that many
+   */
+  pruneCompleted(removeOnComplete) {
+    if (!removeOnComplete) return
+
+    const completed = Array.from(this.jobs.values()).filter((job) => job.state === "completed")
+    const keep = removeOnComplete === true ? 0 : removeOnComplete
+    for (const job of completed.slice(0, Math.max(completed.length - keep, 0))) {
+      this.jobs.delete(job.id)
+    }
+  }
+}
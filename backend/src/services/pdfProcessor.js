@@ -1,174 +1,500 @@
 /**
- * PDF Processing Service
- * Handles PDF uploads, text extraction, and vectorization
+ * Document Processing Service
+ * Handles uploads (PDF, DOCX, Markdown, HTML, TXT, CSV), text extraction, and vectorization.
+ * Each format has an extractor (see extractors/) feeding the same chunking and indexing path.
+ * Files live on the storage backend; Document and DocumentChunk rows (with embeddings) live in the database.
  */
 
-import pdf from "pdf-parse"
+import { createHash } from "crypto"
+import { Readable } from "stream"
+import { PrismaClient } from "@prisma/client"
 import { createLogger } from "../utils/logger.js"
 import { v4 as uuidv4 } from "uuid"
+import { BM25Index } from "./bm25Index.js"
+import { VectorIndex } from "./vectorIndex.js"
+import { hybridSearch } from "./hybridSearch.js"
+import { getEmbedder } from "./embeddings/index.js"
+import { getStorage, getStorageBackend } from "./storage/index.js"
+import { getExtractor } from "./extractors/index.js"
+import { assertProcessingQuota } from "./quotas.js"
+import { chunkBlocks, formatPages, formatRows } from "../utils/textChunker.js"
 
+const prisma = new PrismaClient()
 const logger = createLogger()
 
-// In-memory PDF store
-const pdfStore = new Map()
+// Owners whose search indexes are kept in memory, and how long an unused one is kept
+const SEARCH_INDEX_MAX_OWNERS = Number.parseInt(process.env.SEARCH_INDEX_MAX_OWNERS || "100")
+const SEARCH_INDEX_IDLE_MS = Number.parseInt(process.env.SEARCH_INDEX_IDLE_MS || "1800000")
+
+// Per-owner search indexes over document chunks, filled from the database on first use:
+// owner -> { keyword: BM25Index, vector: VectorIndex, chunks: chunkId -> chunk, documents: documentId -> chunkIds, lastUsed }
+// Kept in least recently used order; evicted owners are loaded again from their stored chunks when next queried.
+const ownerIndexes = new Map()
+
+function embedderKey(embedder) {
+  return `${embedder.name}:${embedder.model}`
+}
+
+/**
+ * Drop the indexes of owners idle for longer than SEARCH_INDEX_IDLE_MS; returns how many were dropped
+ */
+export function evictIdleOwnerIndexes() {
+  const idleSince = Date.now() - SEARCH_INDEX_IDLE_MS
+  let evicted = 0
+
+  // Least recently used first, so the scan stops at the first owner still in use
+  for (const [ownerId, indexes] of ownerIndexes) {
+    if (indexes.lastUsed > idleSince) break
+    ownerIndexes.delete(ownerId)
+    evicted++
+  }
+  if (evicted > 0) logger.info(`Evicted search indexes of ${evicted} idle owners`)
+  return evicted
+}
+
+function getOwnerIndexes(ownerId) {
+  const indexes = ownerIndexes.get(ownerId) || {
+    keyword: new BM25Index(),
+    vector: new VectorIndex(`pdf-${ownerId}`),
+    chunks: new Map(),
+    documents: new Map(),
+  }
+
+  // Move the owner to the most recently used end
+  ownerIndexes.delete(ownerId)
+  indexes.lastUsed = Date.now()
+  ownerIndexes.set(ownerId, indexes)
+
+  evictIdleOwnerIndexes()
+  for (const oldest of ownerIndexes.keys()) {
+    if (ownerIndexes.size <= SEARCH_INDEX_MAX_OWNERS) break
+    ownerIndexes.delete(oldest)
+  }
+  return indexes
+}
 
 /**
- * Extract text from PDF buffer
+ * Add a stored document's chunks to its owner's keyword and vector indexes.
+ * Stored embeddings are reused when they come from the active embedder; anything else is embedded now
+ * and written back so other instances can reuse it.
  */
-export async function extractPDFText(pdfBuffer) {
+async function indexDocumentChunks(indexes, document, chunks) {
+  const embedder = getEmbedder()
+  const key = embedderKey(embedder)
+
+  for (const chunk of chunks) {
+    indexes.keyword.add(chunk.id, chunk.content)
+    indexes.chunks.set(chunk.id, { ...chunk, filename: document.documentName })
+  }
+  indexes.documents.set(document.id, chunks.map((chunk) => chunk.id))
+
+  const embedded = chunks.filter((chunk) => chunk.embedder === key && chunk.embedding.length > 0)
+  const pending = chunks.filter((chunk) => !embedded.includes(chunk))
+
   try {
-    const data = await pdf(pdfBuffer)
-    logger.info(`Extracted ${data.numpages} pages from PDF`)
-    return {
-      text: data.text,
-      pages: data.numpages,
-      metadata: data.info,
+    if (embedded.length > 0) {
+      await indexes.vector.addVectors(
+        embedded.map((chunk) => ({ id: chunk.id, vector: chunk.embedding })),
+        embedder,
+      )
+    }
+    if (pending.length > 0) {
+      const vectors = await embedder.embedDocuments(pending.map((chunk) => chunk.content))
+      await indexes.vector.addVectors(
+        pending.map((chunk, i) => ({ id: chunk.id, vector: vectors[i] })),
+        embedder,
+      )
+      await prisma.$transaction(
+        pending.map((chunk, i) =>
+          prisma.documentChunk.update({ where: { id: chunk.id }, data: { embedding: vectors[i], embedder: key } }),
+        ),
+      )
+    }
+  } catch (error) {
+    // Keyword search still works without embeddings
+    logger.warn(`Embedding document chunks failed for ${document.id}: ${error.message}`)
+  }
+}
+
+/**
+ * "report.pdf p. 3", "sales.csv rows 2-40" or "runbook.md § Deploy > Rollback, rows 2-5"
+ * (chunks without location metadata cite the file alone)
+ */
+function citationFor(chunk) {
+  const pages = formatPages(chunk.pageStart, chunk.pageEnd)
+  if (pages) return `${chunk.filename} ${pages}`
+
+  const rows = chunk.metadata?.rows
+  const section = rows ? rows.section : chunk.metadata?.headings?.[0]
+  const location = [section && `§ ${section}`, formatRows(chunk.metadata?.rows)].filter(Boolean).join(", ")
+  return location ? `${chunk.filename} ${location}` : chunk.filename
+}
+
+function removeDocumentChunks(indexes, documentId) {
+  const chunkIds = indexes.documents.get(documentId) || []
+
+  for (const chunkId of chunkIds) {
+    indexes.keyword.remove(chunkId)
+    indexes.chunks.delete(chunkId)
+  }
+  indexes.vector.remove(chunkIds)
+  indexes.documents.delete(documentId)
+}
+
+/**
+ * Bring an owner's in-memory indexes in line with the database
+ * (documents uploaded or deleted by another instance, or before a restart)
+ */
+async function syncOwnerIndexes(ownerId) {
+  const indexes = getOwnerIndexes(ownerId)
+  const stored = await prisma.document.findMany({
+    where: { userId: ownerId },
+    select: { id: true, documentName: true },
+  })
+
+  const storedIds = new Set(stored.map((doc) => doc.id))
+  for (const documentId of Array.from(indexes.documents.keys())) {
+    if (!storedIds.has(documentId)) removeDocumentChunks(indexes, documentId)
+  }
+
+  const missing = stored.filter((doc) => !indexes.documents.has(doc.id))
+  if (missing.length > 0) {
+    const chunks = await prisma.documentChunk.findMany({
+      where: { documentId: { in: missing.map((doc) => doc.id) } },
+      orderBy: { chunkIndex: "asc" },
+    })
+    for (const document of missing) {
+      await indexDocumentChunks(indexes, document, chunks.filter((chunk) => chunk.documentId === document.id))
     }
+    logger.info(`Loaded ${missing.length} stored documents into search index for ${ownerId}`)
+  }
+
+  return indexes
+}
+
+/**
+ * sha256 of an uploaded file, used to spot exact re-uploads
+ */
+export function hashContent(fileBuffer) {
+  return createHash("sha256").update(fileBuffer).digest("hex")
+}
+
+/**
+ * The user's document with this content hash (null if none)
+ */
+export async function findDocumentByHash(userId, contentHash) {
+  const document = await prisma.document.findFirst({
+    where: { userId, contentHash },
+    include: { _count: { select: { chunks: true } } },
+    orderBy: { uploadedAt: "desc" },
+  })
+  return document ? toPDFInfo(document) : null
+}
+
+/**
+ * Point conversations scoped to a replaced document at its replacement, then delete the old document
+ */
+async function replaceDocument(oldDocumentId, newDocumentId, userId) {
+  const conversations = await prisma.conversation.findMany({
+    where: { userId, documentIds: { has: oldDocumentId } },
+    select: { id: true, documentIds: true },
+  })
+  for (const conversation of conversations) {
+    await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { documentIds: conversation.documentIds.map((id) => (id === oldDocumentId ? newDocumentId : id)) },
+    })
+  }
+
+  await deletePDFDocument(oldDocumentId, userId)
+  logger.info(`Document ${oldDocumentId} replaced by ${newDocumentId} (${conversations.length} conversations updated)`)
+}
+
+/**
+ * Save an uploaded file to the storage backend before processing
+ * extractor: the format detected for the file (see extractors/index.js)
+ */
+export async function storeUpload(fileBuffer, filename, extractor) {
+  const documentId = uuidv4()
+  const storage = getStorage()
+  const storageKey = `documents/${documentId}.${extractor.extension}`
+
+  await storage.put(storageKey, fileBuffer)
+  logger.info(`Stored ${filename} as ${storageKey} (${storage.name})`)
+
+  return { documentId, storageKey, storageBackend: storage.name, size: fileBuffer.length, format: extractor.format }
+}
+
+/**
+ * Whether a job's uploaded file is still on the storage backend
+ */
+export async function storedFileExists({ storageKey, storageBackend }) {
+  return getStorageBackend(storageBackend).exists(storageKey)
+}
+
+/**
+ * Remove a stored file whose processing failed for good
+ */
+export async function discardStoredFile({ storageKey, storageBackend }) {
+  try {
+    await getStorageBackend(storageBackend).delete(storageKey)
   } catch (error) {
-    logger.error("PDF extraction error:", error)
-    throw new Error("Failed to extract text from PDF")
+    logger.warn(`Failed to remove stored file ${storageKey}: ${error.message}`)
   }
 }
 
 /**
- * Process PDF for RAG
- * Splits text into chunks and creates embeddings
+ * Process a stored upload for RAG
+ * Extracts text with the format's extractor, splits it into chunks, embeds them
+ * and persists the Document row with its chunks
+ * replaces: id of a document this upload supersedes; it is deleted once the new one is stored
+ * onProgress(stage, percent) is called as each stage starts: extracting, chunking, embedding, indexing
  */
-export async function processPDFForRAG(pdfBuffer, filename, sessionId) {
+export async function processPDFForRAG(
+  { documentId, storageKey, storageBackend, format, filename, userId, size, contentHash, replaces },
+  onProgress = () => {},
+) {
   try {
-    const documentId = uuidv4()
+    const extractor = getExtractor(format)
+    const fileBuffer = await getStorageBackend(storageBackend).get(storageKey)
 
-    // Extract text
-    const extraction = await extractPDFText(pdfBuffer)
+    // Extract text blocks (pages, headings, table rows)
+    await onProgress("extracting", 10)
+    const extraction = await extractor.extract(fileBuffer)
 
-    // Split text into chunks (500 chars per chunk with 50 char overlap)
-    const chunks = splitTextIntoChunks(extraction.text, 500, 50)
+    // Split on paragraph/sentence boundaries, remembering each chunk's pages and structure
+    // (PDF_CHUNK_SIZE / PDF_CHUNK_OVERLAP)
+    await onProgress("chunking", 30)
+    const chunks = chunkBlocks(extraction.blocks)
 
-    // Create document record
-    const pdfDocument = {
-      documentId,
-      filename,
-      sessionId,
-      uploadedAt: new Date(),
-      pageCount: extraction.pages,
-      chunks: chunks.map((chunk, idx) => ({
-        id: `${documentId}_chunk_${idx}`,
-        text: chunk,
-        chunkIndex: idx,
-        score: 0, // Will be updated during similarity search
-      })),
-      metadata: {
-        totalChunks: chunks.length,
-        extractedMetadata: extraction.metadata,
-      },
+    // Page and chunk quotas can only be checked once the document is extracted
+    await assertProcessingQuota(userId, { pages: extraction.pages, chunks: chunks.length, replaces })
+
+    await onProgress("embedding", 50)
+    const embedder = getEmbedder()
+    let vectors = null
+    try {
+      vectors = chunks.length > 0 ? await embedder.embedDocuments(chunks.map((chunk) => chunk.text)) : []
+    } catch (error) {
+      // Stored without embeddings; they are created when the owner's index is next loaded
+      logger.warn(`Embedding document chunks failed for ${documentId}: ${error.message}`)
     }
 
-    // Store in memory
-    pdfStore.set(documentId, pdfDocument)
+    await onProgress("indexing", 80)
+    await prisma.document.create({
+      data: {
+        id: documentId,
+        userId,
+        documentName: filename,
+        mimeType: extractor.mimeType,
+        size: size ?? fileBuffer.length,
+        pageCount: extraction.pages,
+        vectorCount: vectors ? vectors.length : 0,
+        storageBackend,
+        storageKey,
+        contentHash: contentHash ?? null,
+        chunks: {
+          createMany: {
+            data: chunks.map((chunk, idx) => ({
+              id: `${documentId}_chunk_${idx}`,
+              chunkIndex: idx,
+              content: chunk.text,
+              pageStart: chunk.pageStart,
+              pageEnd: chunk.pageEnd,
+              metadata: chunk.metadata ?? undefined,
+              embedding: vectors ? vectors[idx] : [],
+              embedder: vectors ? embedderKey(embedder) : null,
+            })),
+          },
+        },
+      },
+    })
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { totalPdfUploads: { increment: 1 } },
+    })
 
-    logger.info(`PDF processed: ${documentId} (${chunks.length} chunks, ${extraction.pages} pages)`)
+    if (replaces) {
+      // The new document is already stored, so a failure here must not fail (and retry) the job
+      await replaceDocument(replaces, documentId, userId).catch((error) =>
+        logger.warn(`Replacing document ${replaces} failed: ${error.message}`),
+      )
+    }
+
+    const pages = extraction.pages ? `, ${extraction.pages} pages` : ""
+    logger.info(`${extractor.label} processed: ${documentId} (${chunks.length} chunks${pages})`)
 
     return {
       documentId,
       filename,
+      format: extractor.format,
       chunksCreated: chunks.length,
       pagesProcessed: extraction.pages,
+      replaced: replaces || null,
     }
   } catch (error) {
-    logger.error("PDF processing error:", error)
+    logger.error("Document processing error:", error)
     throw error
   }
 }
 
 /**
- * Split text into overlapping chunks
- */
-function splitTextIntoChunks(text, chunkSize = 500, overlapSize = 50) {
-  const chunks = []
-  for (let i = 0; i < text.length; i += chunkSize - overlapSize) {
-    chunks.push(text.slice(i, i + chunkSize))
-  }
-  return chunks
-}
-
-/**
- * Query PDF documents
+ * Query a user's PDF documents with hybrid BM25 + vector retrieval
+ * Options: k (max results, default 5), weights, minRelevance (see hybridSearch.js),
+ * documentIds (only search these documents; empty or missing searches all of them)
+ * Near-duplicate chunks across the library are collapsed into the best-ranked one.
  */
-export async function queryPDFDocuments(query, sessionId, limit = 5) {
+export async function queryPDFDocuments(query, userId, options = {}) {
   try {
-    const queryTerms = query.toLowerCase().split(" ")
+    const indexes = await syncOwnerIndexes(userId)
+    if (indexes.keyword.size === 0) return []
+
+    const { documentIds, ...retrieval } = options
+    const selected = documentIds?.length ? new Set(documentIds) : null
+
+    const hits = await hybridSearch({
+      query,
+      bm25Index: indexes.keyword,
+      vectorIndex: indexes.vector,
+      embedder: getEmbedder(),
+      options: { k: 5, ...retrieval },
+      filter: selected ? (chunkId) => selected.has(indexes.chunks.get(chunkId)?.documentId) : null,
+      textOf: (chunkId) => indexes.chunks.get(chunkId)?.content || "",
+    })
+
     const results = []
+    for (const { id: chunkId, relevance, ...retrieval } of hits) {
+      const chunk = indexes.chunks.get(chunkId)
+      if (!chunk) continue
 
-    // Search through all PDFs in session
-    for (const [docId, pdfDoc] of pdfStore.entries()) {
-      if (pdfDoc.sessionId !== sessionId) continue
-
-      // Score each chunk
-      for (const chunk of pdfDoc.chunks) {
-        let score = 0
-        const chunkLower = chunk.text.toLowerCase()
-
-        queryTerms.forEach((term) => {
-          const matches = chunkLower.match(new RegExp(term, "g"))
-          score += matches ? matches.length : 0
-        })
-
-        if (score > 0) {
-          results.push({
-            documentId: docId,
-            filename: pdfDoc.filename,
-            chunkId: chunk.id,
-            content: chunk.text,
-            chunkIndex: chunk.chunkIndex,
-            score,
-          })
-        }
-      }
+      results.push({
+        documentId: chunk.documentId,
+        filename: chunk.filename,
+        chunkId,
+        content: chunk.content,
+        chunkIndex: chunk.chunkIndex,
+        pageStart: chunk.pageStart,
+        pageEnd: chunk.pageEnd,
+        headings: chunk.metadata?.headings || [],
+        rows: chunk.metadata?.rows || null,
+        citation: citationFor(chunk),
+        score: relevance,
+        retrieval,
+      })
     }
 
-    // Sort by score and return top results
-    return results.sort((a, b) => b.score - a.score).slice(0, limit)
+    return results
   } catch (error) {
     logger.error("PDF query error:", error)
     return []
   }
 }
 
+function toPDFInfo(document) {
+  return {
+    documentId: document.id,
+    filename: document.documentName,
+    mimeType: document.mimeType,
+    uploadedAt: document.uploadedAt,
+    size: document.size,
+    pageCount: document.pageCount,
+    contentHash: document.contentHash,
+    chunks: document._count.chunks,
+  }
+}
+
 /**
- * Get PDF info
+ * Get PDF info (null if missing or not owned by the user)
  */
-export function getPDFInfo(documentId) {
-  return pdfStore.get(documentId) || null
+export async function getPDFInfo(documentId, userId) {
+  const document = await prisma.document.findFirst({
+    where: { id: documentId, userId },
+    include: { _count: { select: { chunks: true } } },
+  })
+  return document ? toPDFInfo(document) : null
 }
 
 /**
- * List all PDFs for session
+ * A document's chunks in reading order, each with its citation
+ * Returns { document, chunks } or null if missing or not owned by the user
  */
-export function listSessionPDFs(sessionId) {
-  const pdfs = []
-  for (const [docId, pdfDoc] of pdfStore.entries()) {
-    if (pdfDoc.sessionId === sessionId) {
-      pdfs.push({
-        documentId: docId,
-        filename: pdfDoc.filename,
-        uploadedAt: pdfDoc.uploadedAt,
-        pageCount: pdfDoc.pageCount,
-        chunks: pdfDoc.chunks.length,
-      })
-    }
+export async function getDocumentChunks(documentId, userId) {
+  const document = await getPDFInfo(documentId, userId)
+  if (!document) return null
+
+  const chunks = await prisma.documentChunk.findMany({
+    where: { documentId },
+    orderBy: { chunkIndex: "asc" },
+    select: { id: true, chunkIndex: true, content: true, pageStart: true, pageEnd: true, metadata: true },
+  })
+
+  return {
+    document,
+    chunks: chunks.map((chunk) => ({ ...chunk, citation: citationFor({ ...chunk, filename: document.filename }) })),
   }
-  return pdfs
 }
 
 /**
- * Delete PDF document
+ * Open a user's original uploaded file for reading
+ * Returns { document, stream } or null if the document is missing, not owned by the user, or its file is gone
  */
-export function deletePDFDocument(documentId, sessionId) {
-  const pdfDoc = pdfStore.get(documentId)
-  if (pdfDoc && pdfDoc.sessionId === sessionId) {
-    pdfStore.delete(documentId)
-    logger.info(`PDF deleted: ${documentId}`)
-    return true
+export async function openDocumentFile(documentId, userId) {
+  const document = await prisma.document.findFirst({
+    where: { id: documentId, userId },
+    include: { _count: { select: { chunks: true } } },
+  })
+  if (!document) return null
+
+  const storage = getStorageBackend(document.storageBackend)
+  if (!(await storage.exists(document.storageKey))) {
+    logger.warn(`Stored file missing for document ${documentId}: ${document.storageKey}`)
+    return null
   }
-  return false
+
+  const stream = storage.stream
+    ? await storage.stream(document.storageKey)
+    : Readable.from(await storage.get(document.storageKey))
+  return { document: toPDFInfo(document), stream }
+}
+
+/**
+ * List all PDFs owned by a user
+ */
+export async function listUserPDFs(userId) {
+  const documents = await prisma.document.findMany({
+    where: { userId },
+    include: { _count: { select: { chunks: true } } },
+    orderBy: { uploadedAt: "desc" },
+  })
+  return documents.map(toPDFInfo)
+}
+
+/**
+ * Delete PDF document, its chunks and the stored file
+ */
+export async function deletePDFDocument(documentId, userId) {
+  const document = await prisma.document.findFirst({ where: { id: documentId, userId } })
+  if (!document) return false
+
+  await prisma.document.delete({ where: { id: documentId } })
+  await discardStoredFile(document)
+
+  const indexes = ownerIndexes.get(userId)
+  if (indexes) removeDocumentChunks(indexes, documentId)
+
+  logger.info(`PDF deleted: ${documentId}`)
+  return true
+}
+
+/**
+ * Which of the given document ids the user does not own
+ */
+export async function findUnownedDocuments(documentIds, userId) {
+  const owned = await prisma.document.findMany({
+    where: { id: { in: documentIds }, userId },
+    select: { id: true },
+  })
+  const ownedIds = new Set(owned.map((doc) => doc.id))
+  return documentIds.filter((id) => !ownedIds.has(id))
 }
@@ -1,130 +1,291 @@
 /**
  * Async Queue Processor
- * Handles background processing of PDFs using Bull.js
- * Falls back to immediate processing if Redis is unavailable
+ * Handles background processing of uploaded documents using Bull.js, with per-job stage progress
+ * (extracting, chunking, embedding, indexing), failure reasons and manual retries.
+ * Falls back to an in-memory queue with the same job semantics if Redis is unavailable
  */
 
 import Queue from "bull"
-import { processPDFForRAG } from "./pdfProcessor.js"
+import { MemoryQueue } from "./memoryQueue.js"
+import { discardStoredFile, processPDFForRAG, storeUpload, storedFileExists } from "./pdfProcessor.js"
+import { isQuotaError } from "./quotas.js"
 import { createLogger } from "../utils/logger.js"
+import analytics from "../utils/analytics.js"
 
 const logger = createLogger()
 
 let pdfQueue = null
 
+const JOB_ATTEMPTS = 3
+// Finished jobs kept so clients can still read their final status
+const KEEP_COMPLETED_JOBS = 1000
+const JOB_STATES = ["active", "waiting", "delayed", "paused", "completed", "failed"]
+// Jobs processed at the same time per instance
+const QUEUE_CONCURRENCY = Number.parseInt(process.env.PDF_QUEUE_CONCURRENCY || "2")
+const REDIS_CONNECT_TIMEOUT_MS = Number.parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS || "5000")
+// How long the file of a job that used up its attempts is kept for a manual retry
+const FAILED_UPLOAD_RETENTION_MS = Number.parseInt(process.env.FAILED_UPLOAD_RETENTION_MS || "86400000")
+
 /**
- * Initialize PDF processing queue
+ * Connect the Bull queue, or resolve null when Redis does not answer in time
  */
-export async function initializePDFQueue() {
-  try {
-    pdfQueue = new Queue("pdf-processing", {
-      redis: {
-        host: process.env.REDIS_HOST || "localhost",
-        port: process.env.REDIS_PORT || 6379,
-      },
-    })
+async function connectRedisQueue() {
+  const queue = new Queue("pdf-processing", {
+    redis: {
+      host: process.env.REDIS_HOST || "localhost",
+      port: process.env.REDIS_PORT || 6379,
+    },
+  })
 
-    // Process PDF jobs
-    pdfQueue.process(async (job) => {
-      try {
-        logger.info(`Processing PDF job: ${job.id}`)
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`no connection after ${REDIS_CONNECT_TIMEOUT_MS}ms`)), REDIS_CONNECT_TIMEOUT_MS)
+  })
+
+  try {
+    // isReady() resolves before Redis is reachable; a PING only answers once connected
+    await Promise.race([queue.isReady().then(() => queue.client.ping()), timeout])
+    return queue
+  } catch (error) {
+    logger.warn(`Redis queue not available (${error.message}), using in-memory queue`)
+    queue.close().catch(() => {})
+    return null
+  } finally {
+    clearTimeout(timer)
+  }
+}
 
-        const { pdfBuffer, filename, sessionId } = job.data
+/**
+ * Attach the PDF job handler and event logging (same for Bull and the in-memory queue)
+ */
+function setupQueue(queue) {
+  // Process PDF jobs
+  queue.process(QUEUE_CONCURRENCY, async (job) => {
+    try {
+      logger.info(`Processing PDF job: ${job.id}`)
 
-        // Extract and vectorize PDF
-        const result = await processPDFForRAG(pdfBuffer, filename, sessionId)
+      // Extract and vectorize the stored document, reporting each stage
+      const result = await processPDFForRAG(job.data, (stage, percent) => job.progress({ stage, percent }))
 
-        // Update job progress
-        job.progress(100)
+      // Update job progress
+      await job.progress({ stage: "completed", percent: 100 })
 
-        logger.info(`PDF job completed: ${job.id}`)
-        return result
-      } catch (error) {
-        logger.error(`PDF job failed: ${job.id}`, error)
-        throw error
+      logger.info(`PDF job completed: ${job.id}`)
+      return result
+    } catch (error) {
+      // Retrying cannot make a document fit the user's quota; the job status reports which limit was hit
+      if (isQuotaError(error)) {
+        job.discard()
+        await job.update({ ...job.data, quotaExceeded: { code: error.code, quota: error.quota } })
       }
-    })
+      logger.error(`PDF job failed: ${job.id}`, error)
+      throw error
+    }
+  })
 
-    // Job events
-    pdfQueue.on("completed", (job) => {
-      logger.info(`Job completed: ${job.id}`)
-    })
+  // Job events
+  queue.on("completed", (job) => {
+    logger.info(`Job completed: ${job.id}`)
+    analytics.recordPDFProcessed()
+  })
 
-    pdfQueue.on("failed", (job, err) => {
-      logger.error(`Job failed: ${job.id}`, err)
-    })
+  queue.on("failed", async (job, err) => {
+    logger.error(`Job failed: ${job.id} (attempt ${job.attemptsMade}/${job.opts.attempts || 1})`, err)
 
-    logger.info("PDF processing queue initialized")
-  } catch (error) {
-    logger.warn("Redis queue not available, using immediate processing:", error.message)
-    // Queue will fallback to immediate processing
+    // A discarded job cannot succeed on retry, so its file goes now; other failed jobs keep theirs
+    // for a manual retry until expireFailedUploads() removes it
+    if (isQuotaError(err)) {
+      await discardStoredFile(job.data)
+      logger.info(`Removed stored file of discarded job ${job.id}`)
+    }
+  })
+
+  return queue
+}
+
+/**
+ * Initialize PDF processing queue
+ * PDF_QUEUE=memory skips Redis entirely
+ */
+export async function initializePDFQueue() {
+  const redisQueue = process.env.PDF_QUEUE === "memory" ? null : await connectRedisQueue()
+
+  pdfQueue = setupQueue(redisQueue || new MemoryQueue("pdf-processing"))
+  logger.info(`PDF processing queue initialized (${redisQueue ? "redis" : "in-memory"})`)
+}
+
+/**
+ * The active queue; uploads before initialization use the in-memory queue
+ */
+function getQueue() {
+  if (!pdfQueue) {
+    pdfQueue = setupQueue(new MemoryQueue("pdf-processing"))
   }
+  return pdfQueue
 }
 
 /**
- * Add PDF to processing queue
+ * Store an uploaded document and add it to the processing queue
+ * extractor: the format detected for the file (see extractors/index.js)
+ * contentHash: sha256 of the file; replaces: id of the document this upload supersedes
+ * Jobs carry the storage key and format rather than the file itself
  */
-export async function queuePDFForProcessing(pdfBuffer, filename, sessionId) {
+export async function queuePDFForProcessing(fileBuffer, filename, userId, extractor, { contentHash, replaces } = {}) {
   try {
-    if (pdfQueue) {
-      // Use Bull.js queue
-      const job = await pdfQueue.add(
-        {
-          pdfBuffer,
-          filename,
-          sessionId,
+    const stored = await storeUpload(fileBuffer, filename, extractor)
+    const job = await getQueue().add(
+      { ...stored, filename, userId, contentHash, replaces },
+      {
+        attempts: JOB_ATTEMPTS,
+        backoff: {
+          type: "exponential",
+          delay: 2000,
         },
-        {
-          attempts: 3,
-          backoff: {
-            type: "exponential",
-            delay: 2000,
-          },
-          removeOnComplete: true,
-        },
-      )
+        removeOnComplete: KEEP_COMPLETED_JOBS,
+      },
+    )
 
-      logger.info(`PDF queued for processing: job ${job.id}`)
-      return {
-        jobId: job.id,
-        queued: true,
-      }
-    } else {
-      // Fallback to immediate processing
-      logger.info("Processing PDF immediately (no queue)")
-      const result = await processPDFForRAG(pdfBuffer, filename, sessionId)
-      return {
-        result,
-        queued: false,
-      }
+    logger.info(`${extractor.label} queued for processing: job ${job.id}`)
+    return {
+      jobId: String(job.id),
+      // The document is created under this id once the job completes
+      documentId: stored.documentId,
+      queued: true,
     }
   } catch (error) {
-    logger.error("Error queuing PDF:", error)
+    logger.error("Error queuing document:", error)
     throw error
   }
 }
 
 /**
- * Get job status
+ * Public view of a job: stage progress, attempts and failure reason (storage details stay internal)
  */
-export async function getJobStatus(jobId) {
-  if (!pdfQueue) return null
+async function describeJob(job) {
+  const state = await job.getState()
+  const progress = typeof job._progress === "object" ? job._progress : { stage: null, percent: job._progress || 0 }
 
-  try {
-    const job = await pdfQueue.getJob(jobId)
-    if (!job) return null
+  return {
+    jobId: String(job.id),
+    state,
+    stage: state === "waiting" || state === "delayed" ? "queued" : progress.stage,
+    progress: progress.percent,
+    filename: job.data.filename,
+    documentId: state === "completed" ? job.returnvalue?.documentId || job.data.documentId : null,
+    result: state === "completed" ? job.returnvalue : null,
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts.attempts || 1,
+    failedReason: job.failedReason || null,
+    code: job.data.quotaExceeded?.code || null,
+    quota: job.data.quotaExceeded?.quota || null,
+    createdAt: new Date(job.timestamp).toISOString(),
+    processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+  }
+}
 
-    const state = await job.getState()
-    const progress = job._progress
+/**
+ * A not yet finished job of the user's for the same file content (null if none)
+ */
+export async function findPendingJob(userId, contentHash) {
+  const jobs = await getQueue().getJobs(["active", "waiting", "delayed", "paused"])
+  const job = jobs.find((candidate) => candidate?.data?.userId === userId && candidate.data.contentHash === contentHash)
+  return job ? describeJob(job) : null
+}
 
-    return {
-      jobId,
-      state,
-      progress,
-      data: job.data,
-    }
+/**
+ * Documents and bytes of the user's uploads still being processed, which count toward their quota
+ * Files of failed jobs kept for a manual retry count toward storage until they expire
+ */
+export async function getPendingUploads(userId) {
+  const jobs = await getQueue().getJobs(["active", "waiting", "delayed", "paused"])
+  const pending = jobs.filter((job) => job?.data?.userId === userId)
+
+  const cutoff = Date.now() - FAILED_UPLOAD_RETENTION_MS
+  const failed = await getQueue().getJobs(["failed"])
+  const retained = []
+  for (const job of failed) {
+    if (job?.data?.userId !== userId || (job.finishedOn || job.timestamp) <= cutoff) continue
+    if (await storedFileExists(job.data)) retained.push(job)
+  }
+
+  return {
+    documents: pending.length,
+    storageBytes: [...pending, ...retained].reduce((sum, job) => sum + (job.data.size || 0), 0),
+  }
+}
+
+/**
+ * Remove the stored files of failed jobs past FAILED_UPLOAD_RETENTION_MS; retrying them then asks for a new upload
+ * Returns the number of files removed
+ */
+export async function expireFailedUploads() {
+  const cutoff = Date.now() - FAILED_UPLOAD_RETENTION_MS
+  const jobs = await getQueue().getJobs(["failed"])
+  let removed = 0
+
+  for (const job of jobs) {
+    if (!job?.data || (job.finishedOn || job.timestamp) > cutoff) continue
+    if (!(await storedFileExists(job.data))) continue
+
+    await discardStoredFile(job.data)
+    removed++
+  }
+
+  if (removed > 0) logger.info(`Removed ${removed} stored files of failed upload jobs`)
+  return removed
+}
+
+/**
+ * Get job status (null if the job does not exist or belongs to another user)
+ */
+export async function getJobStatus(jobId, userId) {
+  try {
+    const job = await getQueue().getJob(jobId)
+    if (!job || job.data.userId !== userId) return null
+
+    return describeJob(job)
   } catch (error) {
     logger.error("Error getting job status:", error)
     return null
   }
 }
+
+/**
+ * List a user's jobs, newest first
+ * states: Bull job states to include (default all)
+ */
+export async function listUserJobs(userId, { states = JOB_STATES, limit = 50 } = {}) {
+  const jobs = await getQueue().getJobs(states.filter((state) => JOB_STATES.includes(state)))
+  const owned = jobs
+    .filter((job) => job?.data?.userId === userId)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit)
+
+  return Promise.all(owned.map(describeJob))
+}
+
+/**
+ * Re-run a failed job
+ * Returns { job } or { error, status } when it cannot be retried
+ */
+export async function retryJob(jobId, userId) {
+  const job = await getQueue().getJob(jobId)
+  if (!job || job.data.userId !== userId) {
+    return { error: "Job not found", status: 404 }
+  }
+
+  const state = await job.getState()
+  if (state !== "failed") {
+    return { error: `Only failed jobs can be retried (job is ${state})`, status: 409 }
+  }
+
+  if (!(await storedFileExists(job.data))) {
+    return { error: "The uploaded file is no longer available, upload it again", status: 410 }
+  }
+
+  await job.retry()
+  logger.info(`PDF job retried: ${job.id} by ${userId}`)
+
+  return { job: await describeJob(job) }
+}
@@ -0,0 +1,236 @@
+/**
+ * Document Quotas
+ * Per-user limits on stored documents, total bytes, pages per document and chunks stored.
+ * Limits come from the user's role (overridable with QUOTA_<ROLE>_<LIMIT> env vars) and
+ * admin-set per-user overrides in User.quotaOverrides. null means unlimited.
+ */
+
+import { Prisma, PrismaClient } from "@prisma/client"
+import { createLogger } from "../utils/logger.js"
+
+const prisma = new PrismaClient()
+const logger = createLogger()
+
+const MB = 1024 * 1024
+
+// Each limit: env suffix (QUOTA_USER_MAX_STORAGE_MB=500), env unit, error code and HTTP status when exceeded.
+// Too many documents is a rate of use (429); a file that does not fit is too large (413).
+const LIMITS = {
+  maxDocuments: { env: "MAX_DOCUMENTS", unit: 1, code: "QUOTA_DOCUMENTS", status: 429 },
+  maxStorageBytes: { env: "MAX_STORAGE_MB", unit: MB, code: "QUOTA_STORAGE", status: 413 },
+  maxPagesPerDocument: { env: "MAX_PAGES_PER_DOCUMENT", unit: 1, code: "QUOTA_PAGES", status: 413 },
+  maxChunks: { env: "MAX_CHUNKS", unit: 1, code: "QUOTA_CHUNKS", status: 413 },
+}
+
+export const QUOTA_LIMITS = Object.keys(LIMITS)
+
+const ROLE_DEFAULTS = {
+  user: { maxDocuments: 50, maxStorageBytes: 200 * MB, maxPagesPerDocument: 500, maxChunks: 20000 },
+  admin: { maxDocuments: null, maxStorageBytes: null, maxPagesPerDocument: null, maxChunks: null },
+}
+
+/**
+ * Role defaults with env overrides applied ("unlimited" clears a limit)
+ */
+function roleLimits(role) {
+  const defaults = ROLE_DEFAULTS[role] || ROLE_DEFAULTS.user
+  const limits = {}
+
+  for (const [key, { env, unit }] of Object.entries(LIMITS)) {
+    const value = process.env[`QUOTA_${String(role).toUpperCase()}_${env}`]
+    if (value === undefined || value === "") {
+      limits[key] = defaults[key]
+    } else if (value === "unlimited") {
+      limits[key] = null
+    } else {
+      const parsed = Number.parseFloat(value)
+      limits[key] = Number.isFinite(parsed) && parsed >= 0 ? Math.floor(parsed * unit) : defaults[key]
+    }
+  }
+  return limits
+}
+
+/**
+ * Check an admin's override values: each a non-negative integer, null (unlimited) or "default" (remove the override)
+ * Returns an error message, or null if valid
+ */
+export function validateQuotaOverrides(overrides) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    return "Quota overrides must be an object"
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!QUOTA_LIMITS.includes(key)) {
+      return `Unknown quota limit: ${key}. Limits: ${QUOTA_LIMITS.join(", ")}`
+    }
+    if (value !== null && value !== "default" && !(Number.isInteger(value) && value >= 0)) {
+      return `${key} must be a non-negative integer, null (unlimited) or "default"`
+    }
+  }
+  return null
+}
+
+/**
+ * A user's documents, bytes and chunks currently stored
+ * excludeDocumentId: leave out a document that is about to be replaced
+ */
+export async function getQuotaUsage(userId, { excludeDocumentId = null } = {}) {
+  const documents = await prisma.document.findMany({
+    where: { userId },
+    select: { id: true, size: true, _count: { select: { chunks: true } } },
+  })
+  const counted = documents.filter((document) => document.id !== excludeDocumentId)
+
+  return {
+    documents: counted.length,
+    storageBytes: counted.reduce((sum, document) => sum + document.size, 0),
+    chunks: counted.reduce((sum, document) => sum + document._count.chunks, 0),
+  }
+}
+
+/**
+ * Effective limits for a user: role defaults, then the user's overrides
+ * Returns { role, limits, overrides } or null if the user does not exist
+ */
+export async function getQuotaLimits(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { role: true, quotaOverrides: true },
+  })
+  if (!user) return null
+
+  const overrides = user.quotaOverrides || {}
+  const limits = roleLimits(user.role)
+  for (const key of QUOTA_LIMITS) {
+    if (Object.hasOwn(overrides, key)) limits[key] = overrides[key]
+  }
+
+  return { role: user.role, limits, overrides }
+}
+
+/**
+ * Limits and usage together, as reported by GET /api/auth/me and the admin quota endpoints
+ */
+export async function getQuotaStatus(userId) {
+  const quota = await getQuotaLimits(userId)
+  if (!quota) return null
+
+  return { ...quota, usage: await getQuotaUsage(userId) }
+}
+
+/**
+ * Merge overrides into a user's existing ones ("default" removes an override)
+ * Returns the new quota status, or null if the user does not exist
+ */
+export async function setQuotaOverrides(userId, overrides) {
+  const quota = await getQuotaLimits(userId)
+  if (!quota) return null
+
+  const merged = { ...quota.overrides }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === "default") delete merged[key]
+    else merged[key] = value
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    // A Json? column is cleared with DbNull; Prisma rejects a plain null
+    data: { quotaOverrides: Object.keys(merged).length > 0 ? merged : Prisma.DbNull },
+  })
+
+  logger.info(`Quota overrides for ${userId}: ${JSON.stringify(merged)}`)
+  return getQuotaStatus(userId)
+}
+
+function formatSize(bytes) {
+  return bytes < MB ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / MB).toFixed(1)} MB`
+}
+
+function quotaError(key, message, quota) {
+  const { code, status } = LIMITS[key]
+  const error = new Error(message)
+  error.code = code
+  error.status = status
+  error.quota = { limit: key, value: quota.limits[key] }
+  return error
+}
+
+function pagesError(pages, quota) {
+  const { maxPagesPerDocument } = quota.limits
+  return quotaError(
+    "maxPagesPerDocument",
+    `Document has ${pages} pages; the limit is ${maxPagesPerDocument} pages per document`,
+    quota,
+  )
+}
+
+export function isQuotaError(error) {
+  return Boolean(error?.code?.startsWith("QUOTA_"))
+}
+
+/**
+ * Check that a new upload fits before it is stored and queued
+ * pages: page count when the format gives it cheaply (null otherwise; checked again after extraction)
+ * pending: { documents, storageBytes } of the user's uploads still being processed
+ * replaces: id of a document the upload supersedes (not counted against the limits)
+ * Returns a quota error ({ code, status, message, quota }) or null if the upload fits
+ */
+export async function checkUploadQuota(userId, { size, pages = null, pending = {}, replaces = null }) {
+  const quota = await getQuotaLimits(userId)
+  if (!quota) return null
+
+  const usage = await getQuotaUsage(userId, { excludeDocumentId: replaces })
+  const documents = usage.documents + (pending.documents || 0)
+  const storageBytes = usage.storageBytes + (pending.storageBytes || 0)
+  const { maxDocuments, maxStorageBytes, maxPagesPerDocument } = quota.limits
+
+  if (maxDocuments !== null && documents + 1 > maxDocuments) {
+    return quotaError(
+      "maxDocuments",
+      `Document limit reached (${maxDocuments} documents). Delete a document to upload another.`,
+      quota,
+    )
+  }
+
+  if (maxStorageBytes !== null && storageBytes + size > maxStorageBytes) {
+    const available = Math.max(maxStorageBytes - storageBytes, 0)
+    return quotaError(
+      "maxStorageBytes",
+      `Storage limit exceeded: ${formatSize(size)} file, ${formatSize(available)} of ${formatSize(maxStorageBytes)} available`,
+      quota,
+    )
+  }
+
+  if (maxPagesPerDocument !== null && pages && pages > maxPagesPerDocument) {
+    return pagesError(pages, quota)
+  }
+
+  return null
+}
+
+/**
+ * Check an extracted document against the page and chunk limits
+ * Chunks are only known after extraction, as are pages of formats without a cheap page count.
+ * Throws a quota error if it does not fit
+ */
+export async function assertProcessingQuota(userId, { pages, chunks, replaces = null }) {
+  const quota = await getQuotaLimits(userId)
+  if (!quota) return
+
+  const { maxPagesPerDocument, maxChunks } = quota.limits
+
+  if (maxPagesPerDocument !== null && pages && pages > maxPagesPerDocument) {
+    throw pagesError(pages, quota)
+  }
+
+  if (maxChunks !== null) {
+    const usage = await getQuotaUsage(userId, { excludeDocumentId: replaces })
+    if (usage.chunks + chunks > maxChunks) {
+      throw quotaError(
+        "maxChunks",
+        `Chunk limit exceeded: document needs ${chunks} chunks, ${Math.max(maxChunks - usage.chunks, 0)} of ${maxChunks} available`,
+        quota,
+      )
+    }
+  }
+}
@@ -1,55 +1,170 @@
 import { createLogger } from "../utils/logger.js"
 import { readFileSync } from "fs"
+import { createHash } from "crypto"
 import { fileURLToPath } from "url"
 import { dirname, join } from "path"
+import { PrismaClient } from "@prisma/client"
+import { getEmbedder } from "./embeddings/index.js"
+import { VectorIndex } from "./vectorIndex.js"
+import { BM25Index } from "./bm25Index.js"
+import { hybridSearch } from "./hybridSearch.js"
 
+const prisma = new PrismaClient()
 const logger = createLogger()
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
-// In-memory document store (can be upgraded to FAISS)
+// Knowledge base documents, loaded from the database (data/documents.json seeds an empty table)
 let documentStore = []
+const vectorIndex = new VectorIndex("knowledge-base")
+const keywordIndex = new BM25Index()
+let indexReady = null
+// Serializes reindex runs (cron and admin edits can overlap)
+let syncQueue = Promise.resolve()
 
-// Initialize document store
-export function initializeDocumentStore() {
+function readDocumentsFile() {
   try {
     const documentsPath = join(__dirname, "../../data/documents.json")
     const documentsData = readFileSync(documentsPath, "utf-8")
-    documentStore = JSON.parse(documentsData)
-    logger.info(`Loaded ${documentStore.length} documents into vector store`)
+    return JSON.parse(documentsData)
   } catch (error) {
     logger.error("Error loading documents:", error)
     // Initialize with default documents if file not found
-    documentStore = getDefaultDocuments()
+    return getDefaultDocuments()
+  }
+}
+
+/**
+ * Import data/documents.json into an empty knowledge base table
+ */
+async function seedKnowledgeBase() {
+  const docs = readDocumentsFile()
+
+  for (const doc of docs) {
+    const data = {
+      title: doc.title,
+      content: doc.content,
+      category: doc.category || null,
+      tags: doc.tags || [],
+    }
+    await prisma.knowledgeDocument.create({
+      data: {
+        id: doc.id,
+        ...data,
+        revisions: { create: { version: 1, ...data, changeType: "import" } },
+      },
+    })
   }
+
+  logger.info(`Seeded knowledge base with ${docs.length} documents from documents.json`)
 }
 
-// Query vector store using similarity search
-export async function queryVectorStore(query) {
+// Initialize document store
+export async function initializeDocumentStore() {
   try {
-    if (documentStore.length === 0) {
-      initializeDocumentStore()
+    if ((await prisma.knowledgeDocument.count()) === 0) {
+      await seedKnowledgeBase()
     }
 
-    // Simple similarity matching based on keywords
-    const queryTerms = query.toLowerCase().split(" ")
-    const scored = documentStore.map((doc) => {
-      let score = 0
-      const docText = (doc.content + " " + doc.title).toLowerCase()
+    documentStore = await prisma.knowledgeDocument.findMany({
+      select: { id: true, title: true, content: true, category: true, tags: true, version: true },
+      orderBy: { createdAt: "asc" },
+    })
+    logger.info(`Loaded ${documentStore.length} documents into vector store`)
+  } catch (error) {
+    // Keep answering from the bundled documents while the database is unreachable
+    logger.warn(`Knowledge base database unavailable, using documents.json: ${error.message}`)
+    documentStore = readDocumentsFile()
+  }
+}
 
-      queryTerms.forEach((term) => {
-        const matches = docText.match(new RegExp(term, "g"))
-        score += matches ? matches.length : 0
-      })
+function documentText(doc) {
+  return `${doc.title}\n${doc.content}`
+}
+
+function hashDocument(doc) {
+  return createHash("sha256").update(documentText(doc)).digest("hex")
+}
 
-      return { ...doc, score }
+/**
+ * Bring the keyword and vector indexes in line with documentStore.
+ * Only documents whose content changed since they were embedded are re-embedded;
+ * a different embedder (or force) rebuilds the vector index from scratch.
+ */
+async function syncIndex({ force = false } = {}) {
+  const embedder = getEmbedder()
+
+  // Keyword indexing is cheap, so it is always rebuilt from the loaded documents
+  keywordIndex.clear()
+  for (const doc of documentStore) {
+    keywordIndex.add(doc.id, documentText(doc))
+  }
+
+  const items = documentStore.map((doc) => ({ id: doc.id, text: documentText(doc), hash: hashDocument(doc) }))
+
+  if (!force && !vectorIndex.matchesEmbedder(embedder)) {
+    await vectorIndex.load()
+  }
+
+  if (force || !vectorIndex.matchesEmbedder(embedder)) {
+    await vectorIndex.build(items, embedder)
+    vectorIndex.save()
+    return
+  }
+
+  const currentIds = new Set(items.map((item) => item.id))
+  const removed = vectorIndex.ids.filter((id) => !currentIds.has(id))
+  const changed = items.filter((item) => vectorIndex.getHash(item.id) !== item.hash)
+
+  if (removed.length === 0 && changed.length === 0) return
+
+  vectorIndex.remove(removed)
+  if (changed.length > 0) {
+    await vectorIndex.add(changed, embedder)
+  }
+  vectorIndex.save()
+  logger.info(`Vector index updated incrementally (${changed.length} embedded, ${removed.length} removed)`)
+}
+
+/**
+ * Query the knowledge base with hybrid BM25 + vector retrieval
+ * Options: k (max results), weights ({ bm25, vector } fusion weights), minRelevance (0-1),
+ * category and tags (only documents in that category / carrying all of those tags)
+ * Results carry `score` (relevance 0-1) and the raw `retrieval` scores
+ */
+export async function queryVectorStore(query, options = {}) {
+  try {
+    if (!indexReady) {
+      indexReady = reindexDocuments()
+    }
+    await indexReady
+
+    const docsById = new Map(documentStore.map((doc) => [doc.id, doc]))
+    const { category, tags } = options
+    const filter =
+      category || tags?.length
+        ? (id) => {
+            const doc = docsById.get(id)
+            return (
+              !!doc &&
+              (!category || doc.category === category) &&
+              (!tags?.length || tags.every((tag) => (doc.tags || []).includes(tag)))
+            )
+          }
+        : null
+
+    const hits = await hybridSearch({
+      query,
+      bm25Index: keywordIndex,
+      vectorIndex,
+      embedder: getEmbedder(),
+      options,
+      filter,
     })
 
-    // Return top 3 results sorted by score
-    const results = scored
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 3)
-      .filter((doc) => doc.score > 0)
+    const results = hits
+      .filter((hit) => docsById.has(hit.id))
+      .map(({ id, relevance, ...retrieval }) => ({ ...docsById.get(id), score: relevance, retrieval }))
 
     logger.info(`RAG query returned ${results.length} results`)
     return results
@@ -59,14 +174,23 @@ export async function queryVectorStore(query) {
   }
 }
 
-// Reindex documents (called by cron job)
-export async function reindexDocuments() {
-  try {
-    initializeDocumentStore()
-    logger.info("Documents reindexed successfully")
-  } catch (error) {
-    logger.error("Error reindexing documents:", error)
+/**
+ * Reload documents and sync the indexes (called at startup, by the cron job and after knowledge base edits)
+ */
+export function reindexDocuments({ force = false } = {}) {
+  const run = async () => {
+    try {
+      await initializeDocumentStore()
+      await syncIndex({ force })
+      logger.info("Documents reindexed successfully")
+    } catch (error) {
+      logger.error("Error reindexing documents:", error)
+    }
   }
+
+  syncQueue = syncQueue.then(run)
+  indexReady = syncQueue
+  return syncQueue
 }
 
 // Get default documents if file not found
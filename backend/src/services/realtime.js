@@ -1,187 +1,243 @@
-import axios from "axios"
+/**
+ * Realtime Data Service
+ * Answers realtime questions through the provider registry (see realtimeProviders/):
+ * reads the provider's parameters from the message, then serves them from the cache or
+ * the provider's upstream API within its rate limit, timeout and circuit breaker.
+ * Expired cache entries are served (flagged stale) while a background refresh runs, within the provider's
+ * staleWhileRevalidate period, and in place of an upstream failure within its staleIfError period.
+ * Failures are returned as { error, failure: { reason, retryable, retryAfterMs? }, apiUsed }.
+ */
+
 import { createLogger } from "../utils/logger.js"
 import { cacheManager } from "../utils/cache.js"
+import { CircuitBreaker, CIRCUIT_STATES } from "../utils/circuitBreaker.js"
+import alertManager from "../utils/alerts.js"
+import { getRealtimeProvider, listRealtimeProviders, matchRealtimeProvider } from "./realtimeProviders/index.js"
 
 const logger = createLogger()
 
-// Keywords for classifying real-time questions
-const realtimeKeywords = {
-  weather: ["weather", "temperature", "rain", "sunny", "forecast", "wind"],
-  news: ["news", "headline", "latest", "breaking", "today", "current"],
-  time: ["time", "what time", "current time", "what is the time", "clock"],
-  currency: ["exchange rate", "currency", "convert", "dollar", "euro", "rate"],
-}
+// Upstream calls taking longer than this are aborted and count as failures
+const REALTIME_TIMEOUT_MS = Number.parseInt(process.env.REALTIME_TIMEOUT_MS || "8000")
+// Consecutive upstream failures that open a provider's circuit, and how long it stays open before a probe
+const REALTIME_BREAKER_FAILURE_THRESHOLD = Number.parseInt(process.env.REALTIME_BREAKER_FAILURE_THRESHOLD || "5")
+const REALTIME_BREAKER_RESET_MS = Number.parseInt(process.env.REALTIME_BREAKER_RESET_MS || "30000")
+
+// Upstream call times per provider type, for the sliding-window rate limits
+const callTimes = new Map()
+// Circuit breakers per provider type, created on first use
+const breakers = new Map()
+// Background refreshes of stale cache entries in progress, by cache key
+const revalidations = new Map()
 
 // Classify if message is a real-time question
 export function classifyMessage(message) {
-  const lowerMessage = message.toLowerCase()
+  const match = matchRealtimeProvider(message)
+  return match ? { isRealtime: true, type: match.provider.type } : { isRealtime: false, type: null }
+}
+
+/**
+ * Whether the provider's rate limit window has no room for another upstream call
+ */
+function rateLimitReached(provider) {
+  if (!provider.rateLimit) return false
+
+  const { requests, windowMs } = provider.rateLimit
+  const now = Date.now()
+  const recent = (callTimes.get(provider.type) || []).filter((time) => now - time < windowMs)
+  callTimes.set(provider.type, recent)
+  return recent.length >= requests
+}
 
-  for (const [type, keywords] of Object.entries(realtimeKeywords)) {
-    if (keywords.some((kw) => lowerMessage.includes(kw))) {
-      return { isRealtime: true, type }
-    }
+function recordCall(provider) {
+  if (!provider.rateLimit) return
+  callTimes.get(provider.type).push(Date.now())
+}
+
+function breakerFor(provider) {
+  if (!breakers.has(provider.type)) {
+    breakers.set(
+      provider.type,
+      new CircuitBreaker(provider.type, {
+        failureThreshold: REALTIME_BREAKER_FAILURE_THRESHOLD,
+        resetTimeoutMs: REALTIME_BREAKER_RESET_MS,
+      }),
+    )
   }
+  return breakers.get(provider.type)
+}
 
-  return { isRealtime: false, type: null }
+/**
+ * Error result with the reason it failed; retryable failures may succeed if asked again later
+ */
+function failure(provider, reason, error, extra = {}) {
+  const retryable = ["rate_limited", "circuit_open", "timeout", "upstream_error"].includes(reason)
+  return { error, failure: { reason, retryable, ...extra }, ...(provider && { apiUsed: provider.apiUsed }) }
 }
 
-// Extract city from message
-function extractCity(message) {
-  const cityMatch = message.match(/in\s+(\w+)/i) || message.match(/(\w+)\s*weather/i)
-  return cityMatch ? cityMatch[1] : "New York"
+/**
+ * Run the provider's fetch, aborting it after REALTIME_TIMEOUT_MS
+ */
+async function fetchWithTimeout(provider, params) {
+  const controller = new AbortController()
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${provider.label} request timed out after ${REALTIME_TIMEOUT_MS}ms`)
+      error.code = "ETIMEDOUT"
+      controller.abort()
+      reject(error)
+    }, REALTIME_TIMEOUT_MS)
+  })
+  return Promise.race([provider.fetch(params, { signal: controller.signal }), timeout]).finally(() =>
+    clearTimeout(timer),
+  )
 }
 
-// Fetch weather data with caching
-export async function fetchWeather(city = "New York") {
-  try {
-    const cacheKey = `weather_${city.toLowerCase()}`
-
-    // Check cache first
-    const cachedWeather = cacheManager.get(cacheKey)
-    if (cachedWeather) {
-      logger.info(`Using cached weather data for ${city}`)
-      return cachedWeather
-    }
-
-    // Using Open-Meteo API (free, no key required)
-    const response = await axios.get("https://geocoding-api.open-meteo.com/v1/search", {
-      params: { name: city, count: 1, language: "en", format: "json" },
-    })
+function cacheKeyFor(provider, params) {
+  return `realtime:${provider.type}:${JSON.stringify(params).toLowerCase()}`
+}
+
+/**
+ * Call the provider's upstream API within its rate limit, circuit breaker and timeout, caching what it returns
+ * Resolves to the raw data, or a failure ({ error, failure })
+ */
+async function fetchUpstream(provider, params, cacheKey) {
+  if (rateLimitReached(provider)) {
+    logger.warn(`Realtime provider ${provider.type} rate limited`)
+    return failure(provider, "rate_limited", `${provider.label} rate limit reached, try again later`)
+  }
 
-    if (!response.data.results || response.data.results.length === 0) {
-      return { error: `City '${city}' not found` }
-    }
-
-    const location = response.data.results[0]
-    const weatherResponse = await axios.get("https://api.open-meteo.com/v1/forecast", {
-      params: {
-        latitude: location.latitude,
-        longitude: location.longitude,
-        current: "temperature_2m,relative_humidity_2m,weather_code",
-        temperature_unit: "celsius",
-      },
+  const breaker = breakerFor(provider)
+  if (!breaker.allowRequest()) {
+    logger.warn(`Realtime provider ${provider.type} circuit open, not calling ${provider.apiUsed}`)
+    return failure(provider, "circuit_open", `${provider.label} service is unavailable, try again later`, {
+      retryAfterMs: breaker.retryAfterMs(),
     })
+  }
 
-    const weather = weatherResponse.data.current
-    const weatherData = {
-      city: `${location.name}, ${location.country}`,
-      temperature: weather.temperature_2m,
-      humidity: weather.relative_humidity_2m,
-      weather_code: weather.weather_code,
-      timestamp: new Date().toISOString(),
-      cached: false,
-    }
-
-    // Cache for 30 minutes (1800 seconds)
-    cacheManager.set(cacheKey, weatherData, 1800)
-    return weatherData
+  recordCall(provider)
+  let data
+  try {
+    data = await fetchWithTimeout(provider, params)
   } catch (error) {
-    logger.error(`Weather fetch error: ${error.message}`)
-    return { error: "Failed to fetch weather data" }
+    logger.error(`${provider.label} fetch error: ${error.message}`)
+    breaker.recordFailure(error)
+    alertManager.recordAPIFailure(provider.apiUsed, error)
+
+    const reason = error.code === "ETIMEDOUT" ? "timeout" : "upstream_error"
+    return failure(provider, reason, `Failed to fetch ${provider.label.toLowerCase()} data`)
+  }
+
+  // The upstream API answered, even if it had nothing for these params
+  breaker.recordSuccess()
+  if (data.error) {
+    return failure(provider, "no_data", data.error)
+  }
+
+  if (provider.cacheTtl > 0) {
+    const staleSeconds = Math.max(provider.staleWhileRevalidate, provider.staleIfError)
+    cacheManager.set(cacheKey, data, provider.cacheTtl, staleSeconds)
   }
+  return data
 }
 
-// Fetch news with caching
-export async function fetchNews() {
-  try {
-    const cacheKey = "news_latest"
-
-    // Check cache first
-    const cachedNews = cacheManager.get(cacheKey)
-    if (cachedNews) {
-      logger.info("Using cached news data")
-      return cachedNews
-    }
-
-    const apiKey = process.env.NEWS_API_KEY
-    if (!apiKey) {
-      return { error: "NEWS_API_KEY not set" }
-    }
-
-    const response = await axios.get("https://newsapi.org/v2/top-headlines", {
-      params: {
-        country: "us",
-        apiKey: apiKey,
-        pageSize: 5,
-      },
+/**
+ * Refresh a stale cache entry in the background (once per key at a time)
+ */
+function revalidate(provider, params, cacheKey) {
+  if (revalidations.has(cacheKey)) return
+
+  logger.info(`Revalidating stale ${provider.type} data`)
+  const refresh = fetchUpstream(provider, params, cacheKey)
+    .then((data) => {
+      if (data.failure) logger.warn(`Revalidation of ${provider.type} data failed: ${data.error}`)
     })
+    .catch((error) => logger.error(`Revalidation of ${provider.type} data failed: ${error.message}`))
+    .finally(() => revalidations.delete(cacheKey))
+  revalidations.set(cacheKey, refresh)
+}
 
-    const newsData = {
-      headlines: response.data.articles.map((article) => ({
-        title: article.title,
-        description: article.description,
-        url: article.url,
-        source: article.source.name,
-      })),
-      timestamp: new Date().toISOString(),
-      cached: false,
-    }
-
-    // Cache for 1 hour (3600 seconds)
-    cacheManager.set(cacheKey, newsData, 3600)
-    return newsData
-  } catch (error) {
-    logger.error(`News fetch error: ${error.message}`)
-    return { error: "Failed to fetch news" }
+/**
+ * Fetch a provider's data for the given parameters, using the cache, the rate limit and the circuit breaker
+ * Resolves to the provider's formatted answer with { cached, stale, dataAgeSeconds, apiUsed },
+ * or a failure ({ error, failure })
+ */
+export async function fetchRealtimeData(type, params = {}) {
+  const provider = getRealtimeProvider(type)
+  if (!provider) {
+    return failure(null, "unknown_type", "Unknown query type")
   }
-}
 
-// Fetch exchange rates with caching
-export async function fetchExchangeRates(baseCurrency = "USD") {
-  try {
-    const cacheKey = `currency_${baseCurrency}`
-
-    // Check cache first
-    const cachedRates = cacheManager.get(cacheKey)
-    if (cachedRates) {
-      logger.info(`Using cached exchange rates for ${baseCurrency}`)
-      return cachedRates
-    }
-
-    const response = await axios.get("https://api.exchangerate-api.com/v4/latest/" + baseCurrency)
-    const ratesData = {
-      base: response.data.base,
-      rates: response.data.rates,
-      timestamp: new Date().toISOString(),
-      cached: false,
-    }
-
-    // Cache for 6 hours (21600 seconds)
-    cacheManager.set(cacheKey, ratesData, 21600)
-    return ratesData
-  } catch (error) {
-    logger.error(`Exchange rate fetch error: ${error.message}`)
-    return { error: "Failed to fetch exchange rates" }
+  // The provider read the question and has nothing to look up for it
+  if (params.error) {
+    return failure(provider, "no_data", params.error)
+  }
+
+  const missing = provider.requires.filter((name) => params[name] === undefined || params[name] === null)
+  if (missing.length > 0) {
+    return failure(provider, "missing_params", `${provider.label} request is missing: ${missing.join(", ")}`)
   }
-}
 
-// Get current time
-export function getCurrentTime() {
-  return {
-    time: new Date().toLocaleTimeString(),
-    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-    timestamp: new Date().toISOString(),
+  const answer = (data, { cached = false, stale = false, ageMs = 0 } = {}) => {
+    const formatted = provider.format(data, params)
+    return formatted.error
+      ? failure(provider, "no_data", formatted.error)
+      : { ...formatted, apiUsed: provider.apiUsed, cached, stale, dataAgeSeconds: Math.round(ageMs / 1000) }
   }
+
+  const cacheKey = cacheKeyFor(provider, provider.cacheParams(params))
+  const entry = provider.cacheTtl > 0 ? cacheManager.getEntry(cacheKey) : null
+  if (entry && !entry.stale) {
+    logger.info(`Using cached ${type} data`)
+    return answer(entry.value, { cached: true, ageMs: entry.ageMs })
+  }
+
+  // Recently expired: answer from the cache now and refresh it for the next question
+  if (entry && entry.expiredMs <= provider.staleWhileRevalidate * 1000) {
+    logger.info(`Using stale ${type} data (${Math.round(entry.ageMs / 1000)}s old)`)
+    revalidate(provider, params, cacheKey)
+    return answer(entry.value, { cached: true, stale: true, ageMs: entry.ageMs })
+  }
+
+  const data = await fetchUpstream(provider, params, cacheKey)
+
+  // Upstream unavailable: older data is better than none
+  if (data.failure?.retryable && entry && entry.expiredMs <= provider.staleIfError * 1000) {
+    logger.warn(`Using stale ${type} data (${Math.round(entry.ageMs / 1000)}s old) after ${data.failure.reason}`)
+    return answer(entry.value, { cached: true, stale: true, ageMs: entry.ageMs })
+  }
+  return data.failure ? data : answer(data)
 }
 
-// Fetch live data based on message type
-export async function fetchLiveData(message, type) {
+/**
+ * Fetch live data for a realtime question
+ * type: provider type from intent detection; entities: extractEntities() output for the message
+ * preferences: the user's request preferences, e.g. { temperatureUnit: "fahrenheit" }
+ */
+export async function fetchLiveData(message, type, entities = {}, preferences = {}) {
   logger.info(`Fetching live data for type: ${type}`)
 
-  switch (type) {
-    case "weather": {
-      const city = extractCity(message)
-      return await fetchWeather(city)
-    }
-    case "news":
-      return await fetchNews()
-    case "currency":
-      return await fetchExchangeRates()
-    case "time":
-      return getCurrentTime()
-    default:
-      return { error: "Unknown query type" }
+  const provider = getRealtimeProvider(type)
+  if (!provider) {
+    return failure(null, "unknown_type", "Unknown query type")
   }
+
+  return fetchRealtimeData(type, provider.params(message, entities, preferences))
+}
+
+/**
+ * Circuit breaker state of every realtime provider, for /health/detailed
+ */
+export function getRealtimeHealth() {
+  const providers = listRealtimeProviders().map((provider) => ({
+    type: provider.type,
+    apiUsed: provider.apiUsed,
+    ...breakerFor(provider).getState(),
+  }))
+  const openCircuits = providers
+    .filter((provider) => provider.state !== CIRCUIT_STATES.CLOSED)
+    .map((provider) => provider.type)
+  return { degraded: openCircuits.length > 0, openCircuits, providers }
 }
 
 export function getCacheStats() {
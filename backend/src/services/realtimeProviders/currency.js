@@ -0,0 +1,134 @@
+/**
+ * Currency Provider
+ * Converts the amount and currencies asked about using exchangerate-api.com (free, no key required).
+ * Rate tables are fetched and cached per base currency; each question gets only the conversions it asked for.
+ */
+
+import axios from "axios"
+import { extractCurrencyConversion, findCurrencyMentions } from "../../../ml/entityRecognition.js"
+
+// Shown when a question names one currency (or none) without a target
+const MAJOR_CURRENCIES = ["USD", "EUR", "GBP", "JPY", "CNY", "INR", "CAD", "AUD", "CHF"]
+
+// Words between an amount or "to" and the currency ("convert usd to the euro")
+const FILLER_WORDS = new Set(["the", "a", "an", "my", "our", "your", "some", "to", "in", "into"])
+
+// Rates to 6 significant digits, converted amounts to 2 decimals (more when small)
+function roundRate(value) {
+  return Number(value.toPrecision(6))
+}
+
+function roundAmount(value) {
+  return Math.abs(value) >= 1 ? Math.round(value * 100) / 100 : roundRate(value)
+}
+
+/**
+ * A side of the conversion that names no currency we have rates for ("10 bitcoin to usd" -> "bitcoin"), or null
+ * Sides are the word after an amount that is followed by "to"/"in"/"into", and the word after "to"/"in"/"into"
+ * when an amount, a currency or such a word comes before it.
+ */
+function findUnknownCurrency(message) {
+  const mentions = findCurrencyMentions(message)
+  const inMention = (token) => mentions.some((m) => token.index >= m.index && token.index < m.index + m.text.length)
+  const tokens = Array.from(message.matchAll(/[\p{L}]+|\d[\d,]*(?:\.\d+)?/gu), (match) => ({
+    text: match[0],
+    index: match.index,
+    number: /^\d/.test(match[0]),
+  }))
+  const isConnector = (token) => /^(?:to|in|into)$/i.test(token?.text || "")
+
+  const sides = []
+  tokens.forEach((token, i) => {
+    const next = /^(?:k|thousand|million|billion)$/i.test(tokens[i + 1]?.text || "") ? i + 2 : i + 1
+    if (token.number && isConnector(tokens[next + 1])) sides.push(tokens[next])
+    const previous = tokens[i - 1]
+    if (isConnector(token) && previous && (previous.number || inMention(previous) || sides.includes(previous))) {
+      sides.push(tokens[i + 1])
+    }
+  })
+
+  const unknown = sides.find(
+    (token) => token && !token.number && !inMention(token) && !FILLER_WORDS.has(token.text.toLowerCase()),
+  )
+  return unknown ? unknown.text : null
+}
+
+export default {
+  type: "currency",
+  label: "Exchange rates",
+  apiUsed: "exchangerate-api",
+  keywords: [
+    "exchange",
+    "rate",
+    "currency",
+    "convert",
+    "dollar",
+    /\beuros?\b/i,
+    "pound",
+    "price",
+    "forex",
+    "usd",
+    "gbp",
+    "jpy",
+    "yen",
+    "rupee",
+    "yuan",
+  ],
+  examples: ["exchange rate", "usd to eur", "bitcoin price", "convert currency", "convert 100 euros to pounds"],
+  cacheTtl: 21600,
+  staleWhileRevalidate: 21600,
+  staleIfError: 48 * 60 * 60,
+  rateLimit: { requests: 60, windowMs: 60 * 60 * 1000 },
+
+  params(message) {
+    const unknown = findUnknownCurrency(message)
+    if (unknown) {
+      return { error: `No exchange rates for '${unknown}'; ask about currencies such as USD, EUR or JPY` }
+    }
+
+    const conversion = extractCurrencyConversion(message) || { amount: 1, from: "USD", to: [] }
+    const to = conversion.to.length > 0 ? conversion.to : MAJOR_CURRENCIES.filter((code) => code !== conversion.from)
+    return { base: conversion.from, amount: conversion.amount, to }
+  },
+
+  // One rate table per base currency serves every amount and target
+  cacheParams({ base }) {
+    return { base }
+  },
+
+  async fetch({ base }, { signal } = {}) {
+    const response = await axios.get("https://api.exchangerate-api.com/v4/latest/" + base, { signal })
+    const updated = response.data.time_last_updated
+    return {
+      base: response.data.base,
+      rates: response.data.rates,
+      rateTimestamp: updated ? new Date(updated * 1000).toISOString() : new Date().toISOString(),
+    }
+  },
+
+  format({ base, rates, rateTimestamp }, { amount, to }) {
+    const unknown = to.filter((code) => rates[code] === undefined)
+    if (unknown.length === to.length) {
+      return { error: `No exchange rate from ${base} to ${unknown.join(", ")}` }
+    }
+
+    const conversions = to
+      .filter((code) => rates[code] !== undefined)
+      .map((code) => ({ to: code, rate: roundRate(rates[code]), result: roundAmount(amount * rates[code]) }))
+
+    return {
+      from: base,
+      amount,
+      conversions,
+      rateTimestamp,
+      summary: conversions
+        .map(({ to: code, rate, result }) =>
+          amount === 1
+            ? `1 ${base} = ${rate} ${code}`
+            : `${amount} ${base} = ${result} ${code} (1 ${base} = ${rate} ${code})`,
+        )
+        .concat(`Rates as of ${rateTimestamp}`)
+        .join("; "),
+    }
+  },
+}
@@ -0,0 +1,96 @@
+/**
+ * Realtime Data Provider Registry
+ * Providers are modules exporting { type, label, keywords, examples, params, fetch } and optionally
+ * { apiUsed, requires, cacheTtl, staleWhileRevalidate, staleIfError, rateLimit, cacheParams, format }:
+ * - keywords: phrases (lowercase) or RegExps that mark a message as a question for this provider
+ *   (rule-based intent detection)
+ * - examples: training phrases for the ML intent model
+ * - params(message, entities, preferences): request parameters read from the message, extractEntities() output
+ *   and the user's request preferences ({ temperatureUnit }), or { error } for a question the provider cannot
+ *   answer (nothing is fetched);
+ *   they also key the cache unless cacheParams(params) picks the ones the upstream data depends on
+ * - requires: params that must be found in the message (the provider is not called without them)
+ * - cacheTtl: seconds a result is cached (0 = never)
+ * - staleWhileRevalidate: seconds after expiry a cached result is still served while it is refreshed in the background
+ * - staleIfError: seconds after expiry a cached result is served when the upstream API fails
+ * - rateLimit: { requests, windowMs } calls allowed to the upstream API per instance
+ * - fetch(params, { signal }): resolves to the upstream data (cached), or { error } when there is no answer for
+ *   the params; it throws when the upstream API fails. signal aborts the upstream request on timeout.
+ * - format(data, params): shapes cached or fresh data into the answer for this question (default: data as is)
+ * Data with { clarification: { question, candidates } } asks the user to narrow the question down instead
+ * of answering it (e.g. which of several places with the same name).
+ * Intent detection, the ML model and the chat route read this registry, so registering a provider is enough.
+ */
+
+import weather from "./weather.js"
+import news from "./news.js"
+import currency from "./currency.js"
+import time from "./time.js"
+
+const providers = new Map()
+
+// Bumped on every registration so the ML intent model knows to retrain
+let version = 0
+
+export function registerRealtimeProvider(provider) {
+  for (const key of ["type", "label", "keywords", "examples", "params", "fetch"]) {
+    if (!provider?.[key]) {
+      throw new Error(`Realtime provider is missing required field: ${key}`)
+    }
+  }
+  providers.set(provider.type, {
+    requires: [],
+    cacheTtl: 0,
+    staleWhileRevalidate: 0,
+    staleIfError: 0,
+    rateLimit: null,
+    apiUsed: provider.type,
+    cacheParams: (params) => params,
+    format: (data) => data,
+    ...provider,
+  })
+  version++
+}
+
+export function getRealtimeProvider(type) {
+  return providers.get(type) || null
+}
+
+export function listRealtimeProviders() {
+  return Array.from(providers.values())
+}
+
+export function realtimeProvidersVersion() {
+  return version
+}
+
+/**
+ * Number of the provider's keywords found in the message
+ */
+export function countKeywordMatches(provider, message) {
+  const messageLower = message.toLowerCase()
+  return provider.keywords.filter((keyword) =>
+    keyword instanceof RegExp ? keyword.test(message) : messageLower.includes(keyword),
+  ).length
+}
+
+/**
+ * Provider whose keywords best match the message, with the number of matching keywords
+ * Ties go to the provider registered first. Returns null if no keyword matches.
+ */
+export function matchRealtimeProvider(message) {
+  let best = null
+
+  for (const provider of providers.values()) {
+    const matches = countKeywordMatches(provider, message)
+    if (matches > 0 && (!best || matches > best.matches)) {
+      best = { provider, matches }
+    }
+  }
+  return best
+}
+
+registerRealtimeProvider(weather)
+registerRealtimeProvider(news)
+registerRealtimeProvider(currency)
+registerRealtimeProvider(time)
@@ -0,0 +1,303 @@
+/**
+ * News Provider
+ * Headlines from NewsAPI (needs NEWS_API_KEY), filtered by the keywords, category, country and language
+ * read from the question. Articles are deduplicated and ranked for relevance to the question, and the
+ * best few are passed on.
+ */
+
+import axios from "axios"
+import { isStopword, splitWords, tokenize } from "../../utils/tokenizer.js"
+
+// Articles requested from NewsAPI, and kept after deduplication and ranking
+const FETCH_SIZE = 20
+const RESULT_SIZE = 5
+// Share of title words two articles have in common to count as the same story
+const DUPLICATE_TITLE_OVERLAP = 0.7
+// Hours after which an article's recency bonus has halved
+const RECENCY_HALF_LIFE_HOURS = 24
+
+// NewsAPI top-headlines categories and the words that ask for them
+const CATEGORIES = {
+  business: ["business", "economy", "economic", "markets", "market", "finance", "financial", "stocks"],
+  entertainment: ["entertainment", "movies", "movie", "film", "celebrity", "celebrities", "music", "tv"],
+  health: ["health", "medical", "medicine", "healthcare"],
+  science: ["science", "scientific", "space", "research"],
+  sports: ["sports", "sport", "football", "soccer", "basketball", "baseball", "tennis", "cricket", "nba", "nfl"],
+  technology: ["technology", "tech", "gadgets", "software"],
+}
+
+// Countries NewsAPI has top headlines for, by the names people use
+const COUNTRIES = {
+  us: ["united states", "usa", "america", "american"],
+  gb: ["united kingdom", "uk", "britain", "british", "england", "english"],
+  ca: ["canada", "canadian"],
+  au: ["australia", "australian"],
+  in: ["india", "indian"],
+  de: ["germany", "german"],
+  fr: ["france", "french"],
+  it: ["italy", "italian"],
+  jp: ["japan", "japanese"],
+  cn: ["china", "chinese"],
+  br: ["brazil", "brazilian"],
+  mx: ["mexico", "mexican"],
+  ie: ["ireland", "irish"],
+  nl: ["netherlands", "dutch"],
+  nz: ["new zealand"],
+  za: ["south africa", "south african"],
+  ng: ["nigeria", "nigerian"],
+  kr: ["south korea", "korea", "korean"],
+  il: ["israel", "israeli"],
+  ua: ["ukraine", "ukrainian"],
+}
+
+// Languages NewsAPI searches in
+const LANGUAGES = {
+  ar: "arabic",
+  de: "german",
+  en: "english",
+  es: "spanish",
+  fr: "french",
+  he: "hebrew",
+  it: "italian",
+  nl: "dutch",
+  no: "norwegian",
+  pt: "portuguese",
+  ru: "russian",
+  sv: "swedish",
+  zh: "chinese",
+}
+
+// Where to take top headlines from when only a language is asked for
+const LANGUAGE_COUNTRIES = {
+  ar: "eg",
+  de: "de",
+  en: "us",
+  es: "mx",
+  fr: "fr",
+  he: "il",
+  it: "it",
+  nl: "nl",
+  no: "no",
+  pt: "br",
+  ru: "ru",
+  sv: "se",
+  zh: "cn",
+}
+
+// Words that ask for news rather than say what it is about
+const NEWS_WORDS = new Set([
+  "news",
+  "headline",
+  "headlines",
+  "latest",
+  "breaking",
+  "today",
+  "todays",
+  "current",
+  "recent",
+  "top",
+  "stories",
+  "story",
+  "articles",
+  "updates",
+  "update",
+  "events",
+  "happening",
+  "going",
+  "any",
+  "tell",
+  "show",
+  "give",
+  "get",
+  "whats",
+  "new",
+  "us",
+])
+
+const wordPattern = (word) => new RegExp(`(?<![\\p{L}])${word}(?![\\p{L}])`, "u")
+
+/**
+ * First of the words (or phrases) found in the text, and the text without it
+ */
+function takeWord(text, words) {
+  const word = words.find((candidate) => wordPattern(candidate).test(text))
+  return word ? { word, rest: text.replace(wordPattern(word), " ") } : null
+}
+
+/**
+ * Language asked for: "news in Spanish", "German-language news"
+ */
+function takeLanguage(text) {
+  for (const [code, name] of Object.entries(LANGUAGES)) {
+    const pattern = new RegExp(`\\bin ${name}\\b|\\b${name}[- ]language\\b`)
+    if (pattern.test(text)) return { code, rest: text.replace(pattern, " ") }
+  }
+  return null
+}
+
+/**
+ * Filters for the question: { q, category, country, language } (null when not asked for)
+ * "Latest news about artificial intelligence" -> { q: "artificial intelligence" }
+ * "UK sports headlines" -> { category: "sports", country: "gb" }
+ */
+export function extractNewsFilters(message) {
+  let text = message.toLowerCase().replace(/[’']/g, "")
+
+  const language = takeLanguage(text)
+  if (language) text = language.rest
+
+  // "US" only counts in capitals ("tell us the news")
+  let country = /\bU\.?S\.?A?\b/.test(message) ? "us" : null
+  for (const [code, names] of Object.entries(COUNTRIES)) {
+    if (country) break
+    const found = takeWord(text, names)
+    if (found) {
+      country = code
+      text = found.rest
+    }
+  }
+
+  // The topic is what follows "about"/"on"/"regarding"; a category named in it ("news about the stock market")
+  // is part of the topic, one named outside it ("tech news about Apple") filters the headlines
+  const topicMatch = text.match(/\b(?:about|on|regarding|concerning|around|with|covering)\s+(.+)$/)
+  let head = topicMatch ? text.slice(0, topicMatch.index) : text
+  const topic = topicMatch ? topicMatch[1] : null
+
+  let category = null
+  for (const [name, words] of Object.entries(CATEGORIES)) {
+    const found = takeWord(head, words)
+    if (found) {
+      category = name
+      // A category word is not also a keyword ("sports news")
+      head = found.rest
+      break
+    }
+  }
+
+  const words = splitWords(topic ?? head).filter((word) => !isStopword(word) && !NEWS_WORDS.has(word))
+  const q = words.length > 0 ? words.join(" ") : null
+
+  return { q, category, country, language: language?.code || null }
+}
+
+function titleWords(article) {
+  // NewsAPI titles end with " - Source Name"
+  return new Set(tokenize((article.title || "").replace(/\s+-\s+[^-]+$/, "")))
+}
+
+function overlap(a, b) {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a]
+  if (smaller.size === 0) return 0
+  let shared = 0
+  for (const word of smaller) {
+    if (larger.has(word)) shared++
+  }
+  return shared / smaller.size
+}
+
+/**
+ * Relevance of an article to the query terms (0-1, title matches count double) plus a recency bonus
+ */
+function scoreArticle(article, terms, now) {
+  let relevance = 1
+  if (terms.length > 0) {
+    const title = new Set(tokenize(article.title))
+    const description = new Set(tokenize(article.description))
+    const matched = terms.reduce((sum, term) => sum + (title.has(term) ? 2 : description.has(term) ? 1 : 0), 0)
+    relevance = matched / (terms.length * 2)
+  }
+
+  const ageHours = Math.max(0, (now - new Date(article.publishedAt).getTime()) / 3600000)
+  const recency = Number.isFinite(ageHours) ? Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS) : 0
+
+  return relevance * 0.8 + recency * 0.2
+}
+
+/**
+ * Drop removed and repeated articles (same URL or nearly the same title), then rank the rest
+ */
+export function rankArticles(articles, query) {
+  const terms = Array.from(new Set(tokenize(query || "")))
+  const now = Date.now()
+
+  const ranked = articles
+    .filter((article) => article.title && article.title !== "[Removed]")
+    .map((article) => ({ article, score: scoreArticle(article, terms, now), words: titleWords(article) }))
+    .sort((a, b) => b.score - a.score)
+
+  const kept = []
+  for (const entry of ranked) {
+    const duplicate = kept.some(
+      (other) =>
+        other.article.url === entry.article.url || overlap(other.words, entry.words) >= DUPLICATE_TITLE_OVERLAP,
+    )
+    if (!duplicate) kept.push(entry)
+  }
+
+  // With keywords, articles matching none of them are noise
+  const relevant = terms.length > 0 ? kept.filter((entry) => entry.score > 0.2) : kept
+  return (relevant.length > 0 ? relevant : kept).map(({ article, score }) => ({ ...article, relevance: score }))
+}
+
+export default {
+  type: "news",
+  label: "News",
+  apiUsed: "newsapi",
+  keywords: ["news", "headlines", "latest", "breaking", "today", "current events", "happening"],
+  examples: [
+    "latest news",
+    "breaking news today",
+    "what is trending",
+    "current events",
+    "headlines",
+    "latest news about artificial intelligence",
+  ],
+  cacheTtl: 3600,
+  staleWhileRevalidate: 3600,
+  staleIfError: 24 * 60 * 60,
+  // NewsAPI's free plan allows 100 requests a day
+  rateLimit: { requests: 100, windowMs: 24 * 60 * 60 * 1000 },
+
+  params(message) {
+    return extractNewsFilters(message)
+  },
+
+  async fetch({ q, category, country, language }, { signal } = {}) {
+    const apiKey = process.env.NEWS_API_KEY
+    if (!apiKey) {
+      return { error: "NEWS_API_KEY not set" }
+    }
+
+    // Top headlines filter by country and category; keyword searches (optionally in a language) use /everything
+    const response =
+      q && !country && !category
+        ? await axios.get("https://newsapi.org/v2/everything", {
+            params: { q, language: language || undefined, sortBy: "publishedAt", pageSize: FETCH_SIZE, apiKey },
+            signal,
+          })
+        : await axios.get("https://newsapi.org/v2/top-headlines", {
+            params: {
+              q: q || undefined,
+              category: category || undefined,
+              country: country || LANGUAGE_COUNTRIES[language] || "us",
+              pageSize: FETCH_SIZE,
+              apiKey,
+            },
+            signal,
+          })
+
+    const articles = rankArticles(response.data.articles || [], q).slice(0, RESULT_SIZE)
+    return {
+      filters: { q, category, country, language },
+      headlines: articles.map((article) => ({
+        title: article.title,
+        description: article.description,
+        url: article.url,
+        source: article.source?.name,
+        publishedAt: article.publishedAt,
+        relevance: Number(article.relevance.toFixed(3)),
+      })),
+      timestamp: new Date().toISOString(),
+    }
+  },
+}
@@ -0,0 +1,169 @@
+/**
+ * Time Provider
+ * Current time in any city or zone, time differences between places and conversions of a clock time
+ * between zones ("3pm PST in Berlin"), from the IANA time zone database bundled with Node (no upstream API,
+ * never cached). Every time is reported with its UTC offset and whether daylight saving applies.
+ */
+
+import {
+  defaultTimeZone,
+  describeZonedTime,
+  findTimeZones,
+  formatOffset,
+  zonedDate,
+  zonedTimeToDate,
+} from "../../utils/timezones.js"
+
+// Places reported for a "what time is it in A, B and C" question
+const MAX_PLACES = 5
+
+// "3pm", "3:30 pm", "15:00", "noon", "midnight"
+const CLOCK_PATTERN =
+  /\b(?:(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?|([01]?\d|2[0-3]):([0-5]\d))(?![\d:])|\b(noon|midnight)\b/i
+const DIFFERENCE_PATTERN = /\b(?:difference|differ|ahead|behind|offset)\b/i
+
+function extractClock(message) {
+  const match = message.match(CLOCK_PATTERN)
+  if (!match) return null
+
+  if (match[6]) {
+    return { hour: match[6].toLowerCase() === "noon" ? 12 : 0, minute: 0, index: match.index }
+  }
+  if (match[4]) {
+    return { hour: Number.parseInt(match[4]), minute: Number.parseInt(match[5]), index: match.index }
+  }
+
+  const hour12 = Number.parseInt(match[1])
+  if (hour12 < 1 || hour12 > 12) return null
+  const pm = match[3].toLowerCase() === "p"
+  return { hour: (hour12 % 12) + (pm ? 12 : 0), minute: Number.parseInt(match[2] || "0"), index: match.index }
+}
+
+/**
+ * Source and target zones of a conversion: one introduced by "in"/"to"/"into" is the target,
+ * otherwise they are taken in order ("3pm PST in Berlin", "9:00 London time to Tokyo")
+ */
+function conversionZones(message, zones) {
+  if (zones.length === 1) {
+    return [zones[0], serverZone()]
+  }
+  const target = zones.find((zone, i) => i > 0 && /\b(?:in|to|into|for)\s+$/i.test(message.slice(0, zone.index)))
+  const to = target || zones[1]
+  const from = zones.find((zone) => zone !== to)
+  return [from, to]
+}
+
+// The server's zone (TIME_DEFAULT_TIMEZONE), for questions that name only one side
+function serverZone() {
+  const timeZone = defaultTimeZone()
+  return { name: timeZone, timeZone }
+}
+
+function describePlace(zone, date) {
+  return { place: zone.name, ...describeZonedTime(zone.timeZone, date) }
+}
+
+function differenceSummary(from, to, minutes) {
+  if (minutes === 0) return `${to.place} and ${from.place} are on the same time`
+  const hours = Math.abs(minutes) / 60
+  const amount = Number.isInteger(hours)
+    ? `${hours} hour${hours === 1 ? "" : "s"}`
+    : `${formatOffset(Math.abs(minutes)).slice(1)} hours`
+  return `${to.place} is ${amount} ${minutes > 0 ? "ahead of" : "behind"} ${from.place}`
+}
+
+export default {
+  type: "time",
+  label: "Current time",
+  apiUsed: "iana-tzdata",
+  keywords: [
+    "time",
+    "what time",
+    "current time",
+    "now",
+    "o'clock",
+    "timezone",
+    "time zone",
+    "hours ahead",
+    "hours behind",
+    // A clock time ("15:00"), with a zone abbreviation ("3pm PST", "noon UTC+5"), or a zone id ("Europe/Berlin")
+    /\b\d{1,2}:\d{2}\b/,
+    /(?:\b\d{1,2}\s*(?:[ap]\.?m\.?)?|\b[Nn]oon|\b[Mm]idnight)\s+(?:[ECMP][SD]?T|UTC|GMT|BST|CES?T|JST|IST)\b/,
+    /\b(?:Africa|America|Asia|Atlantic|Australia|Europe|Indian|Pacific)\/[A-Z]/,
+  ],
+  examples: [
+    "what time is it",
+    "current time",
+    "tell me the time",
+    "what time is it in tokyo",
+    "time difference between london and new york",
+    "3pm pst in berlin",
+  ],
+
+  params(message) {
+    const zones = findTimeZones(message).map(({ name, timeZone, index }) => ({ name, timeZone, index }))
+    const clock = extractClock(message)
+    const tomorrow = /\btomorrow\b/i.test(message)
+
+    let mode = "current"
+    if (clock && zones.length > 0) mode = "conversion"
+    else if (DIFFERENCE_PATTERN.test(message) && zones.length >= 1) mode = "difference"
+
+    // "time in Smallville": a place was asked for but none was recognized
+    const unknownPlace = zones.length === 0 ? message.match(/\btime\s+(?:is\s+it\s+)?(?:in|at)\s+([^?!.,]+)/i) : null
+
+    return {
+      mode,
+      zones,
+      clock: clock && { hour: clock.hour, minute: clock.minute, dayOffset: tomorrow ? 1 : 0 },
+      unknownPlace: unknownPlace ? unknownPlace[1].trim() : null,
+      message: mode === "conversion" ? message : undefined,
+    }
+  },
+
+  async fetch({ mode, zones, clock, unknownPlace, message }) {
+    const now = new Date()
+
+    if (unknownPlace) {
+      return { error: `No time zone found for '${unknownPlace}'` }
+    }
+
+    if (mode === "conversion") {
+      const [from, to] = conversionZones(message, zones)
+      const instant = zonedTimeToDate({ ...zonedDate(from.timeZone, clock.dayOffset, now), ...clock }, from.timeZone)
+      const source = describePlace(from, instant)
+      const target = describePlace(to, instant)
+      return {
+        mode,
+        from: source,
+        to: target,
+        utc: instant.toISOString(),
+        summary: `${source.time} ${source.weekday} in ${source.place} (UTC${source.offset}${source.dst ? ", daylight saving" : ""}) is ${target.time} ${target.weekday} in ${target.place} (UTC${target.offset}${target.dst ? ", daylight saving" : ""})`,
+        timestamp: now.toISOString(),
+      }
+    }
+
+    if (mode === "difference") {
+      const [fromZone, toZone] = zones.length > 1 ? zones : [serverZone(), zones[0]]
+      const from = describePlace(fromZone, now)
+      const to = describePlace(toZone, now)
+      const minutes = to.offsetMinutes - from.offsetMinutes
+      return {
+        mode,
+        from,
+        to,
+        differenceMinutes: minutes,
+        difference: formatOffset(minutes),
+        summary: differenceSummary(from, to, minutes),
+        timestamp: now.toISOString(),
+      }
+    }
+
+    const places = zones.length > 0 ? zones.slice(0, MAX_PLACES) : [serverZone()]
+    return {
+      mode: "current",
+      places: places.map((zone) => describePlace(zone, now)),
+      timestamp: now.toISOString(),
+    }
+  },
+}
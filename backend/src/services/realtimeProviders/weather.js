@@ -0,0 +1,386 @@
+/**
+ * Weather Provider
+ * Current conditions and 7-day daily/hourly forecasts from Open-Meteo (free, no key required).
+ * The place, the day(s) and the temperature unit are read from the question. A forecast is fetched
+ * and cached per place in Celsius; each question gets the days it asked about in its unit.
+ */
+
+import axios from "axios"
+
+const DEFAULT_CITY = process.env.WEATHER_DEFAULT_CITY || "New York"
+const DEFAULT_UNIT = process.env.WEATHER_TEMPERATURE_UNIT === "fahrenheit" ? "fahrenheit" : "celsius"
+const FORECAST_DAYS = 7
+// Geocoder matches smaller than this are not offered as alternatives to a larger place
+const MIN_CANDIDATE_POPULATION = 5000
+const MAX_CANDIDATES = 5
+// The user is only asked which place they mean when another match has at least this share of the largest one's
+// population (Springfield, Illinois or Missouri); otherwise the largest is taken (London, not London, Ontario)
+const AMBIGUOUS_POPULATION_RATIO = 0.25
+
+// WMO weather interpretation codes used by Open-Meteo
+const WMO_CODES = {
+  0: "Clear sky",
+  1: "Mainly clear",
+  2: "Partly cloudy",
+  3: "Overcast",
+  45: "Fog",
+  48: "Depositing rime fog",
+  51: "Light drizzle",
+  53: "Moderate drizzle",
+  55: "Dense drizzle",
+  56: "Light freezing drizzle",
+  57: "Dense freezing drizzle",
+  61: "Slight rain",
+  63: "Moderate rain",
+  65: "Heavy rain",
+  66: "Light freezing rain",
+  67: "Heavy freezing rain",
+  71: "Slight snow fall",
+  73: "Moderate snow fall",
+  75: "Heavy snow fall",
+  77: "Snow grains",
+  80: "Slight rain showers",
+  81: "Moderate rain showers",
+  82: "Violent rain showers",
+  85: "Slight snow showers",
+  86: "Heavy snow showers",
+  95: "Thunderstorm",
+  96: "Thunderstorm with slight hail",
+  99: "Thunderstorm with heavy hail",
+}
+
+export function describeWeatherCode(code) {
+  return WMO_CODES[code] || `Unknown (WMO code ${code})`
+}
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+
+// Local hours [from, to) for parts of the day
+const PARTS_OF_DAY = {
+  morning: [6, 12],
+  afternoon: [12, 18],
+  evening: [18, 22],
+  night: [20, 24],
+}
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 }
+
+/**
+ * Days and part of the day the question is about: { days, part }
+ * days: "now" | "today" | "tomorrow" | "weekend" | "week" | "offset:<n>" | "next:<n>" | "weekday:<0-6>"
+ * (resolved against the place's local date once the forecast is in)
+ */
+export function extractPeriod(message) {
+  const text = message.toLowerCase()
+  const part = Object.keys(PARTS_OF_DAY).find((name) => new RegExp(`\\b${name}s?\\b`).test(text)) || null
+  const number = (word) => Number.parseInt(word) || NUMBER_WORDS[word]
+
+  let days = "now"
+  let match
+  if (/\bday after tomorrow\b/.test(text)) days = "offset:2"
+  else if (/\btomorrow\b/.test(text)) days = "tomorrow"
+  else if (/\btonight\b/.test(text)) return { days: "today", part: "night" }
+  else if (/\bweekend\b/.test(text)) days = "weekend"
+  else if ((match = text.match(/\b(?:next|coming|following)\s+(\d+|one|two|three|four|five|six|seven)\s+days\b/))) {
+    days = `next:${number(match[1])}`
+  } else if ((match = text.match(/\bin\s+(\d+|one|two|three|four|five|six|seven)\s+days?\b/))) {
+    days = `offset:${number(match[1])}`
+  } else if (/\b(?:this|next|the)\s+week\b|\bweek ahead\b|\b7[- ]day\b/.test(text)) days = "week"
+  else if ((match = text.match(new RegExp(`\\b(${WEEKDAYS.join("|")})\\b`)))) {
+    days = `weekday:${WEEKDAYS.indexOf(match[1])}`
+  } else if (/\btoday\b/.test(text) || part) days = "today"
+
+  return { days, part }
+}
+
+function extractUnit(message, preferences = {}) {
+  if (/fahrenheit|°\s*f\b|\bdeg(?:rees)?\s*f\b/i.test(message)) return "fahrenheit"
+  if (/celsius|centigrade|°\s*c\b|\bdeg(?:rees)?\s*c\b/i.test(message)) return "celsius"
+  return preferences.temperatureUnit || DEFAULT_UNIT
+}
+
+// Words that end a place name ("Paris tomorrow", "New York this weekend")
+const PLACE_END =
+  /\s+(?:in|on|at|for|during|over|this|next|today|tonight|tomorrow|now|right|later|and|or|but|is|will|be|with|like)\b.*$/i
+// Phrases after "in"/"for"/"at" that are not places ("in the morning", "in fahrenheit", "in 3 days", "at 5pm")
+const NOT_A_PLACE =
+  /^(?:\d|°|(?:the|a|an|this|next|my|our|here|there|it|celsius|fahrenheit|centigrade|degrees|today|tonight|tomorrow|morning|afternoon|evening|night|noon|midnight|dawn|dusk|sunrise|sunset|weekend|week)\b)/i
+
+/**
+ * Place the question asks about, e.g. "Paris", "New York" or "Paris, Texas" (the part after a comma narrows it down)
+ */
+export function extractCity(message) {
+  // Lookahead, so "for the next 3 days in Berlin" still tries "in Berlin"
+  for (const match of message.matchAll(/\b(?:in|for|at|near)\s+(?=([^?!.;]+))/gi)) {
+    const place = match[1].replace(PLACE_END, "").trim()
+    if (place && !NOT_A_PLACE.test(place) && place.split(/\s+/).length <= 5) {
+      return place
+    }
+  }
+
+  // "London weather", "New York's forecast"
+  const before = message.match(/((?:[A-Z][\p{L}'-]+\s+)*[A-Z][\p{L}'-]+?)(?:'s)?\s+(?:weather|forecast|temperature)/u)
+  if (before && !NOT_A_PLACE.test(before[1]) && !/^(?:what|how|will|is|does|the)\b/i.test(before[1])) {
+    return before[1]
+  }
+
+  return DEFAULT_CITY
+}
+
+function placeLabel(place) {
+  return [place.name, place.admin1 !== place.name ? place.admin1 : null, place.country].filter(Boolean).join(", ")
+}
+
+/**
+ * Choose the place from the geocoder's results: { place, others } (other sizeable places with the name),
+ * or { candidates } to ask the user to choose between when several are of a similar size
+ * qualifiers: the parts after the name in "Paris, Texas" or "Paris, Texas, US", each matching a region or the country
+ */
+export function choosePlace(results, name, qualifiers = []) {
+  const normalize = (text) => (text || "").toLowerCase()
+  let candidates = results.filter((place) => normalize(place.name) === normalize(name))
+  if (candidates.length === 0) candidates = results.slice(0, 1)
+
+  if (qualifiers.length > 0) {
+    const qualified = candidates.filter((place) =>
+      qualifiers.every((qualifier) =>
+        [place.admin1, place.admin2, place.country, place.country_code].some(
+          (field) => normalize(field) === normalize(qualifier),
+        ),
+      ),
+    )
+    if (qualified.length > 0) return { place: qualified[0], others: [] }
+  }
+
+  // One entry per region, larger places first; small namesakes only count if nothing larger matched
+  const distinct = []
+  for (const place of [...candidates].sort((a, b) => (b.population || 0) - (a.population || 0))) {
+    if (!distinct.some((other) => placeLabel(other) === placeLabel(place))) distinct.push(place)
+  }
+  const significant = distinct.filter((place) => (place.population || 0) >= MIN_CANDIDATE_POPULATION)
+  if (significant.length === 0) return { place: distinct[0], others: [] }
+
+  const comparable = significant.filter(
+    (place) => place.population >= significant[0].population * AMBIGUOUS_POPULATION_RATIO,
+  )
+  if (comparable.length > 1) {
+    return { candidates: comparable.slice(0, MAX_CANDIDATES) }
+  }
+  return { place: significant[0], others: significant.slice(1, MAX_CANDIDATES) }
+}
+
+function clarification(name, candidates) {
+  const labels = candidates.map(placeLabel)
+  const example = [candidates[1].name, candidates[1].admin1 || candidates[1].country].filter(Boolean).join(", ")
+  return {
+    clarification: {
+      question: `Which ${name} do you mean: ${labels.join("; ")}? Ask again with the region, e.g. "weather in ${example}".`,
+      candidates: candidates.map((place) => ({
+        label: placeLabel(place),
+        name: place.name,
+        region: place.admin1 || null,
+        country: place.country || null,
+        latitude: place.latitude,
+        longitude: place.longitude,
+      })),
+    },
+  }
+}
+
+/**
+ * Indexes into the daily forecast for the period asked about, or null if it is beyond the forecast
+ */
+export function selectDays(days, localWeekday) {
+  const [kind, value] = days.split(":")
+  const n = Number.parseInt(value)
+  let offsets
+  switch (kind) {
+    case "now":
+    case "today":
+      offsets = [0]
+      break
+    case "tomorrow":
+      offsets = [1]
+      break
+    case "weekend":
+      // On a Sunday "this weekend" is what is left of it
+      offsets = localWeekday === 0 ? [0] : [6 - localWeekday, 7 - localWeekday]
+      break
+    case "week":
+      offsets = Array.from({ length: FORECAST_DAYS }, (_, i) => i)
+      break
+    case "next":
+      offsets = Array.from({ length: n }, (_, i) => i)
+      break
+    case "offset":
+      offsets = [n]
+      break
+    case "weekday":
+      offsets = [(n - localWeekday + 7) % 7]
+      break
+    default:
+      offsets = [0]
+  }
+  return offsets.every((offset) => offset < FORECAST_DAYS) ? offsets : null
+}
+
+export default {
+  type: "weather",
+  label: "Weather",
+  apiUsed: "open-meteo",
+  keywords: [
+    "weather",
+    "temperature",
+    "rain",
+    "snow",
+    "sunny",
+    "cloudy",
+    "forecast",
+    "celsius",
+    "fahrenheit",
+    "umbrella",
+    "storm",
+    "humid",
+  ],
+  examples: [
+    "what is the weather",
+    "weather forecast",
+    "is it raining",
+    "temperature today",
+    "will it snow",
+    "how hot is it",
+    "weather tomorrow",
+    "forecast for this weekend",
+  ],
+  cacheTtl: 1800,
+  staleWhileRevalidate: 1800,
+  staleIfError: 6 * 60 * 60,
+  rateLimit: { requests: 60, windowMs: 60 * 1000 },
+
+  params(message, entities, preferences) {
+    const { days, part } = extractPeriod(message)
+    return { city: extractCity(message), days, part, unit: extractUnit(message, preferences) }
+  },
+
+  // The forecast depends on the place only; days and unit are applied in format()
+  cacheParams({ city }) {
+    return { city }
+  },
+
+  async fetch({ city }, { signal } = {}) {
+    const [name, ...rest] = city.split(",").map((part) => part.trim())
+    const response = await axios.get("https://geocoding-api.open-meteo.com/v1/search", {
+      params: { name, count: 10, language: "en", format: "json" },
+      signal,
+    })
+
+    if (!response.data.results || response.data.results.length === 0) {
+      return { error: `City '${city}' not found` }
+    }
+
+    const { place, others, candidates } = choosePlace(response.data.results, name, rest.filter(Boolean))
+    if (candidates) {
+      return clarification(name, candidates)
+    }
+
+    const forecast = await axios.get("https://api.open-meteo.com/v1/forecast", {
+      params: {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        current: "temperature_2m,apparent_temperature,relative_humidity_2m,precipitation,weather_code,wind_speed_10m",
+        daily:
+          "weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,wind_speed_10m_max,sunrise,sunset",
+        hourly: "temperature_2m,precipitation_probability,weather_code",
+        temperature_unit: "celsius",
+        timezone: "auto",
+        forecast_days: FORECAST_DAYS,
+      },
+      signal,
+    })
+
+    return {
+      location: placeLabel(place),
+      // Smaller places with the same name, so the answer can say which one it is about
+      otherPlaces: others.map(placeLabel),
+      latitude: place.latitude,
+      longitude: place.longitude,
+      timezone: forecast.data.timezone,
+      utcOffsetSeconds: forecast.data.utc_offset_seconds,
+      current: forecast.data.current,
+      daily: forecast.data.daily,
+      hourly: forecast.data.hourly,
+      timestamp: new Date().toISOString(),
+    }
+  },
+
+  format(data, { days, part, unit }) {
+    if (data.clarification) return data
+
+    const toUnit = (celsius) =>
+      celsius === null || celsius === undefined
+        ? null
+        : Math.round((unit === "fahrenheit" ? (celsius * 9) / 5 + 32 : celsius) * 10) / 10
+
+    // The first daily entry is today at the place
+    const localWeekday = new Date(`${data.daily.time[0]}T00:00:00Z`).getUTCDay()
+    const offsets = selectDays(days, localWeekday)
+    if (!offsets) {
+      return { error: `The forecast only covers the next ${FORECAST_DAYS} days` }
+    }
+
+    const result = {
+      location: data.location,
+      ...(data.otherPlaces?.length > 0 && { otherPlaces: data.otherPlaces }),
+      timezone: data.timezone,
+      units: { temperature: unit === "fahrenheit" ? "°F" : "°C", precipitation: "mm", wind: "km/h" },
+    }
+
+    if (offsets.includes(0) && !part) {
+      const current = data.current
+      result.current = {
+        time: current.time,
+        temperature: toUnit(current.temperature_2m),
+        feelsLike: toUnit(current.apparent_temperature),
+        humidity: current.relative_humidity_2m,
+        precipitation: current.precipitation,
+        windSpeed: current.wind_speed_10m,
+        conditions: describeWeatherCode(current.weather_code),
+      }
+    }
+
+    const daily = data.daily
+    result.daily = offsets.map((i) => ({
+      date: daily.time[i],
+      weekday: WEEKDAYS[(localWeekday + i) % 7],
+      conditions: describeWeatherCode(daily.weather_code[i]),
+      high: toUnit(daily.temperature_2m_max[i]),
+      low: toUnit(daily.temperature_2m_min[i]),
+      precipitation: daily.precipitation_sum[i],
+      precipitationChance: daily.precipitation_probability_max[i],
+      maxWind: daily.wind_speed_10m_max[i],
+      sunrise: daily.sunrise[i],
+      sunset: daily.sunset[i],
+    }))
+
+    if (part) {
+      const [from, to] = PARTS_OF_DAY[part]
+      const dates = new Set(result.daily.map((day) => day.date))
+      const hourly = data.hourly
+      result.hourly = hourly.time.flatMap((time, i) => {
+        const hour = Number.parseInt(time.slice(11, 13))
+        if (!dates.has(time.slice(0, 10)) || hour < from || hour >= to) return []
+        return [
+          {
+            time,
+            temperature: toUnit(hourly.temperature_2m[i]),
+            precipitationChance: hourly.precipitation_probability[i],
+            conditions: describeWeatherCode(hourly.weather_code[i]),
+          },
+        ]
+      })
+    }
+
+    result.timestamp = data.timestamp
+    return result
+  },
+}
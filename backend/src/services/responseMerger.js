@@ -4,13 +4,22 @@
  */
 
 import { createLogger } from "../utils/logger.js"
+import { rankResponses } from "../../ml/responseRanker.js"
 
 const logger = createLogger()
 
+// Maximum number of ranked chunks passed to the LLM as evidence
+const MAX_EVIDENCE_CHUNKS = Number.parseInt(process.env.MAX_EVIDENCE_CHUNKS || "5")
+// Chunks ranked below this are left out unless nothing scores higher
+const MIN_EVIDENCE_SCORE = 0.3
+
 export class ResponseMerger {
   /**
    * Merge responses from multiple sources
-   * Sources: { realtime?: {...}, rag?: {...}, pdf?: {...}, llm: {...} }
+   * Sources: { realtime?: {...}, rag?: {...}, pdf?: {...} }, each { success, content, confidence, metadata, chunks? }
+   * chunks ([{ content, confidence, metadata }]) are ranked individually; sources without chunks rank as one unit.
+   * Failed sources ({ success: false, failure: { reason, retryable, error } }) are never ranked; they are
+   * listed in failures so the answer can say the data is unavailable.
    */
   static async mergeResponses(sources, query, intent) {
     const merged = {
@@ -18,58 +27,82 @@ export class ResponseMerger {
       sourceDetails: [],
       confidenceScore: 0,
       usedSources: [],
+      evidence: [],
+      citations: [],
+      failures: [],
     }
 
-    // Priority order based on intent
-    let priorityOrder = []
-    if (intent === "realtime") {
-      priorityOrder = ["realtime", "rag", "pdf", "llm"]
-    } else if (intent === "rag" || intent === "pdf") {
-      priorityOrder = ["pdf", "rag", "realtime", "llm"]
-    } else {
-      priorityOrder = ["llm", "rag", "pdf", "realtime"]
+    const candidates = []
+    for (const [source, data] of Object.entries(sources)) {
+      if (data?.failure) {
+        merged.failures.push({ source, type: data.metadata?.type || null, ...data.failure })
+        continue
+      }
+      if (!data?.success) continue
+
+      const chunks = data.chunks?.length > 0 ? data.chunks : [{ content: data.content, confidence: data.confidence }]
+      chunks.forEach((chunk) => {
+        candidates.push({
+          source,
+          content: chunk.content || "",
+          confidence: chunk.confidence ?? data.confidence,
+          metadata: chunk.metadata || {},
+        })
+      })
+    }
+
+    if (candidates.length === 0) {
+      logger.info("Responses merged: no successful sources")
+      return merged
     }
 
-    let highestConfidence = 0
-    let primarySource = null
+    const ranked = rankResponses(candidates, query, intent)
+
+    // Top-ranked chunks become the LLM evidence; the best one is always kept
+    merged.evidence = ranked
+      .filter((chunk, index) => index === 0 || chunk.rankScore >= MIN_EVIDENCE_SCORE)
+      .slice(0, MAX_EVIDENCE_CHUNKS)
 
-    // Find best source
-    for (const source of priorityOrder) {
-      if (sources[source] && sources[source].success) {
-        primarySource = source
-        highestConfidence = sources[source].confidence || 0.8
-        break
+    // PDF evidence is labelled with its citation ("report.pdf p. 3") so the LLM can cite it
+    merged.primaryResponse = merged.evidence
+      .map((chunk) => `[${chunk.metadata.citation || chunk.source}] ${chunk.content}`)
+      .join("\n\n")
+    merged.citations = Array.from(new Set(merged.evidence.map((chunk) => chunk.metadata.citation).filter(Boolean)))
+
+    // One entry per source, ordered by its best-ranked chunk
+    const bestBySource = new Map()
+    for (const chunk of ranked) {
+      if (!bestBySource.has(chunk.source)) {
+        bestBySource.set(chunk.source, chunk)
       }
     }
 
-    // Build merged response
-    if (primarySource && sources[primarySource]) {
-      merged.primaryResponse = sources[primarySource].content
-      merged.usedSources.push(primarySource)
-      merged.confidenceScore = highestConfidence
-
-      // Add source details
-      merged.sourceDetails.push({
-        source: primarySource,
-        confidence: highestConfidence,
-        metadata: sources[primarySource].metadata || {},
-      })
-    }
+    const primarySource = ranked[0].source
+    for (const [source, best] of bestBySource) {
+      const usedInAnswer = merged.evidence.some((chunk) => chunk.source === source)
+      const detail = {
+        source,
+        confidence: sources[source].confidence ?? best.confidence ?? 0.6,
+        rankScore: Number(best.rankScore.toFixed(4)),
+        rankReasons: best.rankReasons,
+        usedInAnswer,
+        metadata: sources[source].metadata || {},
+      }
+      if (source !== primarySource) {
+        detail.content = sources[source].content.substring(0, 100) + "..." // Preview
+      }
 
-    // Add supplementary information from other sources
-    for (const source of priorityOrder) {
-      if (source !== primarySource && sources[source] && sources[source].success) {
-        merged.sourceDetails.push({
-          source,
-          confidence: sources[source].confidence || 0.6,
-          content: sources[source].content.substring(0, 100) + "...", // Preview
-          metadata: sources[source].metadata || {},
-        })
+      merged.sourceDetails.push(detail)
+      if (usedInAnswer) {
         merged.usedSources.push(source)
       }
     }
 
-    logger.info(`Responses merged: primary=${primarySource}, confidence=${merged.confidenceScore}`)
+    merged.confidenceScore = merged.sourceDetails[0].confidence
+
+    logger.info(
+      `Responses merged: primary=${primarySource}, evidence=${merged.evidence.length} chunks, confidence=${merged.confidenceScore}`,
+    )
 
     return merged
   }
@@ -84,6 +117,8 @@ export class ResponseMerger {
       sources: mergedData.sourceDetails.map((detail) => ({
         source: detail.source,
         confidence: detail.confidence,
+        rankScore: detail.rankScore,
+        rankReasons: detail.rankReasons,
         metadata: detail.metadata,
       })),
       timestamp: new Date().toISOString(),
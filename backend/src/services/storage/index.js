@@ -0,0 +1,42 @@
+/**
+ * File Storage Registry
+ * Backends are modules exporting { name, isConfigured, put, get, delete, exists } keyed by an opaque string key,
+ * and optionally stream(key) returning a readable stream (otherwise downloads are buffered through get)
+ */
+
+import { createLogger } from "../../utils/logger.js"
+import local from "./local.js"
+
+const logger = createLogger()
+
+const backends = new Map()
+
+export function registerStorageBackend(backend) {
+  for (const key of ["name", "isConfigured", "put", "get", "delete", "exists"]) {
+    if (!backend?.[key]) {
+      throw new Error(`Storage backend is missing required field: ${key}`)
+    }
+  }
+  backends.set(backend.name, backend)
+}
+
+/**
+ * Active backend: STORAGE_BACKEND if registered and configured, otherwise local disk
+ */
+export function getStorage() {
+  const requested = process.env.STORAGE_BACKEND || "local"
+  const backend = backends.get(requested)
+  if (backend && backend.isConfigured()) return backend
+
+  logger.warn(`Storage backend '${requested}' unavailable, falling back to local disk`)
+  return backends.get("local")
+}
+
+/**
+ * Backend a file was written to (falls back to the active one for unknown names)
+ */
+export function getStorageBackend(name) {
+  return backends.get(name) || getStorage()
+}
+
+registerStorageBackend(local)
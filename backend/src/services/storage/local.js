@@ -0,0 +1,61 @@
+/**
+ * Local Disk Storage
+ * Stores files under STORAGE_LOCAL_DIR (default data/uploads), one file per key
+ */
+
+import { createReadStream } from "fs"
+import { mkdir, readFile, writeFile, unlink, access } from "fs/promises"
+import { fileURLToPath } from "url"
+import { dirname, join, resolve, sep } from "path"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const ROOT = resolve(process.env.STORAGE_LOCAL_DIR || join(__dirname, "../../../data/uploads"))
+
+function pathFor(key) {
+  const path = resolve(ROOT, key)
+  if (!path.startsWith(ROOT + sep)) {
+    throw new Error(`Invalid storage key: ${key}`)
+  }
+  return path
+}
+
+export default {
+  name: "local",
+
+  isConfigured() {
+    return true
+  },
+
+  async put(key, buffer) {
+    const path = pathFor(key)
+    await mkdir(dirname(path), { recursive: true })
+    await writeFile(path, buffer)
+  },
+
+  async get(key) {
+    return readFile(pathFor(key))
+  },
+
+  async stream(key) {
+    return createReadStream(pathFor(key))
+  },
+
+  async delete(key) {
+    try {
+      await unlink(pathFor(key))
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+  },
+
+  async exists(key) {
+    try {
+      await access(pathFor(key))
+      return true
+    } catch {
+      return false
+    }
+  },
+}
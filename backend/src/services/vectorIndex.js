@@ -0,0 +1,285 @@
+/**
+ * Vector Index
+ * Cosine-similarity index over normalized embeddings, persisted to data/index.
+ * Uses faiss-node (IndexFlatIP) when it is installed, otherwise an in-process brute-force search
+ * with the same behaviour.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs"
+import { fileURLToPath } from "url"
+import { dirname, join } from "path"
+import { createLogger } from "../utils/logger.js"
+
+const logger = createLogger()
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const INDEX_DIR = process.env.VECTOR_INDEX_DIR || join(__dirname, "../../data/index")
+
+let faissModule
+async function loadFaiss() {
+  if (faissModule === undefined) {
+    try {
+      const faiss = await import("faiss-node")
+      faissModule = faiss.default || faiss
+      logger.info("faiss-node loaded for vector search")
+    } catch (err) {
+      logger.warn("faiss-node not available, using brute-force vector search:", err.message)
+      faissModule = null
+    }
+  }
+  return faissModule
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0))
+  return norm > 0 ? vector.map((v) => v / norm) : vector
+}
+
+/**
+ * FAISS inner-product index (inner product of normalized vectors = cosine similarity)
+ */
+class FaissStore {
+  constructor(faiss, dimension, index = null) {
+    this.index = index || new faiss.IndexFlatIP(dimension)
+  }
+
+  static read(faiss, path) {
+    return new FaissStore(faiss, null, faiss.IndexFlatIP.read(path))
+  }
+
+  get size() {
+    return this.index.ntotal()
+  }
+
+  add(vectors) {
+    if (vectors.length > 0) {
+      this.index.add(vectors.flat())
+    }
+  }
+
+  remove(positions) {
+    if (positions.length > 0) {
+      this.index.removeIds(positions)
+    }
+  }
+
+  search(vector, k) {
+    const { distances, labels } = this.index.search(vector, Math.min(k, this.size))
+    return labels.map((position, i) => ({ position, score: distances[i] })).filter((hit) => hit.position >= 0)
+  }
+
+  write(path) {
+    this.index.write(`${path}.faiss`)
+  }
+}
+
+/**
+ * Brute-force fallback with the same interface
+ */
+class BruteForceStore {
+  constructor(vectors = []) {
+    this.vectors = vectors
+  }
+
+  static read(path) {
+    return new BruteForceStore(JSON.parse(readFileSync(`${path}.vectors.json`, "utf-8")))
+  }
+
+  get size() {
+    return this.vectors.length
+  }
+
+  add(vectors) {
+    this.vectors.push(...vectors)
+  }
+
+  remove(positions) {
+    const removed = new Set(positions)
+    this.vectors = this.vectors.filter((_, position) => !removed.has(position))
+  }
+
+  search(vector, k) {
+    return this.vectors
+      .map((candidate, position) => ({
+        position,
+        score: candidate.reduce((sum, v, i) => sum + v * vector[i], 0),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+  }
+
+  write(path) {
+    writeFileSync(`${path}.vectors.json`, JSON.stringify(this.vectors))
+  }
+}
+
+export class VectorIndex {
+  constructor(name) {
+    this.name = name
+    this.path = join(INDEX_DIR, name)
+    this.store = null
+    this.ids = [] // position in the index -> item id
+    this.hashes = new Map() // item id -> content hash it was embedded from
+    this.embedder = null
+  }
+
+  get size() {
+    return this.ids.length
+  }
+
+  /**
+   * Whether the index holds vectors from this embedder
+   */
+  matchesEmbedder(embedder) {
+    return this.store !== null && this.embedder?.name === embedder.name && this.embedder?.model === embedder.model
+  }
+
+  /**
+   * Content hash an item was embedded from (undefined if not indexed)
+   */
+  getHash(id) {
+    return this.hashes.get(id)
+  }
+
+  async createStore(dimension) {
+    const faiss = await loadFaiss()
+    return faiss ? new FaissStore(faiss, dimension) : new BruteForceStore()
+  }
+
+  /**
+   * Embed all items and replace the index contents
+   * items: [{ id, text, hash? }]
+   */
+  async build(items, embedder) {
+    const vectors = items.length > 0 ? await embedder.embedDocuments(items.map((item) => item.text)) : []
+
+    this.store = await this.createStore(embedder.dimension)
+    this.store.add(vectors.map(normalize))
+    this.ids = items.map((item) => item.id)
+    this.hashes = new Map(items.filter((item) => item.hash).map((item) => [item.id, item.hash]))
+    this.embedder = { name: embedder.name, model: embedder.model, dimension: embedder.dimension }
+
+    logger.info(`Vector index '${this.name}' built with ${this.ids.length} vectors (${embedder.name})`)
+  }
+
+  /**
+   * Embed and append items, replacing any existing entries with the same id
+   */
+  async add(items, embedder) {
+    if (!this.store) {
+      return this.build(items, embedder)
+    }
+
+    this.remove(items.map((item) => item.id))
+    const vectors = await embedder.embedDocuments(items.map((item) => item.text))
+    this.store.add(vectors.map(normalize))
+    this.ids.push(...items.map((item) => item.id))
+    for (const item of items) {
+      if (item.hash) this.hashes.set(item.id, item.hash)
+    }
+  }
+
+  /**
+   * Append precomputed vectors (from the same embedder), replacing entries with the same id
+   * items: [{ id, vector, hash? }]
+   */
+  async addVectors(items, embedder) {
+    if (!this.store) {
+      this.store = await this.createStore(embedder.dimension)
+      this.ids = []
+      this.hashes = new Map()
+      this.embedder = { name: embedder.name, model: embedder.model, dimension: embedder.dimension }
+    }
+
+    this.remove(items.map((item) => item.id))
+    this.store.add(items.map((item) => normalize(item.vector)))
+    this.ids.push(...items.map((item) => item.id))
+    for (const item of items) {
+      if (item.hash) this.hashes.set(item.id, item.hash)
+    }
+  }
+
+  remove(ids) {
+    if (!this.store) return
+
+    const removed = new Set(ids)
+    const positions = []
+    this.ids.forEach((id, position) => {
+      if (removed.has(id)) positions.push(position)
+    })
+
+    if (positions.length > 0) {
+      this.store.remove(positions)
+      this.ids = this.ids.filter((id) => !removed.has(id))
+    }
+    for (const id of removed) {
+      this.hashes.delete(id)
+    }
+  }
+
+  /**
+   * Top-k cosine search; returns [{ id, score }] with score >= scoreThreshold
+   */
+  async search(queryVector, k = 3, scoreThreshold = 0) {
+    if (!this.store || this.size === 0) return []
+
+    return this.store
+      .search(normalize(queryVector), k)
+      .filter((hit) => hit.score >= scoreThreshold)
+      .map((hit) => ({ id: this.ids[hit.position], score: hit.score }))
+  }
+
+  save() {
+    if (!this.store) return
+
+    try {
+      mkdirSync(INDEX_DIR, { recursive: true })
+      this.store.write(this.path)
+      writeFileSync(
+        `${this.path}.meta.json`,
+        JSON.stringify({
+          ids: this.ids,
+          hashes: Object.fromEntries(this.hashes),
+          embedder: this.embedder,
+          backend: this.store instanceof FaissStore ? "faiss" : "bruteforce",
+          savedAt: new Date().toISOString(),
+        }),
+      )
+      logger.info(`Vector index '${this.name}' saved (${this.ids.length} vectors)`)
+    } catch (error) {
+      logger.error(`Failed to save vector index '${this.name}':`, error)
+    }
+  }
+
+  /**
+   * Load a persisted index; returns false when there is none or it cannot be read
+   */
+  async load() {
+    const metaPath = `${this.path}.meta.json`
+    if (!existsSync(metaPath)) return false
+
+    try {
+      const meta = JSON.parse(readFileSync(metaPath, "utf-8"))
+      const faiss = await loadFaiss()
+
+      if (meta.backend === "faiss") {
+        if (!faiss) return false
+        this.store = FaissStore.read(faiss, `${this.path}.faiss`)
+      } else {
+        this.store = BruteForceStore.read(this.path)
+      }
+
+      this.ids = meta.ids
+      this.hashes = new Map(Object.entries(meta.hashes || {}))
+      this.embedder = meta.embedder
+
+      logger.info(`Vector index '${this.name}' loaded (${this.ids.length} vectors)`)
+      return true
+    } catch (error) {
+      logger.warn(`Failed to load vector index '${this.name}': ${error.message}`)
+      this.store = null
+      return false
+    }
+  }
+}
@@ -8,28 +8,43 @@ class CacheManager {
   }
 
   // Set cache with TTL (Time To Live) in seconds
-  set(key, value, ttlSeconds = 300) {
-    const expiryTime = Date.now() + ttlSeconds * 1000
+  // staleSeconds: how long after expiry the value is kept for getEntry() callers that accept stale data
+  set(key, value, ttlSeconds = 300, staleSeconds = 0) {
+    const storedAt = Date.now()
+    const expiryTime = storedAt + ttlSeconds * 1000
     this.cache.set(key, {
       value,
+      storedAt,
       expiryTime,
+      staleUntil: expiryTime + staleSeconds * 1000,
     })
-    logger.info(`Cache set for key: ${key} (TTL: ${ttlSeconds}s)`)
+    logger.info(`Cache set for key: ${key} (TTL: ${ttlSeconds}s, stale: ${staleSeconds}s)`)
   }
 
   // Get cache if not expired
   get(key) {
+    const entry = this.getEntry(key)
+    if (!entry || entry.stale) return null
+
+    logger.info(`Cache hit for key: ${key}`)
+    return entry.value
+  }
+
+  // Get cache entry, expired or not, while it is within its stale period
+  // Returns { value, stale, ageMs, expiredMs } (expiredMs: time since it expired, 0 while fresh) or null
+  getEntry(key) {
     const cached = this.cache.get(key)
     if (!cached) return null
 
-    if (Date.now() > cached.expiryTime) {
+    const now = Date.now()
+    if (now > cached.staleUntil) {
       this.cache.delete(key)
       logger.info(`Cache expired for key: ${key}`)
       return null
     }
 
-    logger.info(`Cache hit for key: ${key}`)
-    return cached.value
+    const expiredMs = Math.max(now - cached.expiryTime, 0)
+    return { value: cached.value, stale: now > cached.expiryTime, ageMs: now - cached.storedAt, expiredMs }
   }
 
   // Clear all cache
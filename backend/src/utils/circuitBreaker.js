@@ -0,0 +1,104 @@
+/**
+ * Circuit Breaker
+ * Stops calling an upstream API that keeps failing. After failureThreshold consecutive failures the
+ * circuit opens and calls are refused for resetTimeoutMs; then one probe call is let through (half-open):
+ * its success closes the circuit again, its failure re-opens it.
+ */
+
+import { createLogger } from "./logger.js"
+
+const logger = createLogger()
+
+export const CIRCUIT_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+}
+
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name
+    this.failureThreshold = failureThreshold
+    this.resetTimeoutMs = resetTimeoutMs
+    this.state = CIRCUIT_STATES.CLOSED
+    this.consecutiveFailures = 0
+    this.openedAt = null
+    this.probeInFlight = false
+    this.counters = { successes: 0, failures: 0, rejected: 0 }
+    this.lastFailure = null
+    this.lastSuccessAt = null
+  }
+
+  /**
+   * Whether a call may go upstream now; a half-open circuit lets a single probe through
+   */
+  allowRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN
+      logger.info(`Circuit ${this.name} half-open, probing upstream`)
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) return true
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true
+      return true
+    }
+
+    this.counters.rejected++
+    return false
+  }
+
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info(`Circuit ${this.name} closed`)
+    }
+    this.state = CIRCUIT_STATES.CLOSED
+    this.consecutiveFailures = 0
+    this.openedAt = null
+    this.probeInFlight = false
+    this.counters.successes++
+    this.lastSuccessAt = new Date().toISOString()
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++
+    this.counters.failures++
+    this.lastFailure = { error: error?.message || String(error), timestamp: new Date().toISOString() }
+
+    // A failed probe re-opens the circuit straight away
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+        logger.warn(`Circuit ${this.name} re-opened, probe failed`)
+      } else if (this.state === CIRCUIT_STATES.CLOSED) {
+        logger.warn(`Circuit ${this.name} opened after ${this.consecutiveFailures} consecutive failures`)
+      }
+      this.state = CIRCUIT_STATES.OPEN
+      this.openedAt = Date.now()
+    }
+    this.probeInFlight = false
+  }
+
+  /**
+   * Milliseconds until an open circuit lets a probe through (0 when calls are allowed)
+   */
+  retryAfterMs() {
+    if (this.state !== CIRCUIT_STATES.OPEN) return 0
+    return Math.max(this.resetTimeoutMs - (Date.now() - this.openedAt), 0)
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.retryAfterMs(),
+      lastFailure: this.lastFailure,
+      lastSuccessAt: this.lastSuccessAt,
+      counters: { ...this.counters },
+    }
+  }
+}
+
+export default CircuitBreaker
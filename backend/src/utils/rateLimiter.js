@@ -55,6 +55,11 @@ export const uploadLimiter = rateLimit({
 
 // API key validation
 export function validateApiKeys() {
+  // The mock provider runs offline and needs no keys
+  if (process.env.LLM_PROVIDER === "mock") {
+    return { valid: true }
+  }
+
   const requiredKeys = ["OPENAI_API_KEY", "GROQ_API_KEY"]
   const missingKeys = requiredKeys.filter((key) => !process.env[key])
 
@@ -69,8 +74,8 @@ export function validateApiKeys() {
   return { valid: true }
 }
 
-// Validate uploaded PDF
-export function validatePDF(file) {
+// Validate an uploaded document
+export function validateUpload(file) {
   const maxSizeMB = Number.parseInt(process.env.MAX_PDF_SIZE_MB || "10")
   const maxSizeBytes = maxSizeMB * 1024 * 1024
 
@@ -78,15 +83,15 @@ export function validatePDF(file) {
   if (file.size > maxSizeBytes) {
     return {
       valid: false,
-      error: `PDF size exceeds ${maxSizeMB}MB limit`,
+      error: `File size exceeds ${maxSizeMB}MB limit`,
     }
   }
 
-  // Check file type
-  if (file.mimetype !== "application/pdf") {
+  // The file type is detected from its content (see services/extractors), not the client mimetype
+  if (file.size === 0) {
     return {
       valid: false,
-      error: "Only PDF files are allowed",
+      error: "File is empty",
     }
   }
 
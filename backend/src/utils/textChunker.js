@@ -0,0 +1,175 @@
+/**
+ * Text Chunker
+ * Splits extracted text blocks into overlapping chunks on paragraph and sentence boundaries,
+ * tracking the pages, headings and table rows each chunk came from
+ */
+
+// Characters per chunk and characters of trailing context repeated at the start of the next chunk
+const DEFAULT_CHUNK_SIZE = Number.parseInt(process.env.PDF_CHUNK_SIZE || "800")
+const DEFAULT_CHUNK_OVERLAP = Number.parseInt(process.env.PDF_CHUNK_OVERLAP || "100")
+
+// Sentence end followed by whitespace and something that can start a sentence
+const SENTENCE_BOUNDARY = /(?<=[.!?]["')\]]?)\s+(?=["'(\[]?[\p{Lu}\p{N}])/u
+
+/**
+ * Break a long sentence into word-aligned pieces no longer than maxLength
+ */
+function splitLongText(text, maxLength) {
+  const pieces = []
+  let current = ""
+
+  for (const word of text.split(/\s+/)) {
+    if (current && current.length + 1 + word.length > maxLength) {
+      pieces.push(current)
+      current = ""
+    }
+    if (word.length > maxLength) {
+      // A single word longer than a chunk is cut as-is
+      for (let i = 0; i < word.length; i += maxLength) {
+        pieces.push(word.slice(i, i + maxLength))
+      }
+      continue
+    }
+    current = current ? `${current} ${word}` : word
+  }
+
+  if (current) pieces.push(current)
+  return pieces
+}
+
+/**
+ * Sentence-sized units of a block, each tagged with the block's page, section and row.
+ * Table rows stay whole (unless longer than a chunk) so a chunk never ends mid-row.
+ */
+function blockUnits({ text, page = null, section = null, row = null }, chunkSize) {
+  const units = []
+  const unit = (piece) => ({ text: piece, page, section, row, paragraphEnd: false })
+
+  if (row !== null) {
+    const normalized = text.replace(/\s+/g, " ").trim()
+    if (!normalized) return units
+    for (const piece of normalized.length > chunkSize ? splitLongText(normalized, chunkSize) : [normalized]) {
+      units.push(unit(piece))
+    }
+    units[units.length - 1].paragraphEnd = true
+    return units
+  }
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const normalized = paragraph.replace(/\s+/g, " ").trim()
+    if (!normalized) continue
+
+    const sentences = normalized.split(SENTENCE_BOUNDARY)
+    sentences.forEach((sentence, i) => {
+      for (const piece of sentence.length > chunkSize ? splitLongText(sentence, chunkSize) : [sentence]) {
+        units.push(unit(piece))
+      }
+      if (i === sentences.length - 1) units[units.length - 1].paragraphEnd = true
+    })
+  }
+
+  return units
+}
+
+function separatorAfter(unit, next) {
+  if (!next) return ""
+  if (!unit.paragraphEnd) return " "
+  // Consecutive table rows read as lines of one table
+  return unit.row !== null && next.row !== null ? "\n" : "\n\n"
+}
+
+function joinUnits(units) {
+  return units.map((unit, i) => unit.text + separatorAfter(unit, units[i + 1])).join("")
+}
+
+/**
+ * Structure a chunk came from: the headings it falls under and the table rows it covers.
+ * Returns null for plain text.
+ */
+function chunkMetadata(units) {
+  const metadata = {}
+
+  const headings = Array.from(new Set(units.map((unit) => unit.section).filter(Boolean)))
+  if (headings.length > 0) metadata.headings = headings
+
+  const rowUnits = units.filter((unit) => unit.row !== null)
+  if (rowUnits.length > 0) {
+    const rows = rowUnits.map((unit) => unit.row)
+    // The table's own section, which may differ from the chunk's first heading
+    metadata.rows = { start: Math.min(...rows), end: Math.max(...rows), section: rowUnits[0].section }
+  }
+
+  return Object.keys(metadata).length > 0 ? metadata : null
+}
+
+/**
+ * Chunk extracted blocks
+ * blocks: [{ text, page?, section?, row? }] in document order, where page is 1-based,
+ * section is the heading path ("Setup > Linux") and row is a table row number
+ * Returns [{ text, pageStart, pageEnd, metadata }]
+ */
+export function chunkBlocks(blocks, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) {
+  const size = Math.max(chunkSize, 50)
+  const overlapSize = Math.min(Math.max(overlap, 0), Math.floor(size / 2))
+  const units = blocks.flatMap((block) => blockUnits({ ...block, text: block.text || "" }, size))
+
+  const chunks = []
+  let current = []
+  let length = 0
+  let fresh = 0 // units in current that are not overlap from the previous chunk
+
+  const emit = () => {
+    const pages = current.map((unit) => unit.page).filter((page) => page !== null)
+    chunks.push({
+      text: joinUnits(current),
+      pageStart: pages.length > 0 ? pages[0] : null,
+      pageEnd: pages.length > 0 ? pages[pages.length - 1] : null,
+      metadata: chunkMetadata(current),
+    })
+
+    // Carry whole trailing sentences into the next chunk as overlap
+    const carried = []
+    let carriedLength = 0
+    for (let i = current.length - 1; i > 0; i--) {
+      if (carriedLength + current[i].text.length > overlapSize) break
+      carried.unshift(current[i])
+      carriedLength += current[i].text.length + 1
+    }
+    current = carried
+    length = carriedLength
+    fresh = 0
+  }
+
+  for (const unit of units) {
+    if (fresh > 0 && length + unit.text.length > size) {
+      emit()
+    }
+    // Drop overlap that would not leave room for the new sentence
+    while (current.length > 0 && fresh === 0 && length + unit.text.length > size) {
+      length -= current.shift().text.length + 1
+    }
+
+    current.push(unit)
+    length += unit.text.length + 1
+    fresh++
+  }
+
+  if (fresh > 0) emit()
+  return chunks
+}
+
+/**
+ * Human-readable page reference for a chunk ("p. 3" or "pp. 3-4")
+ */
+export function formatPages(pageStart, pageEnd) {
+  if (!pageStart) return ""
+  return pageEnd && pageEnd !== pageStart ? `pp. ${pageStart}-${pageEnd}` : `p. ${pageStart}`
+}
+
+/**
+ * Human-readable table row reference for a chunk ("row 4" or "rows 4-12")
+ */
+export function formatRows(rows) {
+  if (!rows) return ""
+  return rows.end !== rows.start ? `rows ${rows.start}-${rows.end}` : `row ${rows.start}`
+}
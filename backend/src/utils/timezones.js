@@ -0,0 +1,374 @@
+/**
+ * Time Zones
+ * Resolves place names and zone abbreviations to IANA time zones, and converts times between zones.
+ * Zones, offsets and daylight saving rules come from the IANA database bundled with Node's ICU (Intl),
+ * so nothing is looked up online. Zone ids name one city each ("Asia/Tokyo"); the tables below add
+ * other cities, countries and abbreviations people use.
+ */
+
+// Other cities and countries, by the zone they keep
+const PLACE_ALIASES = {
+  "America/New_York": [
+    "new york city",
+    "new york",
+    "nyc",
+    "manhattan",
+    "brooklyn",
+    "boston",
+    "washington dc",
+    "washington d.c.",
+    "philadelphia",
+    "miami",
+    "atlanta",
+    "florida",
+    "new jersey",
+    "east coast",
+  ],
+  "America/Chicago": ["dallas", "houston", "austin", "new orleans", "minneapolis", "st louis", "texas"],
+  "America/Denver": ["salt lake city", "colorado", "new mexico"],
+  "America/Phoenix": ["arizona"],
+  "America/Los_Angeles": [
+    "los angeles",
+    "san francisco",
+    "san jose",
+    "san diego",
+    "seattle",
+    "portland",
+    "las vegas",
+    "silicon valley",
+    "california",
+    "west coast",
+  ],
+  "America/Anchorage": ["alaska"],
+  "Pacific/Honolulu": ["hawaii"],
+  "America/Toronto": ["montreal", "ottawa", "quebec", "canada"],
+  "America/Edmonton": ["calgary"],
+  "America/Mexico_City": ["guadalajara", "mexico"],
+  "America/Sao_Paulo": ["rio de janeiro", "rio", "brasilia", "brazil"],
+  "America/Argentina/Buenos_Aires": ["buenos aires", "argentina"],
+  "America/Bogota": ["colombia"],
+  "America/Lima": ["peru"],
+  "America/Santiago": ["chile"],
+  "America/Puerto_Rico": ["san juan"],
+  "America/Nuuk": ["nuuk", "greenland"],
+  "Europe/London": [
+    "manchester",
+    "edinburgh",
+    "glasgow",
+    "birmingham",
+    "liverpool",
+    "uk",
+    "united kingdom",
+    "britain",
+    "england",
+    "scotland",
+    "wales",
+  ],
+  "Europe/Dublin": ["ireland"],
+  "Europe/Paris": ["lyon", "marseille", "france"],
+  "Europe/Berlin": ["munich", "frankfurt", "hamburg", "cologne", "germany"],
+  "Europe/Madrid": ["barcelona", "valencia", "seville", "spain"],
+  "Europe/Rome": ["milan", "naples", "florence", "venice", "italy"],
+  "Europe/Zurich": ["geneva", "basel", "bern", "switzerland"],
+  "Europe/Amsterdam": ["rotterdam", "the hague", "netherlands", "holland"],
+  "Europe/Brussels": ["belgium"],
+  "Europe/Vienna": ["austria"],
+  "Europe/Lisbon": ["porto", "portugal"],
+  "Europe/Stockholm": ["sweden"],
+  "Europe/Oslo": ["norway"],
+  "Europe/Copenhagen": ["denmark"],
+  "Europe/Helsinki": ["finland"],
+  "Europe/Warsaw": ["krakow", "poland"],
+  "Europe/Prague": ["czechia", "czech republic"],
+  "Europe/Athens": ["greece"],
+  "Europe/Istanbul": ["ankara", "turkey"],
+  "Europe/Kyiv": ["kyiv", "ukraine"],
+  "Europe/Moscow": ["st petersburg", "saint petersburg", "russia"],
+  "Asia/Tokyo": ["osaka", "kyoto", "japan"],
+  "Asia/Seoul": ["busan", "south korea", "korea"],
+  "Asia/Shanghai": ["beijing", "shenzhen", "guangzhou", "china"],
+  "Asia/Hong_Kong": ["hong kong"],
+  "Asia/Taipei": ["taiwan"],
+  "Asia/Singapore": ["singapore"],
+  "Asia/Kolkata": [
+    "kolkata",
+    "mumbai",
+    "delhi",
+    "new delhi",
+    "bangalore",
+    "bengaluru",
+    "chennai",
+    "hyderabad",
+    "pune",
+    "india",
+  ],
+  "Asia/Karachi": ["lahore", "islamabad", "pakistan"],
+  "Asia/Dhaka": ["bangladesh"],
+  "Asia/Kathmandu": ["kathmandu", "nepal"],
+  "Asia/Yangon": ["yangon", "myanmar"],
+  "Asia/Bangkok": ["thailand"],
+  "Asia/Ho_Chi_Minh": ["ho chi minh city", "ho chi minh", "hanoi", "vietnam"],
+  "Asia/Jakarta": ["indonesia"],
+  "Asia/Manila": ["philippines"],
+  "Asia/Dubai": ["abu dhabi", "uae", "united arab emirates"],
+  "Asia/Qatar": ["doha"],
+  "Asia/Riyadh": ["saudi arabia"],
+  "Asia/Jerusalem": ["tel aviv", "israel"],
+  "Asia/Tehran": ["iran"],
+  "Africa/Cairo": ["egypt"],
+  "Africa/Lagos": ["nigeria"],
+  "Africa/Nairobi": ["kenya"],
+  "Africa/Johannesburg": ["cape town", "durban", "pretoria", "south africa"],
+  "Australia/Sydney": ["canberra", "australia"],
+  "Australia/Brisbane": ["gold coast"],
+  "Pacific/Auckland": ["wellington", "new zealand"],
+}
+
+// Abbreviations, matched in capitals only ("EST", not "est"). Seasonal ones mean the zone, not the season:
+// "3pm PST" in July is 3pm Pacific time.
+const ZONE_ABBREVIATIONS = {
+  UTC: "UTC",
+  GMT: "UTC",
+  PST: "America/Los_Angeles",
+  PDT: "America/Los_Angeles",
+  PT: "America/Los_Angeles",
+  MST: "America/Denver",
+  MDT: "America/Denver",
+  MT: "America/Denver",
+  CST: "America/Chicago",
+  CDT: "America/Chicago",
+  CT: "America/Chicago",
+  EST: "America/New_York",
+  EDT: "America/New_York",
+  ET: "America/New_York",
+  AKST: "America/Anchorage",
+  HST: "Pacific/Honolulu",
+  BST: "Europe/London",
+  WET: "Europe/Lisbon",
+  CET: "Europe/Paris",
+  CEST: "Europe/Paris",
+  EET: "Europe/Athens",
+  MSK: "Europe/Moscow",
+  IST: "Asia/Kolkata",
+  SGT: "Asia/Singapore",
+  HKT: "Asia/Hong_Kong",
+  JST: "Asia/Tokyo",
+  KST: "Asia/Seoul",
+  AEST: "Australia/Sydney",
+  AEDT: "Australia/Sydney",
+  NZST: "Pacific/Auckland",
+  NZDT: "Pacific/Auckland",
+  // City shorthands that are words in lower case
+  NYC: "America/New_York",
+  NY: "America/New_York",
+  LA: "America/Los_Angeles",
+  SF: "America/Los_Angeles",
+}
+
+// Zone cities that are also everyday words or names elsewhere
+const AMBIGUOUS_ZONE_CITIES = new Set([
+  "wake",
+  "easter",
+  "midway",
+  "chatham",
+  "stanley",
+  "christmas",
+  "reunion",
+  "cocos",
+  "norfolk",
+  "johnston",
+  "resolute",
+  "oral",
+  "truk",
+  "casey",
+  "davis",
+  "palmer",
+  "troll",
+  "cayenne",
+  "regina",
+  "dawson",
+  "wallis",
+  "lindeman",
+  "chita",
+])
+
+// Places that are also lowercase words; they only count when capitalized ("Jersey", not "a jersey")
+const CAPITALIZED_ONLY_PLACES = new Set(["jersey", "guernsey", "turkey", "canary"])
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Lowercase place name -> zone, from the zone ids ("America/Sao_Paulo" -> "sao paulo") and the aliases
+ */
+const PLACES = (() => {
+  const places = new Map()
+  for (const zone of Intl.supportedValuesOf("timeZone")) {
+    const [region, ...rest] = zone.split("/")
+    // Indiana, Kentucky and North Dakota county zones are named after towns ("Center", "Knox")
+    if (rest.length === 0 || /^(?:Etc|SystemV)$/.test(region) || /^(?:Indiana|Kentucky|North_Dakota)$/.test(rest[0])) {
+      continue
+    }
+    const name = rest[rest.length - 1].replace(/_/g, " ").toLowerCase()
+    if (!AMBIGUOUS_ZONE_CITIES.has(name) && !places.has(name)) places.set(name, zone)
+  }
+  for (const [zone, names] of Object.entries(PLACE_ALIASES)) {
+    if (!isValidTimeZone(zone)) continue
+    names.forEach((name) => places.set(name, zone))
+  }
+  return places
+})()
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Longest names first, so "new york city" wins over "new york" and "york"
+const PLACE_PATTERN = new RegExp(
+  `(?<![\\p{L}])(${Array.from(PLACES.keys())
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join("|")})(?![\\p{L}])`,
+  "giu",
+)
+const ABBREVIATION_PATTERN = new RegExp(`\\b(${Object.keys(ZONE_ABBREVIATIONS).join("|")})\\b`, "g")
+const ZONE_ID_PATTERN = /\b([A-Z][A-Za-z]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)\b/g
+const FIXED_OFFSET_PATTERN = /\b(?:UTC|GMT)\s*([+\-−])\s*(\d{1,2})(?::00)?\b/g
+
+/**
+ * Time zones named in the text, in order: [{ name, timeZone, index }]
+ * Recognizes IANA ids ("Europe/Berlin"), places ("Tokyo", "NYC", "Germany"), abbreviations ("PST")
+ * and whole-hour UTC offsets ("UTC+5")
+ */
+export function findTimeZones(text) {
+  const found = []
+  const add = (name, timeZone, index) => {
+    if (found.some((other) => index < other.index + other.name.length && index + name.length > other.index)) return
+    found.push({ name, timeZone, index })
+  }
+
+  for (const match of text.matchAll(ZONE_ID_PATTERN)) {
+    if (isValidTimeZone(match[1])) add(match[1], match[1], match.index)
+  }
+  for (const match of text.matchAll(FIXED_OFFSET_PATTERN)) {
+    // Etc/GMT signs are inverted: UTC+5 is Etc/GMT-5
+    const hours = Number.parseInt(match[2])
+    const sign = match[1] === "+" ? "-" : "+"
+    if (hours <= 14) add(match[0], hours === 0 ? "UTC" : `Etc/GMT${sign}${hours}`, match.index)
+  }
+  for (const match of text.matchAll(PLACE_PATTERN)) {
+    const name = match[1].toLowerCase()
+    if (CAPITALIZED_ONLY_PLACES.has(name) && !/^\p{Lu}/u.test(match[1])) continue
+    add(match[1], PLACES.get(name), match.index)
+  }
+  for (const match of text.matchAll(ABBREVIATION_PATTERN)) {
+    add(match[1], ZONE_ABBREVIATIONS[match[1]], match.index)
+  }
+
+  return found.sort((a, b) => a.index - b.index)
+}
+
+/**
+ * Offset from UTC in minutes of a zone at an instant (DST included)
+ */
+export function getOffsetMinutes(timeZone, date = new Date()) {
+  const name = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "longOffset" })
+    .formatToParts(date)
+    .find((part) => part.type === "timeZoneName").value
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/)
+  if (!match) return 0
+  const minutes = Number.parseInt(match[2]) * 60 + Number.parseInt(match[3])
+  return match[1] === "-" ? -minutes : minutes
+}
+
+/**
+ * "+09:00", "-04:00", "+05:30"
+ */
+export function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+"
+  const abs = Math.abs(minutes)
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`
+}
+
+function localParts(timeZone, date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "long",
+    hourCycle: "h23",
+    timeZoneName: "short",
+  }).formatToParts(date)
+  return Object.fromEntries(parts.map((part) => [part.type, part.value]))
+}
+
+/**
+ * A moment as seen in a zone:
+ * { timeZone, localTime: "2025-07-01T15:00:00", date, time, weekday, offset: "-07:00", abbreviation, dst }
+ */
+export function describeZonedTime(timeZone, date = new Date()) {
+  const parts = localParts(timeZone, date)
+  const offsetMinutes = getOffsetMinutes(timeZone, date)
+  const year = Number.parseInt(parts.year)
+  // Standard time is the smaller of the January and July offsets; anything above it is daylight saving
+  const standard = Math.min(
+    getOffsetMinutes(timeZone, new Date(Date.UTC(year, 0, 1))),
+    getOffsetMinutes(timeZone, new Date(Date.UTC(year, 6, 1))),
+  )
+
+  return {
+    timeZone,
+    localTime: `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`,
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", minute: "2-digit" }).format(date),
+    weekday: parts.weekday,
+    offset: formatOffset(offsetMinutes),
+    offsetMinutes,
+    abbreviation: parts.timeZoneName,
+    dst: offsetMinutes > standard,
+  }
+}
+
+/**
+ * The instant at which a zone's wall clock shows the given local date and time
+ * A time skipped by a DST change moves forward by the length of the gap (2:30 becomes 3:30 when clocks
+ * jump from 2:00 to 3:00); a time that occurs twice resolves to the first occurrence.
+ */
+export function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute)
+  // Offsets in force a day either side; DST changes are never closer together than that
+  const before = getOffsetMinutes(timeZone, new Date(wall - 86400000))
+  const after = getOffsetMinutes(timeZone, new Date(wall + 86400000))
+
+  // An offset is right if the zone really keeps it at the instant it gives
+  const candidates = [before, after]
+    .map((offset) => ({ offset, instant: wall - offset * 60000 }))
+    .filter(({ offset, instant }) => getOffsetMinutes(timeZone, new Date(instant)) === offset)
+    .map(({ instant }) => instant)
+
+  // None is right inside a gap: reading the wall time with the earlier offset lands just after the change
+  return new Date(candidates.length > 0 ? Math.min(...candidates) : wall - before * 60000)
+}
+
+/**
+ * Today's date (with a day offset) on a zone's calendar: { year, month, day }
+ */
+export function zonedDate(timeZone, dayOffset = 0, now = new Date()) {
+  const parts = localParts(timeZone, now)
+  const date = new Date(
+    Date.UTC(Number.parseInt(parts.year), Number.parseInt(parts.month) - 1, Number.parseInt(parts.day) + dayOffset),
+  )
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+}
+
+export function defaultTimeZone() {
+  return process.env.TIME_DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone
+}
@@ -0,0 +1,95 @@
+/**
+ * Text Tokenizer
+ * Lowercasing, stopword removal and light English stemming shared by keyword search and local embeddings
+ */
+
+const STOPWORDS = new Set([
+  "a", "about", "above", "after", "again", "against", "all", "am", "an", "and", "any", "are", "as", "at",
+  "be", "because", "been", "before", "being", "below", "between", "both", "but", "by",
+  "can", "could", "did", "do", "does", "doing", "down", "during",
+  "each", "few", "for", "from", "further", "had", "has", "have", "having", "he", "her", "here", "hers",
+  "herself", "him", "himself", "his", "how", "i", "if", "in", "into", "is", "it", "its", "itself",
+  "just", "me", "more", "most", "my", "myself", "no", "nor", "not", "now", "of", "off", "on", "once",
+  "only", "or", "other", "our", "ours", "ourselves", "out", "over", "own", "please",
+  "same", "she", "should", "so", "some", "such", "than", "that", "the", "their", "theirs", "them",
+  "themselves", "then", "there", "these", "they", "this", "those", "through", "to", "too",
+  "under", "until", "up", "very", "was", "we", "were", "what", "when", "where", "which", "while", "who",
+  "whom", "why", "will", "with", "would", "you", "your", "yours", "yourself", "yourselves",
+])
+
+// Longest suffix first; [suffix, replacement, minimum stem length]
+const SUFFIX_RULES = [
+  ["ational", "ate", 2],
+  ["ization", "ize", 2],
+  ["fulness", "ful", 2],
+  ["ousness", "ous", 2],
+  ["iveness", "ive", 2],
+  ["sses", "ss", 1],
+  ["ies", "y", 2],
+  ["ing", "", 4],
+  ["ed", "", 3],
+  ["ly", "", 4],
+  ["s", "", 3],
+]
+
+/**
+ * Light suffix-stripping stemmer ("learning", "learned", "learns" -> "learn")
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word
+
+  for (const [suffix, replacement, minStem] of SUFFIX_RULES) {
+    if (!word.endsWith(suffix)) continue
+
+    const base = word.slice(0, -suffix.length)
+    if (base.length < minStem) return word
+    // Keep "ss", "us" and "is" endings ("class", "status", "analysis")
+    if (suffix === "s" && /(ss|us|is)$/.test(word)) return word
+
+    let stemmed = base + replacement
+    // "running" -> "runn" -> "run"
+    if ((suffix === "ing" || suffix === "ed") && /([^aeiouylsz])\1$/.test(stemmed)) {
+      stemmed = stemmed.slice(0, -1)
+    }
+    return stemmed
+  }
+
+  return word
+}
+
+/**
+ * Split text into lowercase word tokens (no filtering)
+ */
+export function splitWords(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 0)
+}
+
+/**
+ * Tokens for retrieval: stopwords and single characters removed, stemmed
+ */
+export function tokenize(text) {
+  return splitWords(text)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token))
+    .map(stem)
+}
+
+/**
+ * Overlapping word n-grams of a text, for near-duplicate detection
+ * Texts shorter than size words yield a single shingle of all their words
+ */
+export function shingles(text, size = 3) {
+  const words = splitWords(text)
+  const result = new Set()
+  for (let i = 0; i + size <= words.length; i++) {
+    result.add(words.slice(i, i + size).join(" "))
+  }
+  if (result.size === 0 && words.length > 0) result.add(words.join(" "))
+  return result
+}
+
+export function isStopword(word) {
+  return STOPWORDS.has(word.toLowerCase())
+}
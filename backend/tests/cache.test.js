@@ -31,4 +31,16 @@ describe("Caching", () => {
       expect(response.data.sourceDetails).toHaveProperty("cached")
     }
   })
+
+  test("should report the age of cached realtime data", async () => {
+    const response = await request("POST", "/api/chat", {
+      message: "What is the weather in London?",
+    })
+
+    expect(response.status).toBe(200)
+    const realtime = response.data.sources?.find((source) => source.source === "realtime")
+    expect(realtime).toBeDefined()
+    expect(typeof realtime.metadata.stale).toBe("boolean")
+    expect(realtime.metadata.dataAgeSeconds).toBeGreaterThanOrEqual(0)
+  })
 })
@@ -5,6 +5,8 @@
 
 import { request } from "./setup.js"
 
+const USER_TOKEN = process.env.TEST_USER_TOKEN
+
 describe("Chat Routes", () => {
   test("should handle realtime weather query", async () => {
     const response = await request("POST", "/api/chat", {
@@ -17,6 +19,33 @@ describe("Chat Routes", () => {
     expect(response.data.intent).toBe("realtime")
   })
 
+  test("should route currency conversions to the currency provider", async () => {
+    const response = await request("POST", "/api/chat", {
+      message: "Convert 100 EUR to GBP",
+    })
+
+    expect(response.status).toBe(200)
+    expect(response.data.intent).toBe("realtime")
+    const realtime = response.data.sources.find((source) => source.source === "realtime")
+    if (realtime) {
+      expect(realtime.metadata.type).toBe("currency")
+    }
+  })
+
+  test("should reject an unknown temperature unit", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await request(
+      "POST",
+      "/api/chat",
+      { message: "What is the weather tomorrow?", temperatureUnit: "kelvin" },
+      { Authorization: `Bearer ${USER_TOKEN}` },
+    )
+
+    expect(response.status).toBe(400)
+    expect(response.data.error).toMatch(/temperatureUnit/)
+  })
+
   test("should handle RAG knowledge query", async () => {
     const response = await request("POST", "/api/chat", {
       message: "Tell me about artificial intelligence",
@@ -46,6 +75,19 @@ describe("Chat Routes", () => {
     expect(Array.isArray(response.data.sources)).toBe(true)
   })
 
+  test("should answer deterministically with the mock LLM provider", async () => {
+    // Server must be started with LLM_PROVIDER=mock
+    if (process.env.LLM_PROVIDER !== "mock") return
+
+    const response = await request("POST", "/api/chat", {
+      message: "Hello there",
+    })
+
+    expect(response.status).toBe(200)
+    expect(response.data.reply).toBe("[mock] Hello! How can I help you today?")
+    expect(response.data.llmProvider).toBe("mock")
+  })
+
   test("should reject empty message", async () => {
     const response = await request("POST", "/api/chat", {
       message: "",
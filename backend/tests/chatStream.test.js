@@ -0,0 +1,115 @@
+/**
+ * Chat Streaming Tests
+ * Tests: Server-Sent Event order, the reply matching the streamed tokens, stopping when the client aborts
+ */
+
+import { headers } from "./setup.js"
+import { setMockFixtures, resetMockFixtures } from "../src/services/llmProviders/mock.js"
+import { streamResponse } from "../src/services/llm.js"
+
+const USER_TOKEN = process.env.TEST_USER_TOKEN
+
+/**
+ * POST to the stream endpoint and collect its events as [{ event, data }]
+ * onEvent may return true to abort the request after that event
+ */
+async function streamChat(body, onEvent = () => false) {
+  const controller = new AbortController()
+  const response = await fetch("http://localhost:5000/api/chat/stream", {
+    method: "POST",
+    headers: headers({ Authorization: `Bearer ${USER_TOKEN}`, Accept: "text/event-stream" }),
+    body: JSON.stringify(body),
+    signal: controller.signal,
+  })
+
+  const events = []
+  const decoder = new TextDecoder()
+  let buffer = ""
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true })
+      let end
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const raw = buffer.slice(0, end)
+        buffer = buffer.slice(end + 2)
+        const event = raw.match(/^event: (.*)$/m)[1]
+        const data = JSON.parse(raw.match(/^data: (.*)$/m)[1])
+        events.push({ event, data })
+        if (onEvent({ event, data })) controller.abort()
+      }
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) throw error
+  }
+
+  return { status: response.status, events, aborted: controller.signal.aborted }
+}
+
+describe("Chat Streaming", () => {
+  test("should send intent, sources, tokens and done in order", async () => {
+    if (!USER_TOKEN) return
+
+    const { status, events } = await streamChat({ message: "Hello there" })
+    const names = events.map((e) => e.event)
+
+    expect(status).toBe(200)
+    expect(names.slice(0, 2)).toEqual(["intent", "sources"])
+    expect(names[names.length - 1]).toBe("done")
+    expect(names.slice(2, -1).length).toBeGreaterThan(0)
+    expect(names.slice(2, -1).every((name) => name === "token")).toBe(true)
+
+    const done = events[events.length - 1].data
+    const streamed = events.filter((e) => e.event === "token").map((e) => e.data.content)
+    expect(done.reply).toBe(streamed.join(""))
+    expect(done.conversationId).toBe(events[0].data.conversationId)
+  })
+
+  test("should stop streaming when the client aborts", async () => {
+    // The mock provider's slow fixture leaves time to abort before the reply
+    if (!USER_TOKEN || process.env.LLM_PROVIDER !== "mock") return
+
+    const { events, aborted } = await streamChat({ message: "mock:slow" }, ({ event }) => event === "sources")
+
+    expect(aborted).toBe(true)
+    expect(events.map((e) => e.event)).toEqual(["intent", "sources"])
+  })
+})
+
+describe("LLM Streaming", () => {
+  beforeAll(() => {
+    process.env.LLM_FALLBACK_CHAIN = "mock"
+    setMockFixtures([{ match: ".", reply: "one two three four five six seven eight", chunkSize: 1, chunkDelayMs: 10 }])
+  })
+
+  afterAll(() => {
+    delete process.env.LLM_FALLBACK_CHAIN
+    resetMockFixtures()
+  })
+
+  test("should stream the reply token by token", async () => {
+    const tokens = []
+    const result = await streamResponse("", "Count", null, null, (token) => tokens.push(token))
+
+    expect(tokens).toHaveLength(8)
+    expect(result).toEqual({ reply: tokens.join(""), provider: "mock", model: "mock-echo" })
+  })
+
+  test("should stop and resolve empty when aborted mid-stream", async () => {
+    const controller = new AbortController()
+    const tokens = []
+    const result = await streamResponse(
+      "",
+      "Count",
+      null,
+      null,
+      (token) => {
+        tokens.push(token)
+        if (tokens.length === 2) controller.abort()
+      },
+      controller.signal,
+    )
+
+    expect(result).toEqual({ reply: "", provider: null, model: null })
+    expect(tokens).toHaveLength(2)
+  })
+})
@@ -0,0 +1,108 @@
+/**
+ * Circuit Breaker Tests
+ * Tests: opening after the failure threshold, half-open single probe, closing and re-opening, upstream timeouts
+ */
+
+import { CircuitBreaker, CIRCUIT_STATES } from "../src/utils/circuitBreaker.js"
+import { registerRealtimeProvider } from "../src/services/realtimeProviders/index.js"
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Opens the breaker and waits until it lets a probe through
+async function openAndWait(breaker) {
+  for (let i = 0; i < breaker.failureThreshold; i++) breaker.recordFailure(new Error("Upstream down"))
+  await sleep(breaker.resetTimeoutMs + 10)
+}
+
+describe("Circuit Breaker", () => {
+  test("should open after the failure threshold and refuse calls", () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 3, resetTimeoutMs: 1000 })
+
+    breaker.recordFailure(new Error("Upstream down"))
+    breaker.recordFailure(new Error("Upstream down"))
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED)
+    expect(breaker.allowRequest()).toBe(true)
+
+    breaker.recordFailure(new Error("Upstream down"))
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN)
+    expect(breaker.allowRequest()).toBe(false)
+    expect(breaker.retryAfterMs()).toBeGreaterThan(0)
+    expect(breaker.getState().counters.rejected).toBe(1)
+  })
+
+  test("should reset the failure count on success", () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 2, resetTimeoutMs: 1000 })
+
+    breaker.recordFailure(new Error("Upstream down"))
+    breaker.recordSuccess()
+    breaker.recordFailure(new Error("Upstream down"))
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED)
+  })
+
+  test("should let a single probe through once half-open", async () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 2, resetTimeoutMs: 50 })
+    await openAndWait(breaker)
+
+    expect(breaker.allowRequest()).toBe(true)
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN)
+    expect(breaker.allowRequest()).toBe(false)
+  })
+
+  test("should close when the probe succeeds", async () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 2, resetTimeoutMs: 50 })
+    await openAndWait(breaker)
+
+    breaker.allowRequest()
+    breaker.recordSuccess()
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED)
+    expect(breaker.allowRequest()).toBe(true)
+    expect(breaker.allowRequest()).toBe(true)
+  })
+
+  test("should re-open when the probe fails", async () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 2, resetTimeoutMs: 50 })
+    await openAndWait(breaker)
+
+    breaker.allowRequest()
+    breaker.recordFailure(new Error("Still down"))
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN)
+    expect(breaker.allowRequest()).toBe(false)
+  })
+})
+
+describe("Realtime Timeouts", () => {
+  let fetchRealtimeData
+  let aborted = false
+
+  beforeAll(async () => {
+    // Read when realtime.js is loaded
+    process.env.REALTIME_TIMEOUT_MS = "50"
+    ;({ fetchRealtimeData } = await import("../src/services/realtime.js"))
+
+    registerRealtimeProvider({
+      type: "timeout-stub",
+      label: "Timeout stub",
+      keywords: ["timeout stub"],
+      examples: ["timeout stub question"],
+      params: () => ({}),
+      // Never answers, until the request is aborted
+      fetch: (params, { signal }) =>
+        new Promise(() => {
+          signal.addEventListener("abort", () => {
+            aborted = true
+          })
+        }),
+    })
+  })
+
+  test("should fail a hanging upstream call with a timeout", async () => {
+    const result = await fetchRealtimeData("timeout-stub", {})
+
+    expect(result.failure).toEqual({ reason: "timeout", retryable: true })
+    expect(result.apiUsed).toBe("timeout-stub")
+    expect(aborted).toBe(true)
+  })
+})
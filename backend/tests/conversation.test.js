@@ -0,0 +1,60 @@
+/**
+ * Conversation History Tests
+ */
+
+import { request } from "./setup.js"
+
+describe("Conversations", () => {
+  let conversationId = null
+
+  test("should start a conversation on first message", async () => {
+    const response = await request("POST", "/api/chat", {
+      message: "What is the weather in Paris?",
+    })
+
+    expect(response.status).toBe(200)
+    expect(response.data).toHaveProperty("conversationId")
+    conversationId = response.data.conversationId
+  })
+
+  test("should continue an existing conversation", async () => {
+    if (!conversationId) return
+
+    const response = await request("POST", "/api/chat", {
+      message: "And in London?",
+      conversationId,
+    })
+
+    expect(response.status).toBe(200)
+    expect(response.data.conversationId).toBe(conversationId)
+    // Read as "What is the weather in London?", so live data is fetched for London
+    expect(response.data.intent).toBe("realtime")
+  })
+
+  test("should reject unknown conversation", async () => {
+    const response = await request("POST", "/api/chat", {
+      message: "Hello",
+      conversationId: "does-not-exist",
+    })
+
+    expect(response.status).toBe(404)
+  })
+
+  test("should list, rename and delete conversations", async () => {
+    if (!conversationId) return
+
+    const list = await request("GET", "/api/conversations")
+    expect(list.status).toBe(200)
+    expect(list.data.conversations.some((c) => c.id === conversationId)).toBe(true)
+
+    const renamed = await request("PATCH", `/api/conversations/${conversationId}`, { title: "Trip planning" })
+    expect(renamed.status).toBe(200)
+    expect(renamed.data.conversation.title).toBe("Trip planning")
+
+    const deleted = await request("DELETE", `/api/conversations/${conversationId}`)
+    expect(deleted.status).toBe(200)
+
+    const missing = await request("GET", `/api/conversations/${conversationId}`)
+    expect(missing.status).toBe(404)
+  })
+})
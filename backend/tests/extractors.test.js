@@ -0,0 +1,189 @@
+/**
+ * Document Extractor Tests
+ * Tests: format detection by content, PDF pages, DOCX headings, CSV rows, Markdown and HTML section paths
+ */
+
+import { crc32 } from "zlib"
+import { detectFormat, getExtractor } from "../src/services/extractors/index.js"
+import { buildPDF } from "./setup.js"
+
+/**
+ * ZIP archive with the files stored uncompressed
+ */
+function buildZip(files) {
+  const local = []
+  const central = []
+  let offset = 0
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content)
+    const header = Buffer.alloc(30)
+    header.writeUInt32LE(0x04034b50, 0)
+    header.writeUInt16LE(20, 4)
+    header.writeUInt32LE(crc32(data), 14)
+    header.writeUInt32LE(data.length, 18)
+    header.writeUInt32LE(data.length, 22)
+    header.writeUInt16LE(name.length, 26)
+
+    const entry = Buffer.alloc(46)
+    entry.writeUInt32LE(0x02014b50, 0)
+    entry.writeUInt16LE(20, 4)
+    entry.writeUInt16LE(20, 6)
+    header.copy(entry, 16, 14, 26)
+    entry.writeUInt16LE(name.length, 28)
+    entry.writeUInt32LE(offset, 42)
+
+    local.push(header, Buffer.from(name), data)
+    central.push(entry, Buffer.from(name))
+    offset += header.length + name.length + data.length
+  }
+
+  const directory = Buffer.concat(central)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(local.length / 3, 8)
+  end.writeUInt16LE(local.length / 3, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+  return Buffer.concat([...local, directory, end])
+}
+
+const WORD_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main"
+
+const wordParagraph = (text, style) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ""}<w:r><w:t>${text}</w:t></w:r></w:p>`
+
+const DOCX = buildZip({
+  "[Content_Types].xml":
+    '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Override PartName="/word/document.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>',
+  "_rels/.rels":
+    '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Target="word/document.xml" ' +
+    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument"/></Relationships>',
+  "word/document.xml":
+    `<?xml version="1.0"?><w:document xmlns:w="${WORD_NS}"><w:body>` +
+    wordParagraph("Setup", "Heading1") +
+    wordParagraph("Install the package first.") +
+    "</w:body></w:document>",
+})
+
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex")
+
+const detect = (content, filename) => detectFormat(Buffer.from(content), filename)?.format ?? null
+
+describe("Format Detection", () => {
+  test("should recognize binary formats by their magic bytes whatever the file is called", () => {
+    expect(detectFormat(buildPDF(["Hello"]), "notes.txt").format).toBe("pdf")
+    expect(detectFormat(Buffer.concat([Buffer.from("\xef\xbb\xbf", "latin1"), buildPDF(["Hello"])])).format).toBe("pdf")
+    expect(detectFormat(DOCX, "report.pdf").format).toBe("docx")
+    expect(detectFormat(PNG, "scan.pdf")).toBeNull()
+  })
+
+  test("should not take text mentioning a PDF header for a PDF", () => {
+    expect(detect("Note: %PDF-1.4 starts every PDF", "notes.txt")).toBe("text")
+    expect(detect("# PDF headers\n\nEvery file starts with %PDF-1.7", "headers.md")).toBe("markdown")
+  })
+
+  test("should sniff text formats and use the extension only between them", () => {
+    expect(detect("<!DOCTYPE html><html><body><p>Hi</p></body></html>", "page.txt")).toBe("html")
+    expect(detect("# Title\n\nSome text", "")).toBe("markdown")
+    expect(detect("a,b\n1,2\n3,4", "data.txt")).toBe("csv")
+    expect(detect("a,b\n1,2\n3,4", "data.md")).toBe("markdown")
+    expect(detect("Just some notes", "notes")).toBe("text")
+    expect(detect("   \n", "empty.txt")).toBeNull()
+  })
+})
+
+describe("Extractors", () => {
+  test("should extract one block per PDF page", async () => {
+    const { blocks, pages } = await getExtractor("pdf").extract(buildPDF(["First page", "Second page"]))
+
+    expect(pages).toBe(2)
+    expect(blocks).toEqual([
+      { text: "First page", page: 1 },
+      { text: "Second page", page: 2 },
+    ])
+  })
+
+  test("should count PDF pages without extracting them", async () => {
+    expect(await getExtractor("pdf").countPages(buildPDF(["One", "Two", "Three"]))).toBe(3)
+    expect(await getExtractor("pdf").countPages(Buffer.from("%PDF-1.4 truncated"))).toBeNull()
+  })
+
+  test("should keep DOCX headings as section paths", async () => {
+    const { blocks } = await getExtractor("docx").extract(DOCX)
+
+    expect(blocks).toEqual([
+      { text: "Setup", section: "Setup" },
+      { text: "Install the package first.", section: "Setup" },
+    ])
+  })
+
+  test("should label CSV values with their columns and number rows as spreadsheets do", async () => {
+    const csv = 'Region;Revenue\nEU;12\n\n"North; America";"1,5"\n'
+    const { blocks, metadata } = await getExtractor("csv").extract(Buffer.from(csv))
+
+    expect(metadata).toEqual({ columns: ["Region", "Revenue"], records: 3 })
+    expect(blocks).toEqual([
+      { text: "Region: EU; Revenue: 12", row: 2 },
+      { text: "Region: North; America; Revenue: 1,5", row: 4 },
+    ])
+  })
+
+  test("should build Markdown section paths from ATX and setext headings", async () => {
+    const markdown = [
+      "Guide",
+      "=====",
+      "Intro text.",
+      "## Setup",
+      "### Linux",
+      "Run `make`.",
+      "## Usage",
+      "| Flag | Meaning |",
+      "|------|---------|",
+      "| -v | verbose |",
+    ].join("\n")
+    const { blocks } = await getExtractor("markdown").extract(Buffer.from(markdown))
+
+    expect(blocks.map(({ text, section }) => [text, section])).toEqual([
+      ["Guide", "Guide"],
+      ["Intro text.", "Guide"],
+      ["Setup", "Guide > Setup"],
+      ["Linux", "Guide > Setup > Linux"],
+      ["Run make.", "Guide > Setup > Linux"],
+      ["Usage", "Guide > Usage"],
+      ["Flag: -v; Meaning: verbose", "Guide > Usage"],
+    ])
+    expect(blocks[blocks.length - 1].row).toBe(2)
+  })
+
+  test("should build HTML section paths and skip scripts", async () => {
+    const html =
+      "<html><head><title>Manual</title><script>alert(1)</script></head><body>" +
+      "<h1>Manual</h1><p>Welcome.</p><h2>Install</h2><p>Step <b>one</b>.</p>" +
+      "<h3>Linux</h3><ul><li>apt</li></ul><h2>Limits</h2>" +
+      "<table><tr><th>Plan</th><th>Pages</th></tr><tr><td>Free</td><td>50</td></tr></table></body></html>"
+    const { blocks, metadata } = await getExtractor("html").extract(Buffer.from(html))
+
+    expect(metadata).toEqual({ title: "Manual" })
+    expect(blocks).toEqual([
+      { text: "Manual", section: "Manual" },
+      { text: "Welcome.", section: "Manual" },
+      { text: "Install", section: "Manual > Install" },
+      { text: "Step one.", section: "Manual > Install" },
+      { text: "Linux", section: "Manual > Install > Linux" },
+      { text: "apt", section: "Manual > Install > Linux" },
+      { text: "Limits", section: "Manual > Limits" },
+      { text: "Plan: Free; Pages: 50", section: "Manual > Limits", row: 2 },
+    ])
+  })
+
+  test("should pass plain text through whole", async () => {
+    const { blocks } = await getExtractor("text").extract(Buffer.from("\uFEFFFirst paragraph.\n\nSecond."))
+
+    expect(blocks).toEqual([{ text: "First paragraph.\n\nSecond." }])
+  })
+})
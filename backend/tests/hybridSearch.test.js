@@ -0,0 +1,143 @@
+/**
+ * Hybrid Search Tests
+ * Tests: BM25 scoring and index updates, reciprocal rank fusion, weights, filters, near-duplicate collapsing
+ */
+
+import { BM25Index } from "../src/services/bm25Index.js"
+import { hybridSearch } from "../src/services/hybridSearch.js"
+
+const DOCUMENTS = {
+  a: "Solar panels convert sunlight into electricity",
+  b: "Wind turbines generate electricity from wind",
+  c: "Solar eclipse viewing guide",
+  d: "Cooking pasta at home",
+}
+
+function buildIndex(documents = DOCUMENTS) {
+  const index = new BM25Index()
+  for (const [id, text] of Object.entries(documents)) index.add(id, text)
+  return index
+}
+
+// Vector side with fixed hits, standing in for an embedder and a vector store
+const vectorSide = (hits) => ({
+  vectorIndex: { size: hits.length, search: async (embedding, k) => hits.slice(0, k) },
+  embedder: { embedQuery: async () => [1], similarityFloor: 0 },
+})
+
+describe("BM25 Index", () => {
+  test("should rank documents matching more query terms first", () => {
+    const results = buildIndex().search("solar electricity")
+
+    expect(results[0].id).toBe("a")
+    expect(results.map((result) => result.id).sort()).toEqual(["a", "b", "c"])
+  })
+
+  test("should weigh rare terms above common ones", () => {
+    const index = buildIndex({
+      one: "rust memory safety",
+      two: "rust compiler errors",
+      three: "rust borrow checker",
+      four: "garbage collector memory",
+    })
+
+    // "safety" appears once, "rust" in three documents
+    const [top] = index.search("rust safety")
+    expect(top.id).toBe("one")
+    expect(index.search("safety")[0].score).toBeGreaterThan(index.search("rust")[0].score)
+  })
+
+  test("should favour shorter documents for the same term frequency", () => {
+    const index = buildIndex({
+      short: "electricity prices",
+      long: "electricity prices rise as demand for heating and cooling grows across the region",
+    })
+
+    expect(index.search("electricity").map((result) => result.id)).toEqual(["short", "long"])
+  })
+
+  test("should replace and remove documents", () => {
+    const index = buildIndex()
+    index.add("d", "Solar powered cooking")
+    index.remove("a")
+
+    expect(index.size).toBe(3)
+    expect(index.search("solar").map((result) => result.id)).not.toContain("a")
+    expect(index.search("pasta")).toEqual([])
+    expect(index.search("cooking").map((result) => result.id)).toEqual(["d"])
+  })
+})
+
+describe("Hybrid Search", () => {
+  test("should rank results found by both retrievers above those found by one", async () => {
+    const results = await hybridSearch({
+      query: "solar electricity",
+      bm25Index: buildIndex(),
+      ...vectorSide([
+        { id: "c", score: 0.9 },
+        { id: "b", score: 0.8 },
+      ]),
+      options: { k: 5, minRelevance: 0 },
+    })
+
+    // BM25 ranks a, c, b; the vector side c, b
+    expect(results.map((result) => result.id)).toEqual(["c", "b", "a"])
+    expect(results[0].rrfScore).toBeCloseTo(1 / 62 + 1 / 61)
+    expect(results[2]).toMatchObject({ rrfScore: 1 / 61, vectorScore: 0 })
+  })
+
+  test("should follow the retriever weights", async () => {
+    const search = (weights) =>
+      hybridSearch({
+        query: "solar electricity",
+        bm25Index: buildIndex(),
+        ...vectorSide([
+          { id: "d", score: 0.9 },
+          { id: "b", score: 0.8 },
+        ]),
+        options: { k: 5, weights, minRelevance: 0 },
+      })
+
+    expect((await search({ bm25: 1, vector: 0 })).map((result) => result.id)).toEqual(["a", "c", "b"])
+    expect((await search({ bm25: 0, vector: 1 })).map((result) => result.id)).toEqual(["d", "b"])
+  })
+
+  test("should work as plain BM25 without a vector index", async () => {
+    const results = await hybridSearch({
+      query: "solar electricity",
+      bm25Index: buildIndex(),
+      options: { k: 1, minRelevance: 0 },
+    })
+
+    expect(results).toHaveLength(1)
+    expect(results[0].id).toBe("a")
+    expect(results[0].relevance).toBeCloseTo(results[0].bm25Score / (results[0].bm25Score + 4), 4)
+  })
+
+  test("should drop filtered and weakly relevant results", async () => {
+    const bm25Index = buildIndex()
+
+    const filtered = await hybridSearch({ query: "solar", bm25Index, filter: (id) => id !== "a", options: { k: 5 } })
+    expect(filtered.map((result) => result.id)).toEqual(["c"])
+
+    const strict = await hybridSearch({ query: "solar electricity", bm25Index, options: { k: 5, minRelevance: 0.99 } })
+    expect(strict).toEqual([])
+  })
+
+  test("should collapse near-duplicate passages into the best-ranked one", async () => {
+    const documents = {
+      original: "Solar panels convert sunlight into electricity for homes and businesses",
+      copy: "Solar panels convert sunlight into electricity for homes and businesses.",
+      other: "Solar farms need large areas of open land",
+    }
+
+    const results = await hybridSearch({
+      query: "solar panels",
+      bm25Index: buildIndex(documents),
+      textOf: (id) => documents[id],
+      options: { k: 2, minRelevance: 0 },
+    })
+
+    expect(results.map((result) => result.id)).toEqual(["original", "other"])
+  })
+})
@@ -12,6 +12,16 @@ describe("API Endpoints", () => {
     expect(response.data).toHaveProperty("status")
   })
 
+  test("GET /health/detailed should report realtime API circuits", async () => {
+    const response = await request("GET", "/health/detailed")
+
+    expect(response.status).toBe(200)
+    expect(response.data.status).toMatch(/healthy|degraded/)
+    const { providers } = response.data.checks.realtimeApis
+    expect(providers.map((provider) => provider.type)).toEqual(expect.arrayContaining(["weather", "news"]))
+    providers.forEach((provider) => expect(["closed", "open", "half_open"]).toContain(provider.state))
+  })
+
   test("GET /api/analytics should return stats", async () => {
     const response = await request("GET", "/api/analytics")
 
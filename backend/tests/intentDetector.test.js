@@ -0,0 +1,42 @@
+/**
+ * Intent Detection Tests
+ * Tests: follow-up questions read against the earlier realtime question
+ */
+
+import { detectIntent, resolveFollowUp } from "../src/services/intentDetector.js"
+
+// History window as returned by getConversationHistory()
+const historyOf = (...questions) => ({
+  messages: questions.flatMap((content) => [
+    { role: "user", content },
+    { role: "assistant", content: "..." },
+  ]),
+})
+
+describe("Follow-up Questions", () => {
+  test("should read a follow-up place against the earlier weather question", () => {
+    const query = resolveFollowUp("and in Paris?", historyOf("weather in London?"))
+
+    expect(query).toBe("weather in Paris?")
+    expect(detectIntent(query)).toMatchObject({ intent: "realtime", type: "weather" })
+  })
+
+  test("should follow a chain of follow-ups", () => {
+    const history = historyOf("What time is it in Berlin?", "And in Tokyo?")
+
+    expect(resolveFollowUp("and in New York", history)).toBe("What time is it in New York?")
+  })
+
+  test("should add a new detail to the earlier question", () => {
+    expect(resolveFollowUp("what about tomorrow?", historyOf("weather in London"))).toBe("weather in London tomorrow")
+  })
+
+  test("should leave questions that stand on their own", () => {
+    const history = historyOf("weather in London?")
+
+    expect(resolveFollowUp("What is the weather in Oslo?", history)).toBe("What is the weather in Oslo?")
+    expect(resolveFollowUp("Tell me about machine learning", history)).toBe("Tell me about machine learning")
+    expect(resolveFollowUp("and in Paris?", historyOf("Tell me about machine learning"))).toBe("and in Paris?")
+    expect(resolveFollowUp("and in Paris?", null)).toBe("and in Paris?")
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * Knowledge Base Management Tests
+ * Admin tests run when TEST_ADMIN_TOKEN holds an admin JWT
+ */
+
+import { request } from "./setup.js"
+
+const ADMIN_TOKEN = process.env.TEST_ADMIN_TOKEN
+const auth = { Authorization: `Bearer ${ADMIN_TOKEN}` }
+
+describe("Knowledge Base", () => {
+  let documentId = null
+
+  test("should require authentication", async () => {
+    const response = await request("GET", "/api/admin/kb")
+
+    expect(response.status).toBe(401)
+  })
+
+  test("should create a document", async () => {
+    if (!ADMIN_TOKEN) return
+
+    const response = await request(
+      "POST",
+      "/api/admin/kb",
+      { title: "Test Topic", content: "Zebrafish regenerate their fins.", category: "Biology", tags: ["Test"] },
+      auth,
+    )
+
+    expect(response.status).toBe(201)
+    expect(response.data.document.version).toBe(1)
+    expect(response.data.document.tags).toEqual(["test"])
+    documentId = response.data.document.id
+  })
+
+  test("should reject a document without content", async () => {
+    if (!ADMIN_TOKEN) return
+
+    const response = await request("POST", "/api/admin/kb", { title: "Empty" }, auth)
+
+    expect(response.status).toBe(400)
+  })
+
+  test("should find the new document in search", async () => {
+    if (!documentId) return
+
+    const response = await request("GET", "/api/admin/kb/search?q=zebrafish%20fins&category=Biology", null, auth)
+
+    expect(response.status).toBe(200)
+    expect(response.data.results.map((doc) => doc.id)).toContain(documentId)
+  })
+
+  test("should version updates and roll back", async () => {
+    if (!documentId) return
+
+    const updated = await request("PUT", `/api/admin/kb/${documentId}`, { content: "Edited content." }, auth)
+    expect(updated.data.document.version).toBe(2)
+
+    const rolledBack = await request("POST", `/api/admin/kb/${documentId}/rollback`, { version: 1 }, auth)
+    expect(rolledBack.status).toBe(200)
+    expect(rolledBack.data.document.version).toBe(3)
+    expect(rolledBack.data.document.content).toBe("Zebrafish regenerate their fins.")
+
+    const revisions = await request("GET", `/api/admin/kb/${documentId}/revisions`, null, auth)
+    expect(revisions.data.revisions.map((r) => r.changeType)).toEqual(["rollback", "update", "create"])
+  })
+
+  test("should delete the document", async () => {
+    if (!documentId) return
+
+    const response = await request("DELETE", `/api/admin/kb/${documentId}`, null, auth)
+    expect(response.status).toBe(200)
+
+    const missing = await request("GET", `/api/admin/kb/${documentId}`, null, auth)
+    expect(missing.status).toBe(404)
+  })
+})
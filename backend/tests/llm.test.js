@@ -0,0 +1,112 @@
+/**
+ * LLM Fallback Tests
+ * Tests: retries on transient errors, falling back down the chain, non-retryable errors, all providers failing,
+ * mock reply templates
+ */
+
+import { registerProvider } from "../src/services/llmProviders/index.js"
+import mock, { resetMockFixtures, setMockFixtures } from "../src/services/llmProviders/mock.js"
+
+// Second provider in the chain, answering unless told to fail
+const backup = { calls: 0, failing: false }
+
+registerProvider({
+  name: "backup",
+  isConfigured: () => true,
+  createModel: () => ({
+    invoke: async () => {
+      backup.calls++
+      if (backup.failing) throw Object.assign(new Error("Backup unavailable"), { status: 503 })
+      return { content: "backup reply" }
+    },
+  }),
+  getModelName: () => "backup-1",
+  healthCheck: async () => ({ healthy: true, latencyMs: 0 }),
+})
+
+const transientError = { status: 503, message: "Service unavailable" }
+
+describe("LLM Fallback", () => {
+  let generateResponse
+
+  beforeAll(async () => {
+    // Read when llm.js is loaded
+    process.env.LLM_MAX_RETRIES = "2"
+    process.env.LLM_RETRY_BASE_DELAY_MS = "1"
+    process.env.LLM_FALLBACK_CHAIN = "missing,mock,backup"
+    ;({ generateResponse } = await import("../src/services/llm.js"))
+  })
+
+  afterAll(() => {
+    for (const name of ["LLM_MAX_RETRIES", "LLM_RETRY_BASE_DELAY_MS", "LLM_FALLBACK_CHAIN"]) delete process.env[name]
+    resetMockFixtures()
+  })
+
+  beforeEach(() => {
+    backup.calls = 0
+    backup.failing = false
+  })
+
+  test("should retry a provider after a transient error", async () => {
+    setMockFixtures([
+      { match: ".", error: transientError, times: 2 },
+      { match: ".", reply: "recovered" },
+    ])
+
+    const result = await generateResponse("", "Hello")
+
+    expect(result).toEqual({ reply: "recovered", provider: "mock", model: "mock-echo" })
+    expect(backup.calls).toBe(0)
+  })
+
+  test("should move down the chain once the retries are used up", async () => {
+    setMockFixtures([
+      { match: ".", error: transientError, times: 3 },
+      { match: ".", reply: "one retry too many" },
+    ])
+
+    const result = await generateResponse("", "Hello")
+
+    expect(result).toEqual({ reply: "backup reply", provider: "backup", model: "backup-1" })
+    expect(backup.calls).toBe(1)
+  })
+
+  test("should not retry errors that will not go away", async () => {
+    setMockFixtures([
+      { match: ".", error: { status: 400, message: "Invalid request" }, times: 1 },
+      { match: ".", reply: "retried" },
+    ])
+
+    const result = await generateResponse("", "Hello")
+
+    expect(result.provider).toBe("backup")
+  })
+
+  test("should report every provider's failure when the whole chain fails", async () => {
+    setMockFixtures([{ match: ".", error: transientError }])
+    backup.failing = true
+
+    await expect(generateResponse("", "Hello")).rejects.toThrow(
+      /All LLM providers failed \(missing: unknown provider; mock: Service unavailable; .*backup: Backup unavailable\)/,
+    )
+    expect(backup.calls).toBe(3)
+  })
+})
+
+describe("Mock Provider", () => {
+  afterAll(() => {
+    resetMockFixtures()
+  })
+
+  test("should fill reply templates with the values as written", async () => {
+    setMockFixtures([{ match: ".", reply: "Q={{question}} C={{context}} H={{history}}" }])
+    const messages = [
+      { role: "system", content: "Be brief" },
+      { role: "user", content: "Context: costs $1 and $& more\n\nUser Question: what is {{context}} and $` or $1?" },
+    ]
+
+    const { content } = await mock.createModel().invoke(messages)
+
+    expect(content).toBe("Q=what is {{context}} and $` or $1? C=costs $1 and $& more H=0")
+  })
+})
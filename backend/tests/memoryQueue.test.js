@@ -0,0 +1,127 @@
+/**
+ * Memory Queue Tests
+ * Tests: retries with backoff, discarding, retrying failed jobs, concurrency, pruning completed jobs
+ */
+
+import { MemoryQueue } from "../src/services/memoryQueue.js"
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Resolves when the job has finished (or already had), with its final state
+const settled = (queue, job) =>
+  new Promise((resolve) => {
+    const check = () => {
+      if (!["completed", "failed"].includes(job.state)) return false
+      queue.off("completed", check)
+      queue.off("failed", check)
+      resolve(job.state)
+      return true
+    }
+    if (!check()) {
+      queue.on("completed", check)
+      queue.on("failed", check)
+    }
+  })
+
+describe("Memory Queue", () => {
+  let queue
+
+  beforeEach(() => {
+    queue = new MemoryQueue("test")
+  })
+
+  afterEach(async () => {
+    await queue.close()
+  })
+
+  test("should retry failed attempts with exponential backoff", async () => {
+    const attemptTimes = []
+    queue.process(async () => {
+      attemptTimes.push(Date.now())
+      if (attemptTimes.length < 3) throw new Error("Not yet")
+      return "done"
+    })
+
+    const job = await queue.add({}, { attempts: 3, backoff: { type: "exponential", delay: 20 } })
+    expect(await settled(queue, job)).toBe("completed")
+
+    expect(job.attemptsMade).toBe(3)
+    expect(job.returnvalue).toBe("done")
+    // 20ms before the second attempt, 40ms before the third
+    expect(attemptTimes[1] - attemptTimes[0]).toBeGreaterThanOrEqual(18)
+    expect(attemptTimes[2] - attemptTimes[1]).toBeGreaterThanOrEqual(38)
+  })
+
+  test("should fail a job once its attempts are used up", async () => {
+    queue.process(async () => {
+      throw new Error("Always fails")
+    })
+
+    const job = await queue.add({}, { attempts: 2 })
+    expect(await settled(queue, job)).toBe("failed")
+
+    expect(job.attemptsMade).toBe(2)
+    expect(job.failedReason).toBe("Always fails")
+    expect(job.stacktrace).toHaveLength(2)
+    expect(await queue.getJobs("failed")).toEqual([job])
+  })
+
+  test("should not retry a discarded job", async () => {
+    queue.process(async (job) => {
+      job.discard()
+      throw new Error("Bad input")
+    })
+
+    const job = await queue.add({}, { attempts: 5 })
+    expect(await settled(queue, job)).toBe("failed")
+    expect(job.attemptsMade).toBe(1)
+  })
+
+  test("should run a failed job again when retried", async () => {
+    let calls = 0
+    queue.process(async () => {
+      calls++
+      if (calls === 1) throw new Error("First run fails")
+    })
+
+    const job = await queue.add({})
+    expect(await settled(queue, job)).toBe("failed")
+    await expect((await queue.add({})).retry()).rejects.toThrow("is not failed")
+
+    await job.retry()
+    expect(await settled(queue, job)).toBe("completed")
+    expect(job.failedReason).toBeUndefined()
+  })
+
+  test("should run no more jobs at once than its concurrency", async () => {
+    let active = 0
+    let maxActive = 0
+    queue.process(2, async () => {
+      active++
+      maxActive = Math.max(maxActive, active)
+      await sleep(20)
+      active--
+    })
+
+    const jobs = await Promise.all([1, 2, 3, 4, 5].map((n) => queue.add({ n })))
+    await Promise.all(jobs.map((job) => settled(queue, job)))
+
+    expect(maxActive).toBe(2)
+    expect(jobs.every((job) => job.state === "completed")).toBe(true)
+  })
+
+  test("should keep only the latest completed jobs", async () => {
+    queue.process(async () => "ok")
+
+    const jobs = []
+    for (let i = 0; i < 3; i++) {
+      const job = await queue.add({ i }, { removeOnComplete: 1 })
+      await settled(queue, job)
+      jobs.push(job)
+    }
+
+    expect(await queue.getJob(jobs[0].id)).toBeNull()
+    expect(await queue.getJob(jobs[1].id)).toBeNull()
+    expect(await queue.getJob(jobs[2].id)).toBe(jobs[2])
+  })
+})
@@ -0,0 +1,83 @@
+/**
+ * News Tests
+ * Tests: keyword, category, country and language filters, article deduplication and ranking
+ */
+
+import { extractNewsFilters, rankArticles } from "../src/services/realtimeProviders/news.js"
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 3600000).toISOString()
+
+const lastHour = hoursAgo(1)
+
+const article = (title, { url = `https://example.com/${encodeURIComponent(title)}`, ...rest } = {}) => ({
+  title,
+  url,
+  description: "",
+  publishedAt: lastHour,
+  ...rest,
+})
+
+describe("News", () => {
+  test("should read the topic of the question as keywords", () => {
+    expect(extractNewsFilters("Latest news about artificial intelligence")).toEqual({
+      q: "artificial intelligence",
+      category: null,
+      country: null,
+      language: null,
+    })
+  })
+
+  test("should read categories and countries", () => {
+    expect(extractNewsFilters("UK sports headlines")).toEqual({
+      q: null,
+      category: "sports",
+      country: "gb",
+      language: null,
+    })
+  })
+
+  test("should read the language asked for", () => {
+    expect(extractNewsFilters("news in Spanish")).toMatchObject({ q: null, language: "es", country: null })
+  })
+
+  test("should only read US as a country in capitals", () => {
+    expect(extractNewsFilters("tell us the news").country).toBeNull()
+    expect(extractNewsFilters("US news").country).toBe("us")
+  })
+
+  test("should drop removed and repeated articles", () => {
+    const ranked = rankArticles([
+      article("Central bank raises interest rates again - Daily News", { url: "https://example.com/rates" }),
+      article("Central bank raises interest rates again - Other Paper"),
+      article("Rates story under another headline", { url: "https://example.com/rates" }),
+      article("[Removed]"),
+      article("Local team wins the cup final"),
+    ])
+
+    expect(ranked.map((entry) => entry.title)).toEqual([
+      "Central bank raises interest rates again - Daily News",
+      "Local team wins the cup final",
+    ])
+  })
+
+  test("should rank articles by relevance to the keywords, then recency", () => {
+    const ranked = rankArticles(
+      [
+        article("Markets close higher", { publishedAt: hoursAgo(0) }),
+        article("Weather turns cold", { description: "Electric car sales slow in winter", publishedAt: hoursAgo(2) }),
+        article("Electric car sales hit a record", { publishedAt: hoursAgo(48) }),
+      ],
+      "electric car",
+    )
+
+    // Title matches beat description matches; the unrelated article is dropped
+    expect(ranked.map((entry) => entry.title)).toEqual(["Electric car sales hit a record", "Weather turns cold"])
+    expect(ranked[0].relevance).toBeGreaterThan(ranked[1].relevance)
+
+    const recent = rankArticles([
+      article("Older story", { publishedAt: hoursAgo(30) }),
+      article("Newer story", { publishedAt: hoursAgo(1) }),
+    ])
+    expect(recent.map((entry) => entry.title)).toEqual(["Newer story", "Older story"])
+  })
+})
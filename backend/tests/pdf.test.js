@@ -1,12 +1,22 @@
 /**
  * PDF Upload and Management Tests
+ * Authenticated tests run when TEST_USER_TOKEN holds an approved user's JWT
  */
 
-import { request } from "./setup.js"
+import { request, uploadFile, waitForJob } from "./setup.js"
+
+const USER_TOKEN = process.env.TEST_USER_TOKEN
+const auth = { Authorization: `Bearer ${USER_TOKEN}` }
 
 describe("PDF Routes", () => {
   let testDocumentId = null
 
+  test("should require authentication", async () => {
+    const response = await request("GET", "/api/pdf/list")
+
+    expect(response.status).toBe(401)
+  })
+
   test("should upload valid PDF", async () => {
     // Note: In real tests, use a test PDF file
     // This is a mock test
@@ -22,7 +32,9 @@ describe("PDF Routes", () => {
   })
 
   test("should list user PDFs", async () => {
-    const response = await request("GET", "/api/pdf/list")
+    if (!USER_TOKEN) return
+
+    const response = await request("GET", "/api/pdf/list", null, auth)
 
     expect(response.status).toBe(200)
     expect(response.data).toHaveProperty("pdfs")
@@ -49,10 +61,113 @@ describe("PDF Routes", () => {
     expect(response.status).toBe(400)
   })
 
+  test("should detect the format from the file content", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await uploadFile("/api/pdf/upload", "notes.txt", "# Runbook\n\n## Restart\n\nRun the script.", auth)
+
+    expect(response.status).toBe(200)
+    expect(response.data.format).toBe("markdown")
+  })
+
+  test("should return the existing upload for a duplicate file", async () => {
+    if (!USER_TOKEN) return
+
+    const content = `Duplicate detection check ${Date.now()}`
+    const first = await uploadFile("/api/pdf/upload", "dup.txt", content, auth)
+    const second = await uploadFile("/api/pdf/upload", "dup-again.txt", content, auth)
+
+    expect(first.data.duplicate).toBeUndefined()
+    expect(second.status).toBe(200)
+    expect(second.data.duplicate).toBe(true)
+  })
+
+  test("should reject unsupported binary files", async () => {
+    if (!USER_TOKEN) return
+
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00])
+    const response = await uploadFile("/api/pdf/upload", "image.pdf", png, auth)
+
+    expect(response.status).toBe(400)
+  })
+
+  test("should return 404 when summarizing an unknown document", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await request("POST", "/api/pdf/does-not-exist/summarize", { length: "short" }, auth)
+
+    expect(response.status).toBe(404)
+  })
+
+  test("should reject an invalid summary length", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await request("POST", "/api/pdf/does-not-exist/summarize", { length: "huge" }, auth)
+
+    expect(response.status).toBe(400)
+  })
+
+  test("should require a question for document Q&A", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await request("POST", "/api/pdf/does-not-exist/ask", {}, auth)
+
+    expect(response.status).toBe(400)
+  })
+
+  test("should require authentication to download a file", async () => {
+    const response = await request("GET", "/api/pdf/does-not-exist/file")
+
+    expect(response.status).toBe(401)
+  })
+
+  test("should return 404 when downloading an unknown document", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await request("GET", "/api/pdf/does-not-exist/file", null, auth)
+
+    expect(response.status).toBe(404)
+  })
+
+  test("should serve uploaded HTML as a sandboxed download", async () => {
+    if (!USER_TOKEN) return
+
+    const html = `<html><body><h1>Page ${Date.now()}</h1><script>alert(1)</script></body></html>`
+    const upload = await uploadFile("/api/pdf/upload", "page.html", html, auth)
+    expect(upload.status).toBe(200)
+
+    const job = await waitForJob(upload.data.jobId, auth)
+    expect(job.state).toBe("completed")
+
+    const response = await fetch(`http://localhost:5000/api/pdf/${job.documentId}/file`, { headers: auth })
+    expect(response.status).toBe(200)
+    expect(response.headers.get("content-disposition")).toMatch(/^attachment;/)
+    expect(response.headers.get("content-security-policy")).toBe("sandbox")
+    expect(response.headers.get("x-content-type-options")).toBe("nosniff")
+
+    await request("DELETE", `/api/pdf/${job.documentId}`, null, auth)
+  })
+
+  test("should return 404 for unknown job", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await request("GET", "/api/pdf/jobs/does-not-exist", null, auth)
+
+    expect(response.status).toBe(404)
+  })
+
+  test("should reject chat with documents the user does not own", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await request("POST", "/api/chat", { message: "Summarize", documentIds: ["not-mine"] }, auth)
+
+    expect(response.status).toBe(400)
+  })
+
   test("should delete PDF", async () => {
     if (!testDocumentId) return
 
-    const response = await request("DELETE", `/api/pdf/${testDocumentId}`)
+    const response = await request("DELETE", `/api/pdf/${testDocumentId}`, null, auth)
 
     expect(response.status).toBe(200)
   })
@@ -0,0 +1,98 @@
+/**
+ * Document Quota Tests
+ * User tests run when TEST_USER_TOKEN holds an approved user's JWT, admin tests when TEST_ADMIN_TOKEN holds an admin JWT
+ */
+
+import { buildPDF, request, uploadFile, waitForJob } from "./setup.js"
+
+const USER_TOKEN = process.env.TEST_USER_TOKEN
+const ADMIN_TOKEN = process.env.TEST_ADMIN_TOKEN
+const userAuth = { Authorization: `Bearer ${USER_TOKEN}` }
+const adminAuth = { Authorization: `Bearer ${ADMIN_TOKEN}` }
+
+describe("Document Quotas", () => {
+  test("should report quota limits and usage on the profile", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await request("GET", "/api/auth/me", null, userAuth)
+
+    expect(response.status).toBe(200)
+    expect(Object.keys(response.data.quota.limits)).toEqual([
+      "maxDocuments",
+      "maxStorageBytes",
+      "maxPagesPerDocument",
+      "maxChunks",
+    ])
+    expect(response.data.quota.usage.documents).toBeGreaterThanOrEqual(0)
+  })
+
+  test("should not let users change quotas", async () => {
+    if (!USER_TOKEN) return
+
+    const response = await request("PUT", "/api/admin/users/any/quota", { maxDocuments: 1000 }, userAuth)
+
+    expect(response.status).toBe(403)
+  })
+
+  test("should reject invalid quota overrides", async () => {
+    if (!ADMIN_TOKEN) return
+
+    const unknown = await request("PUT", "/api/admin/users/any/quota", { maxWidgets: 1 }, adminAuth)
+    expect(unknown.status).toBe(400)
+
+    const negative = await request("PUT", "/api/admin/users/any/quota", { maxDocuments: -1 }, adminAuth)
+    expect(negative.status).toBe(400)
+  })
+
+  test("should reset a user's overrides to the role defaults", async () => {
+    if (!ADMIN_TOKEN || !USER_TOKEN) return
+
+    const me = await request("GET", "/api/auth/me", null, userAuth)
+    const path = `/api/admin/users/${me.data.user.id}/quota`
+
+    const set = await request("PUT", path, { maxDocuments: 3 }, adminAuth)
+    expect(set.status).toBe(200)
+    expect(set.data.quota.overrides).toMatchObject({ maxDocuments: 3 })
+
+    const reset = await request("DELETE", path, null, adminAuth)
+    expect(reset.status).toBe(200)
+    expect(reset.data.quota.overrides).toEqual({})
+
+    // Setting the last override back to "default" clears the column the same way
+    await request("PUT", path, { maxChunks: null }, adminAuth)
+    const cleared = await request("PUT", path, { maxChunks: "default" }, adminAuth)
+    expect(cleared.status).toBe(200)
+    expect(cleared.data.quota.overrides).toEqual({})
+  })
+
+  test("should reject PDFs over the page limit at upload and report the chunk limit on the job", async () => {
+    if (!ADMIN_TOKEN || !USER_TOKEN) return
+
+    const me = await request("GET", "/api/auth/me", null, userAuth)
+    const path = `/api/admin/users/${me.data.user.id}/quota`
+    await request("PUT", path, { maxPagesPerDocument: 1, maxChunks: 0 }, adminAuth)
+
+    try {
+      const pdf = await uploadFile("/api/pdf/upload", "two-pages.pdf", buildPDF(["One", `Two ${Date.now()}`]), userAuth)
+      expect(pdf.status).toBe(413)
+      expect(pdf.data).toMatchObject({ code: "QUOTA_PAGES", quota: { limit: "maxPagesPerDocument", value: 1 } })
+
+      // Chunks are only known once the job has extracted the file
+      const notes = await uploadFile("/api/pdf/upload", "notes.md", `# Notes\n\nWritten ${Date.now()}`, userAuth)
+      expect(notes.status).toBe(200)
+
+      const job = await waitForJob(notes.data.jobId, userAuth)
+      expect(job).toMatchObject({ state: "failed", code: "QUOTA_CHUNKS", quota: { limit: "maxChunks", value: 0 } })
+    } finally {
+      await request("DELETE", path, null, adminAuth)
+    }
+  })
+
+  test("should return 404 for an unknown user's quota", async () => {
+    if (!ADMIN_TOKEN) return
+
+    const response = await request("GET", "/api/admin/users/does-not-exist/quota", null, adminAuth)
+
+    expect(response.status).toBe(404)
+  })
+})
@@ -0,0 +1,78 @@
+/**
+ * Realtime Cache Tests
+ * Tests: stale-while-revalidate, single background revalidation, stale-if-error, entries past their stale period
+ */
+
+import { registerRealtimeProvider } from "../src/services/realtimeProviders/index.js"
+import { fetchRealtimeData } from "../src/services/realtime.js"
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Upstream calls per key, and whether the upstream API is down
+const calls = {}
+let failing = false
+
+registerRealtimeProvider({
+  type: "cache-stub",
+  label: "Cache stub",
+  keywords: ["cache stub"],
+  examples: ["cache stub question"],
+  requires: ["key"],
+  cacheTtl: 1,
+  staleWhileRevalidate: 1,
+  staleIfError: 3,
+  params: () => ({}),
+  fetch: async ({ key }) => {
+    calls[key] = (calls[key] || 0) + 1
+    if (failing) throw new Error("Upstream down")
+    return { key, version: calls[key] }
+  },
+})
+
+const ask = (key) => fetchRealtimeData("cache-stub", { key })
+
+describe("Realtime Cache", () => {
+  afterEach(() => {
+    failing = false
+  })
+
+  test("should serve stale data at once and revalidate it in the background only once", async () => {
+    const first = await ask("swr")
+    expect(first).toMatchObject({ version: 1, cached: false, stale: false })
+
+    await sleep(1200)
+    const answers = await Promise.all([ask("swr"), ask("swr"), ask("swr")])
+    for (const answer of answers) {
+      expect(answer).toMatchObject({ version: 1, cached: true, stale: true })
+      expect(answer.dataAgeSeconds).toBeGreaterThanOrEqual(1)
+    }
+
+    // Let the background refresh finish
+    await sleep(50)
+    expect(calls.swr).toBe(2)
+    expect(await ask("swr")).toMatchObject({ version: 2, cached: true, stale: false })
+  })
+
+  test("should serve stale data when the upstream API fails", async () => {
+    await ask("sie")
+
+    // Past the revalidation period but within the stale-if-error one
+    await sleep(2200)
+    failing = true
+    const answer = await ask("sie")
+
+    expect(answer).toMatchObject({ version: 1, cached: true, stale: true })
+    expect(calls.sie).toBe(2)
+  })
+
+  test("should fail when the cached data is too old to serve", async () => {
+    await ask("old")
+
+    await sleep(4200)
+    failing = true
+    const answer = await ask("old")
+
+    expect(answer.error).toBeTruthy()
+    expect(answer.failure).toEqual({ reason: "upstream_error", retryable: true })
+  }, 10000)
+})
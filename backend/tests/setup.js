@@ -32,4 +32,63 @@ export const request = async (method, path, body = null, customHeaders = {}) =>
   }
 }
 
+// Multipart file upload (uses the built-in fetch, which encodes FormData)
+export const uploadFile = async (path, filename, content, customHeaders = {}) => {
+  const form = new FormData()
+  form.append("file", new Blob([content]), filename)
+
+  const response = await globalThis.fetch(`${BASE_URL}${path}`, {
+    method: "POST",
+    headers: { "X-Session-ID": TEST_SESSION_ID, ...customHeaders },
+    body: form,
+  })
+  const data = await response.json()
+
+  return {
+    status: response.status,
+    data,
+  }
+}
+
+// Poll a processing job until it completes or fails (null if it is still running after ~10s)
+export const waitForJob = async (jobId, customHeaders = {}) => {
+  for (let i = 0; i < 50; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 200))
+    const { job } = (await request("GET", `/api/pdf/jobs/${jobId}`, null, customHeaders)).data
+    if (["completed", "failed"].includes(job?.state)) return job
+  }
+  return null
+}
+
+/**
+ * Smallest valid PDF with one page per text, each drawn as a single line
+ */
+export function buildPDF(pageTexts) {
+  const kids = pageTexts.map((_, i) => `${4 + i * 2} 0 R`).join(" ")
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${kids}] /Count ${pageTexts.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ]
+  for (const [i, text] of pageTexts.entries()) {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    )
+  }
+
+  let pdf = "%PDF-1.4\n"
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+  const xref = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("")
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+  return Buffer.from(pdf, "latin1")
+}
+
 export { TEST_SESSION_ID }
@@ -0,0 +1,82 @@
+/**
+ * Time Zone Tests
+ * Tests: place and abbreviation resolution, differences, DST-aware conversions, unknown places
+ */
+
+import { describeZonedTime, findTimeZones, zonedTimeToDate } from "../src/utils/timezones.js"
+import time from "../src/services/realtimeProviders/time.js"
+
+const ask = (message) => time.fetch(time.params(message))
+
+describe("Time Zones", () => {
+  test("should resolve cities, aliases, abbreviations, zone ids and offsets", () => {
+    const zones = findTimeZones("Tokyo, NYC, PST, Europe/Berlin or UTC+5?")
+
+    expect(zones.map((zone) => zone.timeZone)).toEqual([
+      "Asia/Tokyo",
+      "America/New_York",
+      "America/Los_Angeles",
+      "Europe/Berlin",
+      "Etc/GMT-5",
+    ])
+  })
+
+  test("should not read everyday words as places", () => {
+    const zones = findTimeZones("I bought a jersey, what time is it in Paris")
+
+    expect(zones.map((zone) => zone.timeZone)).toEqual(["Europe/Paris"])
+  })
+
+  test("should convert a clock time between zones", async () => {
+    const result = await ask("3pm PST in Berlin")
+
+    expect(result.mode).toBe("conversion")
+    expect(result.from.timeZone).toBe("America/Los_Angeles")
+    expect(result.from.time).toBe("3:00 PM")
+    expect(result.to.timeZone).toBe("Europe/Berlin")
+    expect(result.to.localTime).toBe(describeZonedTime("Europe/Berlin", new Date(result.utc)).localTime)
+    // 9 hours apart, 8 in the weeks when only one side has changed its clocks
+    expect([8, 9]).toContain((result.to.offsetMinutes - result.from.offsetMinutes) / 60)
+  })
+
+  test("should report the time difference between two places", async () => {
+    const result = await ask("time difference between London and NYC")
+
+    expect(result.mode).toBe("difference")
+    expect(result.from.timeZone).toBe("Europe/London")
+    expect(result.to.timeZone).toBe("America/New_York")
+    expect([-300, -240]).toContain(result.differenceMinutes)
+    expect(result.summary).toMatch(/^NYC is [45] hours behind London$/)
+  })
+
+  test("should report an unknown place instead of the server's time", async () => {
+    const result = await ask("what time is it in Smallville")
+
+    expect(result.error).toBe("No time zone found for 'Smallville'")
+  })
+
+  test("should apply daylight saving on each side of a date", () => {
+    const winter = describeZonedTime("America/New_York", new Date("2025-01-15T12:00:00Z"))
+    const summer = describeZonedTime("America/New_York", new Date("2025-07-15T12:00:00Z"))
+
+    expect(winter).toMatchObject({ offset: "-05:00", dst: false })
+    expect(summer).toMatchObject({ offset: "-04:00", dst: true })
+  })
+
+  test("should move times skipped by a DST change forward by the gap", () => {
+    // Clocks jump from 2:00 to 3:00: 2:30 is read as 3:30 daylight time, in either hemisphere
+    const newYork = zonedTimeToDate({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, "America/New_York")
+    const sydney = zonedTimeToDate({ year: 2025, month: 10, day: 5, hour: 2, minute: 30 }, "Australia/Sydney")
+
+    expect(newYork.toISOString()).toBe("2025-03-09T07:30:00.000Z")
+    expect(describeZonedTime("America/New_York", newYork).localTime).toBe("2025-03-09T03:30:00")
+    expect(describeZonedTime("Australia/Sydney", sydney).localTime).toBe("2025-10-05T03:30:00")
+  })
+
+  test("should resolve repeated times to the first occurrence", () => {
+    // Clocks go back from 2:00 to 1:00: 1:30 happens first in daylight time
+    const date = zonedTimeToDate({ year: 2025, month: 11, day: 2, hour: 1, minute: 30 }, "America/New_York")
+
+    expect(date.toISOString()).toBe("2025-11-02T05:30:00.000Z")
+  })
+})
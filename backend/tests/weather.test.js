@@ -0,0 +1,155 @@
+/**
+ * Weather Tests
+ * Tests: place extraction, periods and forecast days, unit conversion, choosing between places with the same name
+ */
+
+import weather, {
+  choosePlace,
+  extractCity,
+  extractPeriod,
+  selectDays,
+} from "../src/services/realtimeProviders/weather.js"
+
+const DEFAULT_CITY = process.env.WEATHER_DEFAULT_CITY || "New York"
+
+const place = (name, admin1, country, population) => ({ name, admin1, country, population, latitude: 0, longitude: 0 })
+
+// Forecast data as fetch() caches it: today is Wednesday 2025-06-11 at the place
+const forecast = {
+  location: "Paris, Île-de-France, France",
+  timezone: "Europe/Paris",
+  current: {
+    time: "2025-06-11T09:00",
+    temperature_2m: 20,
+    apparent_temperature: 21,
+    relative_humidity_2m: 60,
+    precipitation: 0,
+    weather_code: 1,
+    wind_speed_10m: 10,
+  },
+  daily: {
+    time: Array.from({ length: 7 }, (_, i) => `2025-06-${String(11 + i).padStart(2, "0")}`),
+    weather_code: Array(7).fill(61),
+    temperature_2m_max: [25, 26, 27, 28, 29, 30, 31],
+    temperature_2m_min: [-5, 11, 12, 13, 14, 15, 16],
+    precipitation_sum: Array(7).fill(1),
+    precipitation_probability_max: Array(7).fill(50),
+    wind_speed_10m_max: Array(7).fill(20),
+    sunrise: Array(7).fill("05:47"),
+    sunset: Array(7).fill("21:55"),
+  },
+  hourly: {
+    time: ["2025-06-12T05:00", "2025-06-12T08:00", "2025-06-12T13:00"],
+    temperature_2m: [10, 15, 22],
+    precipitation_probability: [0, 10, 40],
+    weather_code: [0, 2, 61],
+  },
+  timestamp: "2025-06-11T07:00:00.000Z",
+}
+
+describe("Weather", () => {
+  test("should read the place from the question", () => {
+    expect(extractCity("What's the weather in Paris tomorrow?")).toBe("Paris")
+    expect(extractCity("Will it rain in New York this weekend?")).toBe("New York")
+    expect(extractCity("forecast for the next 3 days in Berlin")).toBe("Berlin")
+    expect(extractCity("weather in Paris, Texas")).toBe("Paris, Texas")
+    expect(extractCity("London weather")).toBe("London")
+  })
+
+  test("should not read times of day or units as places", () => {
+    expect(extractCity("is it raining in the morning")).toBe(DEFAULT_CITY)
+    expect(extractCity("weather at 5pm")).toBe(DEFAULT_CITY)
+    expect(extractCity("temperature in fahrenheit")).toBe(DEFAULT_CITY)
+    expect(weather.params("is it raining in the morning", {}, {})).toMatchObject({
+      city: DEFAULT_CITY,
+      days: "today",
+      part: "morning",
+    })
+  })
+
+  test("should read the days asked about", () => {
+    expect(extractPeriod("weather now")).toEqual({ days: "now", part: null })
+    expect(extractPeriod("weather tomorrow")).toEqual({ days: "tomorrow", part: null })
+    expect(extractPeriod("rain tonight?")).toEqual({ days: "today", part: "night" })
+    expect(extractPeriod("forecast for this weekend").days).toBe("weekend")
+    expect(extractPeriod("will it snow on Friday").days).toBe("weekday:5")
+    expect(extractPeriod("weather in 3 days").days).toBe("offset:3")
+    expect(extractPeriod("the day after tomorrow").days).toBe("offset:2")
+    expect(extractPeriod("forecast for the next five days").days).toBe("next:5")
+    expect(extractPeriod("weather this week").days).toBe("week")
+    expect(extractPeriod("tomorrow afternoon")).toEqual({ days: "tomorrow", part: "afternoon" })
+  })
+
+  test("should resolve periods against the local weekday", () => {
+    // Wednesday
+    expect(selectDays("weekend", 3)).toEqual([3, 4])
+    expect(selectDays("weekend", 0)).toEqual([0])
+    expect(selectDays("weekday:5", 3)).toEqual([2])
+    expect(selectDays("weekday:1", 3)).toEqual([5])
+    expect(selectDays("next:3", 3)).toEqual([0, 1, 2])
+    expect(selectDays("offset:6", 3)).toEqual([6])
+  })
+
+  test("should refuse days beyond the forecast", () => {
+    expect(selectDays("offset:9", 3)).toBeNull()
+    expect(selectDays("next:10", 3)).toBeNull()
+    expect(weather.format(forecast, { days: "offset:9", part: null, unit: "celsius" })).toEqual({
+      error: "The forecast only covers the next 7 days",
+    })
+  })
+
+  test("should answer in the unit asked for", () => {
+    const celsius = weather.format(forecast, { days: "now", part: null, unit: "celsius" })
+    const fahrenheit = weather.format(forecast, { days: "now", part: null, unit: "fahrenheit" })
+
+    expect(celsius.current.temperature).toBe(20)
+    expect(celsius.units.temperature).toBe("°C")
+    expect(fahrenheit.current).toMatchObject({ temperature: 68, feelsLike: 69.8 })
+    expect(fahrenheit.daily[0]).toMatchObject({ high: 77, low: 23 })
+    expect(fahrenheit.units.temperature).toBe("°F")
+    expect(weather.params("weather in Oslo in fahrenheit", {}, {}).unit).toBe("fahrenheit")
+    expect(weather.params("weather in Oslo", {}, { temperatureUnit: "fahrenheit" }).unit).toBe("fahrenheit")
+  })
+
+  test("should pick the forecast days and hours asked about", () => {
+    const weekend = weather.format(forecast, { days: "weekend", part: null, unit: "celsius" })
+    expect(weekend.current).toBeUndefined()
+    expect(weekend.daily.map((day) => [day.date, day.weekday])).toEqual([
+      ["2025-06-14", "saturday"],
+      ["2025-06-15", "sunday"],
+    ])
+
+    const morning = weather.format(forecast, { days: "tomorrow", part: "morning", unit: "celsius" })
+    expect(morning.hourly.map((hour) => hour.time)).toEqual(["2025-06-12T08:00"])
+  })
+
+  test("should take the largest place and name smaller ones with the same name", () => {
+    const { place: chosen, others } = choosePlace(
+      [place("London", "England", "United Kingdom", 8961989), place("London", "Ontario", "Canada", 383822)],
+      "London",
+    )
+
+    expect(chosen.admin1).toBe("England")
+    expect(others.map((other) => other.admin1)).toEqual(["Ontario"])
+  })
+
+  test("should ask which place is meant when they are of similar size", () => {
+    const results = [
+      place("Springfield", "Missouri", "United States", 169176),
+      place("Springfield", "Illinois", "United States", 114230),
+      place("Springfield", "Vermont", "United States", 9000),
+    ]
+
+    const { candidates } = choosePlace(results, "Springfield")
+    expect(candidates.map((candidate) => candidate.admin1)).toEqual(["Missouri", "Illinois"])
+
+    // Naming the region settles it
+    expect(choosePlace(results, "Springfield", ["Illinois"]).place.admin1).toBe("Illinois")
+  })
+
+  test("should pass a clarification through unchanged", () => {
+    const data = { clarification: { question: "Which Springfield do you mean?", candidates: [] } }
+
+    expect(weather.format(data, { days: "now", part: null, unit: "celsius" })).toBe(data)
+  })
+})
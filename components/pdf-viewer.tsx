@@ -1,19 +1,173 @@
 "use client"
 
-import { useState } from "react"
+import type React from "react"
+import { useEffect, useRef, useState } from "react"
+import type { PDFDocumentProxy, RenderTask, TextLayer } from "pdfjs-dist"
+import "pdfjs-dist/web/pdf_viewer.css"
 import { Card } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
-import { X, ChevronLeft, ChevronRight, ZoomIn, ZoomOut } from "lucide-react"
+import { X, ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Loader2, AlertCircle } from "lucide-react"
 
 interface PDFViewerProps {
   documentId: string
   filename: string
+  initialPage?: number
+  highlight?: string
   onClose: () => void
 }
 
-export function PDFViewer({ documentId, filename, onClose }: PDFViewerProps) {
+// pdf.js needs browser globals, so it is loaded on the client only
+const loadPdfjs = async () => {
+  const pdfjs = await import("pdfjs-dist")
+  pdfjs.GlobalWorkerOptions.workerSrc = new URL("pdfjs-dist/build/pdf.worker.min.mjs", import.meta.url).toString()
+  return pdfjs
+}
+
+// Whitespace differs between the chunker and pdf.js text extraction, so passages are compared without it
+const compact = (text: string) => text.replace(/\s+/g, "").toLowerCase()
+
+const PROBE_LENGTH = 40
+
+/**
+ * Indexes of the text items covering the cited passage on this page.
+ * A chunk can start or end on a neighbouring page, so a matching head or tail is enough.
+ */
+function findPassageItems(items: string[], passage: string): number[] {
+  let pageText = ""
+  const owners: number[] = []
+  items.forEach((item, index) => {
+    const text = compact(item)
+    pageText += text
+    owners.push(...Array(text.length).fill(index))
+  })
+
+  const target = compact(passage)
+  if (!target || !pageText) return []
+
+  let start = pageText.indexOf(target)
+  let end = start + target.length
+  if (start === -1) {
+    const probe = Math.min(PROBE_LENGTH, target.length)
+    const head = pageText.indexOf(target.slice(0, probe))
+    const tail = pageText.lastIndexOf(target.slice(-probe))
+    if (head === -1 && tail === -1) return []
+    start = head === -1 ? 0 : head
+    end = tail === -1 || tail < start ? pageText.length : tail + probe
+  }
+
+  return Array.from(new Set(owners.slice(start, end)))
+}
+
+export function PDFViewer({ documentId, filename, initialPage = 1, highlight, onClose }: PDFViewerProps) {
   const [zoom, setZoom] = useState(100)
-  const [currentPage, setCurrentPage] = useState(1)
+  const [currentPage, setCurrentPage] = useState(initialPage)
+  const [pdf, setPdf] = useState<PDFDocumentProxy | null>(null)
+  const [numPages, setNumPages] = useState(0)
+  const [error, setError] = useState<string | null>(null)
+  const canvasRef = useRef<HTMLCanvasElement>(null)
+  const textLayerRef = useRef<HTMLDivElement>(null)
+
+  // Fetch the original file with the user's token and open it
+  useEffect(() => {
+    let cancelled = false
+    let loaded: PDFDocumentProxy | null = null
+    setPdf(null)
+    setError(null)
+
+    const load = async () => {
+      try {
+        const token = localStorage.getItem("accessToken")
+        const response = await fetch(`http://localhost:5000/api/pdf/${documentId}/file`, {
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+        })
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}))
+          throw new Error(errorData.error || "Failed to load PDF")
+        }
+
+        const pdfjs = await loadPdfjs()
+        loaded = await pdfjs.getDocument({ data: new Uint8Array(await response.arrayBuffer()) }).promise
+        if (cancelled) {
+          loaded.destroy()
+          return
+        }
+
+        setPdf(loaded)
+        setNumPages(loaded.numPages)
+        setCurrentPage(Math.min(Math.max(1, initialPage), loaded.numPages))
+      } catch (err) {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : "Failed to load PDF")
+          console.error("PDF load error:", err)
+        }
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+      loaded?.destroy()
+    }
+  }, [documentId, initialPage])
+
+  // Render the current page to the canvas, then its text layer with the cited passage highlighted
+  useEffect(() => {
+    if (!pdf || !canvasRef.current || !textLayerRef.current) return
+
+    const canvas = canvasRef.current
+    const container = textLayerRef.current
+    let cancelled = false
+    let renderTask: RenderTask | null = null
+    let textLayer: TextLayer | null = null
+
+    const render = async () => {
+      const pdfjs = await loadPdfjs()
+      const page = await pdf.getPage(currentPage)
+      if (cancelled) return
+
+      const viewport = page.getViewport({ scale: zoom / 100 })
+      const outputScale = window.devicePixelRatio || 1
+      canvas.width = Math.floor(viewport.width * outputScale)
+      canvas.height = Math.floor(viewport.height * outputScale)
+      canvas.style.width = `${Math.floor(viewport.width)}px`
+      canvas.style.height = `${Math.floor(viewport.height)}px`
+
+      renderTask = page.render({
+        canvas,
+        viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : undefined,
+      })
+      await renderTask.promise
+
+      const textContent = await page.getTextContent()
+      if (cancelled) return
+
+      container.replaceChildren()
+      textLayer = new pdfjs.TextLayer({ textContentSource: textContent, container, viewport })
+      await textLayer.render()
+      if (cancelled || !highlight) return
+
+      // Text divs are created for every item with a string, in order
+      const items = textContent.items.flatMap((item) => ("str" in item ? [item.str] : []))
+      const matches = findPassageItems(items, highlight)
+      matches.forEach((index) => textLayer?.textDivs[index]?.classList.add("highlight"))
+      textLayer.textDivs[matches[0]]?.scrollIntoView({ block: "center" })
+    }
+
+    render().catch((err) => {
+      if (!cancelled && err?.name !== "RenderingCancelledException") {
+        setError(err instanceof Error ? err.message : "Failed to render page")
+        console.error("PDF render error:", err)
+      }
+    })
+
+    return () => {
+      cancelled = true
+      renderTask?.cancel()
+      textLayer?.cancel()
+    }
+  }, [pdf, currentPage, zoom, highlight])
 
   return (
     <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
@@ -22,7 +176,11 @@ export function PDFViewer({ documentId, filename, onClose }: PDFViewerProps) {
         <div className="flex items-center justify-between p-4 border-b border-slate-700">
           <div>
             <h3 className="text-lg font-semibold text-white">{filename}</h3>
-            <p className="text-xs text-slate-400">Page {currentPage}</p>
+            <p className="text-xs text-slate-400">
+              Page {currentPage}
+              {numPages > 0 && ` of ${numPages}`}
+              {highlight && " • Cited passage highlighted"}
+            </p>
           </div>
           <button onClick={onClose} className="text-slate-400 hover:text-slate-200">
             <X className="w-5 h-5" />
@@ -56,15 +214,20 @@ export function PDFViewer({ documentId, filename, onClose }: PDFViewerProps) {
               variant="ghost"
               size="sm"
               onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+              disabled={currentPage <= 1}
               className="text-slate-300 hover:bg-slate-600"
             >
               <ChevronLeft className="w-4 h-4" />
             </Button>
-            <span className="text-sm text-slate-300">Page {currentPage}</span>
+            <span className="text-sm text-slate-300">
+              Page {currentPage}
+              {numPages > 0 && ` / ${numPages}`}
+            </span>
             <Button
               variant="ghost"
               size="sm"
-              onClick={() => setCurrentPage(currentPage + 1)}
+              onClick={() => setCurrentPage(Math.min(numPages || currentPage, currentPage + 1))}
+              disabled={numPages === 0 || currentPage >= numPages}
               className="text-slate-300 hover:bg-slate-600"
             >
               <ChevronRight className="w-4 h-4" />
@@ -73,21 +236,35 @@ export function PDFViewer({ documentId, filename, onClose }: PDFViewerProps) {
         </div>
 
         {/* Viewer Area */}
-        <div className="flex-1 overflow-auto bg-slate-900 flex items-center justify-center">
-          <div
-            className="bg-white rounded shadow-lg"
-            style={{
-              width: "100%",
-              maxWidth: `${zoom}%`,
-              aspectRatio: "8.5 / 11",
-            }}
-          >
-            <div className="w-full h-full flex items-center justify-center text-slate-400 text-sm">
-              PDF Preview - Page {currentPage}
-              <br />
-              (Full PDF rendering requires pdf.js library)
+        <div className="flex-1 overflow-auto bg-slate-900 p-4">
+          {error ? (
+            <div className="h-full flex items-center justify-center gap-2 text-red-200 text-sm">
+              <AlertCircle className="w-4 h-4" />
+              {error}
             </div>
-          </div>
+          ) : (
+            <>
+              {!pdf && (
+                <div className="h-full flex items-center justify-center text-slate-400">
+                  <Loader2 className="w-6 h-6 animate-spin" />
+                </div>
+              )}
+              {/* pdf.js sizes the text layer from --total-scale-factor */}
+              <div
+                className={`relative mx-auto w-fit bg-white rounded shadow-lg ${pdf ? "" : "hidden"}`}
+                style={
+                  {
+                    "--total-scale-factor": zoom / 100,
+                    "--scale-round-x": "1px",
+                    "--scale-round-y": "1px",
+                  } as React.CSSProperties
+                }
+              >
+                <canvas ref={canvasRef} className="block rounded" />
+                <div ref={textLayerRef} className="textLayer" />
+              </div>
+            </>
+          )}
         </div>
       </Card>
     </div>